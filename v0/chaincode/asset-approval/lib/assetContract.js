@@ -36,6 +36,15 @@ const ORG3_MSP = 'Org3MSP';  // Regulator
 // Private data collection name
 const PRIVATE_COLLECTION = 'Org1Org2PrivateCollection';
 
+// Composite-key indexes (status~assetID, owner~assetID) maintained by _putAsset
+// so assets can be listed by status or owner on LevelDB as well as CouchDB
+const STATUS_INDEX = 'status~assetID';
+const OWNER_INDEX = 'owner~assetID';
+const INDEX_ENTRY_VALUE = Buffer.from('\u0000');
+
+// Upper bound on assets scanned by one RebuildAssetIndexes call
+const MAX_REBUILD_BATCH = 200;
+
 class AssetContract extends Contract {
 
     /**
@@ -148,7 +157,7 @@ class AssetContract extends Contract {
         };
 
         // Store public data
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(publicAsset)));
+        await this._putAsset(ctx, publicAsset);
 
         // Get private data from transient map
         const transientData = ctx.stub.getTransient();
@@ -210,7 +219,7 @@ class AssetContract extends Contract {
         asset.status = newStatus;
         asset.updatedAt = this._getTimestamp(ctx);
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this._putAsset(ctx, asset);
 
         console.info(`Asset ${assetID} status updated to ${newStatus}`);
         return asset;
@@ -319,7 +328,7 @@ class AssetContract extends Contract {
             asset.status = STATUS.APPROVED;
         }
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this._putAsset(ctx, asset);
 
         console.info(`Asset ${assetID} approved by ${clientMSP}`);
         return asset;
@@ -364,7 +373,7 @@ class AssetContract extends Contract {
         asset.status = STATUS.REJECTED;
         asset.updatedAt = this._getTimestamp(ctx);
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this._putAsset(ctx, asset);
 
         console.info(`Asset ${assetID} rejected by ${clientMSP}: ${reason}`);
         return asset;
@@ -409,20 +418,15 @@ class AssetContract extends Contract {
     /**
      * Get all assets
      * 
+     * Reads a plain key range rather than a CouchDB query, so it works
+     * on LevelDB peers too. Composite index keys are outside the range.
+     * 
      * @param {Context} ctx - Transaction context
      * @returns {Array} - Array of all assets
      */
     async GetAllAssets(ctx) {
         const allResults = [];
-
-        // Use CouchDB rich query
-        const queryString = {
-            selector: {
-                docType: 'asset'
-            }
-        };
-
-        const iterator = await ctx.stub.getQueryResult(JSON.stringify(queryString));
+        const iterator = await ctx.stub.getStateByRange('', '');
         let result = await iterator.next();
 
         while (!result.done) {
@@ -434,7 +438,9 @@ class AssetContract extends Contract {
                 console.log(err);
                 record = strValue;
             }
-            allResults.push(record);
+            if (record && record.docType === 'asset') {
+                allResults.push(record);
+            }
             result = await iterator.next();
         }
 
@@ -474,32 +480,78 @@ class AssetContract extends Contract {
     }
 
     /**
-     * Get assets by status
+     * Get assets by status (reads the status~assetID index)
      * 
      * @param {Context} ctx - Transaction context
      * @param {string} status - Status to filter by
      * @returns {Array} - Assets with matching status
      */
     async GetAssetsByStatus(ctx, status) {
-        const queryString = {
-            selector: {
-                docType: 'asset',
-                status: status
-            }
-        };
+        return this._getAssetsByIndex(ctx, STATUS_INDEX, status);
+    }
 
-        const iterator = await ctx.stub.getQueryResult(JSON.stringify(queryString));
-        const allResults = [];
+    /**
+     * Get assets by owner MSP ID (reads the owner~assetID index)
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {string} owner - Owner MSP ID, e.g. Org1MSP
+     * @returns {Array} - Assets owned by that organization
+     */
+    async GetAssetsByOwner(ctx, owner) {
+        return this._getAssetsByIndex(ctx, OWNER_INDEX, owner);
+    }
+
+    /**
+     * Rebuild the status and owner index entries (Org1 only)
+     * 
+     * Assets written before the indexes existed have no entries, so
+     * GetAssetsByStatus and GetAssetsByOwner miss them until this has run.
+     * Scans up to `limit` keys from `startKey`; call again with the returned
+     * nextKey until it is ''.
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {string} startKey - Key to resume from ('' for the first call)
+     * @param {string} limit - Maximum keys to scan in this call
+     * @returns {Object} - { scanned, indexed, nextKey }
+     */
+    async RebuildAssetIndexes(ctx, startKey, limit) {
+        // Organization-based access control - only Org1 can rebuild
+        this._verifyOrg1(ctx);
+
+        const max = parseInt(limit, 10);
+        if (!Number.isInteger(max) || max < 1 || max > MAX_REBUILD_BATCH) {
+            throw new Error(`Limit must be an integer between 1 and ${MAX_REBUILD_BATCH}`);
+        }
+
+        const iterator = await ctx.stub.getStateByRange(startKey || '', '');
+        let scanned = 0;
+        let indexed = 0;
+        let nextKey = '';
         let result = await iterator.next();
 
         while (!result.done) {
-            const strValue = Buffer.from(result.value.value.toString()).toString('utf8');
-            allResults.push(JSON.parse(strValue));
+            if (scanned === max) {
+                nextKey = result.value.key;
+                break;
+            }
+            scanned++;
+
+            let record;
+            try {
+                record = JSON.parse(result.value.value.toString());
+            } catch (err) {
+                record = null;
+            }
+            if (record && record.docType === 'asset') {
+                await ctx.stub.putState(ctx.stub.createCompositeKey(STATUS_INDEX, [record.status, record.assetID]), INDEX_ENTRY_VALUE);
+                await ctx.stub.putState(ctx.stub.createCompositeKey(OWNER_INDEX, [record.owner, record.assetID]), INDEX_ENTRY_VALUE);
+                indexed++;
+            }
             result = await iterator.next();
         }
 
         await iterator.close();
-        return allResults;
+        return { scanned, indexed, nextKey };
     }
 
     // ============================================================================
@@ -536,6 +588,71 @@ class AssetContract extends Contract {
         return JSON.parse(assetJSON.toString());
     }
 
+    /**
+     * Store an asset and keep its status and owner index entries in step
+     * 
+     * The previous values are read from committed state, so call this at
+     * most once per asset in a transaction.
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {Object} asset - Asset to store
+     */
+    async _putAsset(ctx, asset) {
+        const previousJSON = await ctx.stub.getState(asset.assetID);
+        const previous = previousJSON && previousJSON.length > 0 ? JSON.parse(previousJSON.toString()) : {};
+
+        await ctx.stub.putState(asset.assetID, Buffer.from(JSON.stringify(asset)));
+        await this._moveIndexEntry(ctx, STATUS_INDEX, asset.assetID, previous.status, asset.status);
+        await this._moveIndexEntry(ctx, OWNER_INDEX, asset.assetID, previous.owner, asset.owner);
+    }
+
+    /**
+     * Replace the index entry for oldValue with one for newValue
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {string} indexName - Index object type, e.g. status~assetID
+     * @param {string} assetID - Asset identifier
+     * @param {string|undefined} oldValue - Indexed value before the write
+     * @param {string|undefined} newValue - Indexed value after the write
+     */
+    async _moveIndexEntry(ctx, indexName, assetID, oldValue, newValue) {
+        if (oldValue === newValue) {
+            return;
+        }
+        if (oldValue) {
+            await ctx.stub.deleteState(ctx.stub.createCompositeKey(indexName, [oldValue, assetID]));
+        }
+        if (newValue) {
+            await ctx.stub.putState(ctx.stub.createCompositeKey(indexName, [newValue, assetID]), INDEX_ENTRY_VALUE);
+        }
+    }
+
+    /**
+     * Load every asset listed under one value of an index
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {string} indexName - Index object type, e.g. status~assetID
+     * @param {string} value - Indexed value to match
+     * @returns {Array} - Matching assets
+     */
+    async _getAssetsByIndex(ctx, indexName, value) {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(indexName, [value]);
+        const allResults = [];
+        let result = await iterator.next();
+
+        while (!result.done) {
+            const { attributes } = ctx.stub.splitCompositeKey(result.value.key);
+            const assetJSON = await ctx.stub.getState(attributes[1]);
+            if (assetJSON && assetJSON.length > 0) {
+                allResults.push(JSON.parse(assetJSON.toString()));
+            }
+            result = await iterator.next();
+        }
+
+        await iterator.close();
+        return allResults;
+    }
+
     /**
      * Delete an asset (Org1 only)
      * 
@@ -550,13 +667,13 @@ class AssetContract extends Contract {
         // Organization-based access control - only Org1 can delete
         this._verifyOrg1(ctx);
 
-        const exists = await this.AssetExists(ctx, assetID);
-        if (!exists) {
-            throw new Error(`Asset ${assetID} does not exist`);
-        }
+        // Throws if the asset does not exist
+        const asset = await this._getAsset(ctx, assetID);
 
-        // Delete public data
+        // Delete public data and its index entries
         await ctx.stub.deleteState(assetID);
+        await this._moveIndexEntry(ctx, STATUS_INDEX, assetID, asset.status, undefined);
+        await this._moveIndexEntry(ctx, OWNER_INDEX, assetID, asset.owner, undefined);
 
         // Delete private data if exists
         try {
@@ -22,7 +22,7 @@
 
 'use strict';
 
-const { createAsset, approveAsset, rejectAsset, deleteAsset } = require('./invoke');
+const { createAsset, approveAsset, rejectAsset, deleteAsset, rebuildAssetIndexes } = require('./invoke');
 const { queryAsset, queryPrivateDetails, getAllAssets, getAssetHistory } = require('./query');
 
 // Import validation functions from config
@@ -71,6 +71,10 @@ Commands:
       Delete an asset (Org1 only)
       Example: node app.js delete ASSET001 org1 admin
 
+  reindex <org> <userId>
+      Add assets written before the status/owner indexes to them (Org1 only)
+      Example: node app.js reindex org1 admin
+
 Organizations:
   org1 - Asset Owner (can create, update, delete assets)
   org2 - Auditor (can approve/reject, view private data)
@@ -254,6 +258,21 @@ async function main() {
                 break;
             }
 
+            case 'reindex': {
+                const [org, userId] = args.slice(1);
+                if (!org || !userId) {
+                    console.error('Usage: node app.js reindex <org> <userId>');
+                    process.exit(1);
+                }
+
+                // Input validation
+                validateOrg(org);
+                validateUserId(userId);
+
+                await rebuildAssetIndexes(org, userId);
+                break;
+            }
+
             case 'help':
             case '--help':
             case '-h':
@@ -171,11 +171,43 @@ async function deleteAsset(org, userId, assetID) {
     }
 }
 
+/**
+ * Add assets written before the status/owner indexes existed to them (Org1 only)
+ * @param {string} org - Organization
+ * @param {string} userId - User ID
+ * @param {number} batchSize - Keys scanned per transaction
+ */
+async function rebuildAssetIndexes(org, userId, batchSize = 100) {
+    let gateway;
+    try {
+        const { gateway: gw, contract } = await connectToNetwork(org, userId);
+        gateway = gw;
+
+        console.log(`\nRebuilding asset indexes as ${org}...`);
+
+        let startKey = '';
+        let indexed = 0;
+        do {
+            const result = await contract.submitTransaction('RebuildAssetIndexes', startKey, String(batchSize));
+            const batch = JSON.parse(result.toString());
+            indexed += batch.indexed;
+            startKey = batch.nextKey;
+        } while (startKey);
+
+        console.log(`✓ ${indexed} assets indexed`);
+        return indexed;
+
+    } finally {
+        disconnect(gateway);
+    }
+}
+
 module.exports = {
     createAsset,
     updateAssetStatus,
     addPrivateDetails,
     approveAsset,
     rejectAsset,
-    deleteAsset
+    deleteAsset,
+    rebuildAssetIndexes
 };
@@ -145,6 +145,33 @@ async function getAssetsByStatus(org, userId, status) {
     }
 }
 
+/**
+ * Get assets by owner
+ * @param {string} org - Organization
+ * @param {string} userId - User ID
+ * @param {string} owner - Owner MSP ID (e.g. Org1MSP)
+ * @returns {array} Assets owned by that organization
+ */
+async function getAssetsByOwner(org, userId, owner) {
+    let gateway;
+    try {
+        const { gateway: gw, contract } = await connectToNetwork(org, userId);
+        gateway = gw;
+
+        console.log(`\nQuerying assets owned by: ${owner}...`);
+
+        const result = await contract.evaluateTransaction('GetAssetsByOwner', owner);
+
+        const assets = JSON.parse(result.toString());
+        console.log(`Found ${assets.length} asset(s) owned by "${owner}"`);
+        console.log(JSON.stringify(assets, null, 2));
+        return assets;
+
+    } finally {
+        disconnect(gateway);
+    }
+}
+
 /**
  * Check if asset exists
  * @param {string} org - Organization
@@ -173,5 +200,6 @@ module.exports = {
     getAllAssets,
     getAssetHistory,
     getAssetsByStatus,
+    getAssetsByOwner,
     assetExists
 };
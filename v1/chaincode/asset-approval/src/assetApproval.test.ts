@@ -0,0 +1,100 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ * Asset Approval Chaincode - unit tests against an in-memory world state
+ *
+ * Run: npm run test:unit
+ */
+
+import * as assert from 'assert';
+import { describe, it } from 'node:test';
+import { Context } from 'fabric-contract-api';
+import { AssetApprovalContract, Asset, AssetStatus } from './assetApproval';
+
+// Composite keys use the same U+0000 framing as the peer
+const compositeKey = (objectType: string, attributes: string[]): string =>
+    `\u0000${objectType}\u0000${attributes.map(a => `${a}\u0000`).join('')}`;
+
+const iterate = (entries: [string, Buffer][]) => {
+    let i = 0;
+    return {
+        next: async () => i < entries.length
+            ? { done: false, value: { key: entries[i][0], value: entries[i++][1] } }
+            : { done: true, value: undefined },
+        close: async () => undefined
+    };
+};
+
+const newContext = (world: Map<string, Buffer>, mspId: string, ou: string): Context => ({
+    clientIdentity: {
+        getMSPID: () => mspId,
+        getID: () => `x509::/C=US/ST=North Carolina/O=Hyperledger/OU=${ou}/CN=${ou}@example.com::/C=US/CN=ca.example.com`
+    },
+    stub: {
+        getState: async (key: string) => world.get(key) ?? Buffer.alloc(0),
+        putState: async (key: string, value: Buffer) => { world.set(key, Buffer.from(value)); },
+        deleteState: async (key: string) => { world.delete(key); },
+        createCompositeKey: compositeKey,
+        splitCompositeKey: (key: string) => {
+            const parts = key.split('\u0000');
+            return { objectType: parts[1], attributes: parts.slice(2, -1) };
+        },
+        getStateByRange: async (startKey: string, endKey: string) => iterate(
+            [...world.entries()]
+                .filter(([key]) => !key.startsWith('\u0000') && key >= startKey && (!endKey || key < endKey))
+                .sort(([a], [b]) => a.localeCompare(b))),
+        getStateByPartialCompositeKey: async (objectType: string, attributes: string[]) => iterate(
+            [...world.entries()]
+                .filter(([key]) => key.startsWith(compositeKey(objectType, attributes)))
+                .sort(([a], [b]) => a.localeCompare(b)))
+    }
+} as unknown as Context);
+
+// An asset document as written before the status/owner indexes existed
+const legacyAsset = (assetID: string): Asset => ({
+    docType: 'asset',
+    assetID,
+    description: 'written without index entries',
+    owner: 'Org1MSP',
+    status: AssetStatus.APPROVED,
+    approvals: { 'Org2MSP': 'APPROVED', 'Org3MSP': 'APPROVED' },
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z'
+});
+
+describe('RebuildAssetIndexes', () => {
+    const contract = new AssetApprovalContract();
+
+    it('lists assets written without index entries once rebuilt', async () => {
+        const world = new Map<string, Buffer>();
+        for (const id of ['legacy-1', 'legacy-2', 'legacy-3']) {
+            world.set(id, Buffer.from(JSON.stringify(legacyAsset(id))));
+        }
+        const auditor = newContext(world, 'Org2MSP', 'client');
+        const admin = newContext(world, 'Org1MSP', 'admin');
+
+        assert.deepStrictEqual(JSON.parse(await contract.QueryAssetsByStatus(auditor, 'APPROVED')), []);
+
+        let startKey = '';
+        let indexed = 0;
+        do {
+            const batch = JSON.parse(await contract.RebuildAssetIndexes(admin, startKey, '2'));
+            indexed += batch.indexed;
+            startKey = batch.nextKey;
+        } while (startKey);
+        assert.strictEqual(indexed, 3);
+
+        const approved = JSON.parse(await contract.QueryAssetsByStatus(auditor, 'APPROVED')) as Asset[];
+        assert.deepStrictEqual(approved.map(a => a.assetID), ['legacy-1', 'legacy-2', 'legacy-3']);
+        const owned = JSON.parse(await contract.QueryAssetsByOwner(auditor, 'Org1MSP')) as Asset[];
+        assert.deepStrictEqual(owned.map(a => a.assetID), ['legacy-1', 'legacy-2', 'legacy-3']);
+    });
+
+    it('rejects callers that are not org admins', async () => {
+        const world = new Map<string, Buffer>([['legacy-1', Buffer.from(JSON.stringify(legacyAsset('legacy-1')))]]);
+
+        await assert.rejects(
+            contract.RebuildAssetIndexes(newContext(world, 'Org1MSP', 'client'), '', '10'),
+            /Org admin required/);
+        assert.strictEqual(world.size, 1);
+    });
+});
@@ -9,6 +9,7 @@
  */
 
 import { Context, Contract, Info, Returns, Transaction } from 'fabric-contract-api';
+import { Iterators } from 'fabric-shim';
 
 // ===========================================================================
 // Types and Interfaces
@@ -45,10 +46,19 @@ const ROLE_ASSET_OWNER = 'asset_owner';
 const ROLE_AUDITOR = 'auditor';
 const ROLE_REGULATOR = 'regulator';
 
+// Upper bound for paginated query page size
+const MAX_PAGE_SIZE = 200;
+
+// Secondary indexes maintained by putAsset: status~assetID and owner~assetID
+// Listing by status or owner reads these, so it works on LevelDB peers too
+const STATUS_INDEX = 'status~assetID';
+const OWNER_INDEX = 'owner~assetID';
+const INDEX_ENTRY_VALUE = Buffer.from('\u0000');
+
 // Valid state transitions
 const VALID_TRANSITIONS: { [key: string]: AssetStatus[] } = {
     [AssetStatus.CREATED]: [AssetStatus.PENDING_APPROVAL, AssetStatus.DELETED],
-    [AssetStatus.PENDING_APPROVAL]: [AssetStatus.APPROVED, AssetStatus.REJECTED],
+    [AssetStatus.PENDING_APPROVAL]: [AssetStatus.APPROVED, AssetStatus.REJECTED, AssetStatus.CREATED],
     [AssetStatus.APPROVED]: [AssetStatus.ACTIVE, AssetStatus.DELETED],
     [AssetStatus.REJECTED]: [AssetStatus.PENDING_APPROVAL, AssetStatus.DELETED],
     [AssetStatus.ACTIVE]: [AssetStatus.DELETED],
@@ -88,6 +98,17 @@ export class AssetApprovalContract extends Contract {
         }
     }
 
+    /**
+     * Require an org admin. cryptogen issues NodeOU certificates, so admins
+     * carry OU=admin in the subject of their ID (x509::<subject>::<issuer>)
+     */
+    private requireOrgAdmin(ctx: Context): void {
+        const subject = ctx.clientIdentity.getID().split('::')[1] || '';
+        if (!subject.split('/').includes('OU=admin')) {
+            throw new Error(`Org admin required (${this.getClientMSP(ctx)} caller is not OU=admin)`);
+        }
+    }
+
     private getClientMSP(ctx: Context): string {
         return ctx.clientIdentity.getMSPID();
     }
@@ -175,7 +196,7 @@ export class AssetApprovalContract extends Contract {
             updatedAt: now
         };
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this.putAsset(ctx, asset);
     }
 
     @Transaction()
@@ -224,7 +245,36 @@ export class AssetApprovalContract extends Contract {
             'Org3MSP': 'PENDING'
         };
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this.putAsset(ctx, asset);
+    }
+
+    /**
+     * Withdraw a pending submission (owner only): PENDING_APPROVAL -> CREATED
+     * Clears any partial approvals; the withdrawal stays in the asset history.
+     */
+    @Transaction()
+    public async WithdrawSubmission(ctx: Context, assetID: string): Promise<void> {
+        await this.requireRole(ctx, [ROLE_ASSET_OWNER]);
+
+        const asset = await this.ReadAsset(ctx, assetID);
+
+        // Validate transition
+        this.validateTransition(asset.status, AssetStatus.CREATED);
+
+        // Verify ownership
+        const mspID = this.getClientMSP(ctx);
+        if (asset.owner !== mspID) {
+            throw new Error('Only asset owner can withdraw a submission');
+        }
+
+        asset.status = AssetStatus.CREATED;
+        asset.updatedAt = this.getTimestamp(ctx);
+        asset.approvals = {
+            'Org2MSP': 'PENDING',
+            'Org3MSP': 'PENDING'
+        };
+
+        await this.putAsset(ctx, asset);
     }
 
     @Transaction()
@@ -247,7 +297,7 @@ export class AssetApprovalContract extends Contract {
             asset.status = AssetStatus.APPROVED;
         }
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this.putAsset(ctx, asset);
     }
 
     @Transaction()
@@ -265,7 +315,7 @@ export class AssetApprovalContract extends Contract {
         asset.status = AssetStatus.REJECTED;
         asset.updatedAt = this.getTimestamp(ctx);
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this.putAsset(ctx, asset);
     }
 
     @Transaction()
@@ -283,7 +333,7 @@ export class AssetApprovalContract extends Contract {
         asset.status = AssetStatus.ACTIVE;
         asset.updatedAt = this.getTimestamp(ctx);
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this.putAsset(ctx, asset);
     }
 
     @Transaction()
@@ -312,7 +362,7 @@ export class AssetApprovalContract extends Contract {
         asset.description = newDescription;
         asset.updatedAt = this.getTimestamp(ctx);
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this.putAsset(ctx, asset);
     }
 
     @Transaction()
@@ -330,7 +380,55 @@ export class AssetApprovalContract extends Contract {
         asset.status = AssetStatus.DELETED;
         asset.updatedAt = this.getTimestamp(ctx);
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await this.putAsset(ctx, asset);
+    }
+
+    // ===========================================================================
+    // Index Maintenance
+    // ===========================================================================
+
+    /**
+     * Write the status~assetID and owner~assetID index entries for up to `limit`
+     * assets starting at `startKey`, for assets created before the indexes existed.
+     * Call again with the returned nextKey until it is ''.
+     */
+    @Transaction()
+    @Returns('string')
+    public async RebuildAssetIndexes(ctx: Context, startKey: string, limit: string): Promise<string> {
+        this.requireOrgAdmin(ctx);
+
+        const max = parseInt(limit, 10);
+        if (!Number.isInteger(max) || max < 1 || max > MAX_PAGE_SIZE) {
+            throw new Error(`Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+
+        const iterator = await ctx.stub.getStateByRange(startKey || '', '');
+        let scanned = 0;
+        let indexed = 0;
+        let nextKey = '';
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (scanned === max) {
+                nextKey = result.value.key;
+                break;
+            }
+            scanned++;
+
+            const value = result.value.value;
+            if (value && value.length > 0) {
+                const doc = JSON.parse(value.toString());
+                if (doc.docType === 'asset') {
+                    await ctx.stub.putState(ctx.stub.createCompositeKey(STATUS_INDEX, [doc.status, doc.assetID]), INDEX_ENTRY_VALUE);
+                    await ctx.stub.putState(ctx.stub.createCompositeKey(OWNER_INDEX, [doc.owner, doc.assetID]), INDEX_ENTRY_VALUE);
+                    indexed++;
+                }
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return JSON.stringify({ scanned, indexed, nextKey });
     }
 
     // ===========================================================================
@@ -354,31 +452,59 @@ export class AssetApprovalContract extends Contract {
         return JSON.stringify(asset);
     }
 
+    /**
+     * Listing queries read keys and index entries rather than CouchDB selectors,
+     * so they work on LevelDB and CouchDB peers alike
+     */
     @Transaction(false)
     @Returns('string')
     public async QueryAllAssets(ctx: Context): Promise<string> {
-        const queryString = JSON.stringify({
-            selector: { docType: 'asset' }
-        });
-        return await this.queryWithQueryString(ctx, queryString);
+        // Plain keys only; index entries are composite keys outside this range
+        const iterator = await ctx.stub.getStateByRange('', '');
+        return JSON.stringify(await this.collectAssets(iterator));
     }
 
     @Transaction(false)
     @Returns('string')
     public async QueryAssetsByStatus(ctx: Context, status: string): Promise<string> {
-        const queryString = JSON.stringify({
-            selector: { docType: 'asset', status }
-        });
-        return await this.queryWithQueryString(ctx, queryString);
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(STATUS_INDEX, [status]);
+        return JSON.stringify(await this.resolveIndexEntries(ctx, iterator));
     }
 
     @Transaction(false)
     @Returns('string')
     public async QueryAssetsByOwner(ctx: Context, owner: string): Promise<string> {
-        const queryString = JSON.stringify({
-            selector: { docType: 'asset', owner }
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(OWNER_INDEX, [owner]);
+        return JSON.stringify(await this.resolveIndexEntries(ctx, iterator));
+    }
+
+    /**
+     * Paginated variants: return { records, fetchedCount, bookmark }
+     * Pass the returned bookmark to fetch the next page ('' for the first page)
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAllAssetsWithPagination(ctx: Context, pageSize: string, bookmark: string): Promise<string> {
+        const size = this.parsePageSize(pageSize);
+        const { iterator, metadata } = await ctx.stub.getStateByRangeWithPagination('', '', size, bookmark || '');
+
+        return JSON.stringify({
+            records: await this.collectAssets(iterator),
+            fetchedCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark
         });
-        return await this.queryWithQueryString(ctx, queryString);
+    }
+
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAssetsByStatusWithPagination(ctx: Context, status: string, pageSize: string, bookmark: string): Promise<string> {
+        return await this.queryIndexWithPagination(ctx, STATUS_INDEX, status, pageSize, bookmark);
+    }
+
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAssetsByOwnerWithPagination(ctx: Context, owner: string, pageSize: string, bookmark: string): Promise<string> {
+        return await this.queryIndexWithPagination(ctx, OWNER_INDEX, owner, pageSize, bookmark);
     }
 
     @Transaction(false)
@@ -440,19 +566,89 @@ export class AssetApprovalContract extends Contract {
         return assetBuffer && assetBuffer.length > 0;
     }
 
-    private async queryWithQueryString(ctx: Context, queryString: string): Promise<string> {
-        const iterator = await ctx.stub.getQueryResult(queryString);
-        const results: Asset[] = [];
+    /**
+     * Write an asset and move its status~assetID / owner~assetID index entries
+     * when either value changed. The previous values come from committed state,
+     * so call this at most once per asset in a transaction.
+     */
+    private async putAsset(ctx: Context, asset: Asset): Promise<void> {
+        const previousBuffer = await ctx.stub.getState(asset.assetID);
+        const previous = previousBuffer && previousBuffer.length > 0
+            ? JSON.parse(previousBuffer.toString()) as Asset
+            : undefined;
+
+        await ctx.stub.putState(asset.assetID, Buffer.from(JSON.stringify(asset)));
+        await this.moveIndexEntry(ctx, STATUS_INDEX, asset.assetID, previous?.status, asset.status);
+        await this.moveIndexEntry(ctx, OWNER_INDEX, asset.assetID, previous?.owner, asset.owner);
+    }
+
+    private async moveIndexEntry(ctx: Context, indexName: string, assetID: string, oldValue: string | undefined, newValue: string): Promise<void> {
+        if (oldValue === newValue) {
+            return;
+        }
+        if (oldValue) {
+            await ctx.stub.deleteState(ctx.stub.createCompositeKey(indexName, [oldValue, assetID]));
+        }
+        await ctx.stub.putState(ctx.stub.createCompositeKey(indexName, [newValue, assetID]), INDEX_ENTRY_VALUE);
+    }
+
+    /**
+     * Resolve index entries (indexName~value~assetID) to the assets they point at
+     */
+    private async resolveIndexEntries(ctx: Context, iterator: Iterators.StateQueryIterator): Promise<Asset[]> {
+        const assets: Asset[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            const { attributes } = ctx.stub.splitCompositeKey(result.value.key);
+            const assetBuffer = await ctx.stub.getState(attributes[attributes.length - 1]);
+            if (assetBuffer && assetBuffer.length > 0) {
+                assets.push(JSON.parse(assetBuffer.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return assets;
+    }
+
+    private async queryIndexWithPagination(ctx: Context, indexName: string, value: string, pageSize: string, bookmark: string): Promise<string> {
+        const size = this.parsePageSize(pageSize);
+        const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(indexName, [value], size, bookmark || '');
+
+        return JSON.stringify({
+            records: await this.resolveIndexEntries(ctx, iterator),
+            fetchedCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark
+        });
+    }
+
+    /**
+     * Parse asset documents from a plain-key iterator, skipping other docTypes
+     */
+    private async collectAssets(iterator: Iterators.StateQueryIterator): Promise<Asset[]> {
+        const assets: Asset[] = [];
 
         let result = await iterator.next();
         while (!result.done) {
             if (result.value.value && result.value.value.length > 0) {
-                results.push(JSON.parse(result.value.value.toString()));
+                const doc = JSON.parse(result.value.value.toString());
+                if (doc.docType === 'asset') {
+                    assets.push(doc as Asset);
+                }
             }
             result = await iterator.next();
         }
         await iterator.close();
 
-        return JSON.stringify(results);
+        return assets;
+    }
+
+    private parsePageSize(pageSize: string): number {
+        const size = parseInt(pageSize, 10);
+        if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+            throw new Error(`Page size must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+        return size;
     }
 }
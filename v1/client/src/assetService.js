@@ -78,6 +78,16 @@ class AssetService {
         return result;
     }
 
+    /**
+     * Withdraw a pending submission back to CREATED (asset_owner only)
+     */
+    async withdrawSubmission(assetId) {
+        this._log(`Withdrawing submission: ${assetId}`);
+        const result = await this.client.submitTransaction('WithdrawSubmission', assetId);
+        this._log(`Asset ${assetId} withdrawn to CREATED`);
+        return result;
+    }
+
     /**
      * Approve an asset (auditor or regulator only)
      */
@@ -128,6 +138,25 @@ class AssetService {
         return result;
     }
 
+    /**
+     * Add assets written before the status/owner indexes existed to them (org admin only)
+     * Runs RebuildAssetIndexes in batches until the whole key range is covered
+     */
+    async rebuildAssetIndexes(batchSize = 100) {
+        this._log('Rebuilding asset indexes');
+        let startKey = '';
+        let scanned = 0;
+        let indexed = 0;
+        do {
+            const batch = JSON.parse(await this.client.submitTransaction('RebuildAssetIndexes', startKey, String(batchSize)));
+            scanned += batch.scanned;
+            indexed += batch.indexed;
+            startKey = batch.nextKey;
+        } while (startKey);
+        this._log(`Indexed ${indexed} assets (${scanned} keys scanned)`);
+        return { scanned, indexed };
+    }
+
     // ===========================================================================
     // Query Operations
     // ===========================================================================
@@ -176,6 +205,31 @@ class AssetService {
         return JSON.parse(result);
     }
 
+    /**
+     * Iterate all assets page by page
+     * for await (const asset of service.iterateAllAssets(100)) { ... }
+     */
+    iterateAllAssets(pageSize = 100) {
+        this._log(`Iterating all assets (page size ${pageSize})`);
+        return this.client.iterateQuery('QueryAllAssetsWithPagination', pageSize);
+    }
+
+    /**
+     * Iterate assets by status page by page
+     */
+    iterateAssetsByStatus(status, pageSize = 100) {
+        this._log(`Iterating assets by status: ${status} (page size ${pageSize})`);
+        return this.client.iterateQuery('QueryAssetsByStatusWithPagination', pageSize, status);
+    }
+
+    /**
+     * Iterate assets by owner page by page
+     */
+    iterateAssetsByOwner(ownerMsp, pageSize = 100) {
+        this._log(`Iterating assets by owner: ${ownerMsp} (page size ${pageSize})`);
+        return this.client.iterateQuery('QueryAssetsByOwnerWithPagination', pageSize, ownerMsp);
+    }
+
     /**
      * Get asset history
      */
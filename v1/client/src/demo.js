@@ -173,6 +173,18 @@ ${c.bright}Endorsement Policy:${c.reset} ${c.cyan}AND(Org1, OR(Org2, Org3))${c.r
         asset = await org1Service.queryAsset(assetId);
         log.success(`Status changed to: ${log.status(asset.status)}`);
         console.log(`  ${c.dim}Pending approvals from: Org2MSP (Auditor), Org3MSP (Regulator)${c.reset}`);
+
+        const withdraw = await question('Withdraw the submission before approvers act? (y/N) ');
+        if (withdraw.trim().toLowerCase() === 'y') {
+            log.command(`withdrawSubmission("${assetId}")`);
+            await org1Service.withdrawSubmission(assetId);
+            asset = await org1Service.queryAsset(assetId);
+            log.success(`Submission withdrawn, status: ${log.status(asset.status)}`);
+            log.info('Resubmitting so the demo can continue...');
+            await org1Service.submitForApproval(assetId);
+            asset = await org1Service.queryAsset(assetId);
+            log.success(`Status changed to: ${log.status(asset.status)}`);
+        }
         await pause();
 
         // Step 4: Org2 Approval
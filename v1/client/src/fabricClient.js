@@ -48,6 +48,7 @@ const OPERATION_ROLES = {
     'CreateAsset': ['asset_owner'],
     'CreateAssetWithPrivateData': ['asset_owner'],
     'SubmitForApproval': ['asset_owner'],
+    'WithdrawSubmission': ['asset_owner'],
     'ApproveAsset': ['auditor', 'regulator'],
     'RejectAsset': ['auditor', 'regulator'],
     'ActivateAsset': ['asset_owner'],
@@ -57,8 +58,12 @@ const OPERATION_ROLES = {
     'QueryAllAssets': ['asset_owner', 'auditor', 'regulator'],
     'QueryAssetsByStatus': ['asset_owner', 'auditor', 'regulator'],
     'QueryAssetsByOwner': ['asset_owner', 'auditor', 'regulator'],
+    'QueryAllAssetsWithPagination': ['asset_owner', 'auditor', 'regulator'],
+    'QueryAssetsByStatusWithPagination': ['asset_owner', 'auditor', 'regulator'],
+    'QueryAssetsByOwnerWithPagination': ['asset_owner', 'auditor', 'regulator'],
     'GetAssetHistory': ['asset_owner', 'auditor', 'regulator'],
     'ReadPrivateData': ['asset_owner', 'auditor'],  // Org1 and Org2 only
+    'RebuildAssetIndexes': ['asset_owner', 'auditor', 'regulator'],  // Org admins (OU=admin)
 };
 
 /**
@@ -160,6 +165,23 @@ class FabricClient {
         }
     }
 
+    /**
+     * Walk a paginated query, yielding records page by page
+     * The operation must take (...args, pageSize, bookmark) and return
+     * { records, fetchedCount, bookmark }
+     */
+    async *iterateQuery(operation, pageSize, ...args) {
+        let bookmark = '';
+        while (true) {
+            const page = JSON.parse(await this.evaluateTransaction(operation, ...args, String(pageSize), bookmark));
+            yield* page.records;
+            if (page.fetchedCount < pageSize || !page.bookmark || page.bookmark === bookmark) {
+                return;
+            }
+            bookmark = page.bookmark;
+        }
+    }
+
     /**
      * Submit transaction with private data
      */
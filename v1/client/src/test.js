@@ -193,6 +193,18 @@ async function main() {
         return `status="${asset.status}", description="${asset.description.substring(0, 20)}..."`;
     });
 
+    await runTestExpectError('3.5', 'Org2 should be DENIED withdrawing a submission',
+        () => org2.withdrawSubmission(ASSET_REJECT), 'not authorized');
+
+    await runTest('3.6', 'Owner should be ALLOWED to withdraw and clear partial approvals', async () => {
+        await org2.approveAsset(ASSET_REJECT);
+        await org1.withdrawSubmission(ASSET_REJECT);
+        const asset = await org1.queryAsset(ASSET_REJECT);
+        if (asset.status !== 'CREATED') throw new Error(`Status is ${asset.status}`);
+        if (asset.approvals['Org2MSP'] !== 'PENDING') throw new Error('Partial approval not cleared');
+        return `status="${asset.status}", approvals reset`;
+    });
+
     // ========================================================================
     testSection('TEST SUITE 4: Query Permissions (All Orgs Can Read)');
     // ========================================================================
@@ -217,6 +229,34 @@ async function main() {
         return `${history.length} history entries found`;
     });
 
+    await runTest('4.5', 'Should be ALLOWED to iterate all assets page by page', async () => {
+        let count = 0;
+        const seen = new Set();
+        for await (const asset of org2.iterateAllAssets(2)) {
+            seen.add(asset.assetID);
+            count++;
+        }
+        if (!seen.has(ASSET_ACCESS)) throw new Error(`${ASSET_ACCESS} missing from pages`);
+        return `${count} assets across pages of 2`;
+    });
+
+    await runTest('4.6', 'Status and owner indexes should follow transitions', async () => {
+        const approved = await org2.queryAssetsByStatus('APPROVED');
+        if (!approved.some(a => a.assetID === ASSET_STATE)) throw new Error(`${ASSET_STATE} missing from APPROVED`);
+        const pending = await org2.queryAssetsByStatus('PENDING_APPROVAL');
+        if (pending.some(a => a.assetID === ASSET_STATE)) throw new Error(`Stale PENDING_APPROVAL entry for ${ASSET_STATE}`);
+        const owned = await org3.queryAssetsByOwner('Org1MSP');
+        if (!owned.some(a => a.assetID === ASSET_STATE)) throw new Error(`${ASSET_STATE} missing from Org1MSP assets`);
+        return `${approved.length} APPROVED, ${owned.length} owned by Org1MSP`;
+    });
+
+    await runTest('4.7', 'Org admin should be ALLOWED to rebuild the indexes', async () => {
+        const { scanned, indexed } = await org1.rebuildAssetIndexes(2);
+        const approved = await org2.queryAssetsByStatus('APPROVED');
+        if (!approved.some(a => a.assetID === ASSET_STATE)) throw new Error(`${ASSET_STATE} missing after rebuild`);
+        return `${indexed} assets indexed, ${scanned} keys scanned`;
+    });
+
     // ========================================================================
     testSection('TEST SUITE 5: Private Data Access Control');
     // ========================================================================
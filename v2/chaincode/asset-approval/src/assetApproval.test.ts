@@ -0,0 +1,624 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ * Asset Approval Chaincode v2 - unit tests against an in-memory ledger
+ *
+ * These cover chaincode rules in isolation and ledger states the client can no
+ * longer produce, such as records written by earlier chaincode versions.
+ * client/src/test.js exercises the same contract against a running network.
+ *
+ * Run: npm run test:unit
+ */
+
+import * as assert from 'assert';
+import { createHash } from 'crypto';
+import { describe, it } from 'node:test';
+import { Context } from 'fabric-contract-api';
+import { AssetApprovalContract } from './assetApproval';
+
+interface TestIdentity {
+    mspId: string;
+    commonName: string;
+    attributes: { [name: string]: string };
+}
+
+const OWNER: TestIdentity = { mspId: 'Org1MSP', commonName: 'org1admin', attributes: { role: 'owner' } };
+const AUDITOR: TestIdentity = { mspId: 'Org2MSP', commonName: 'org2admin', attributes: { role: 'auditor' } };
+const AUDITOR2: TestIdentity = { mspId: 'Org2MSP', commonName: 'auditor2', attributes: { role: 'auditor' } };
+const REGULATOR: TestIdentity = { mspId: 'Org3MSP', commonName: 'org3admin', attributes: { role: 'regulator' } };
+const COMPLIANCE: TestIdentity = { mspId: 'Org2MSP', commonName: 'compliance1', attributes: { role: 'compliance' } };
+const DEPUTY: TestIdentity = { mspId: 'Org1MSP', commonName: 'user1', attributes: { role: 'owner' } };
+const ADMIN: TestIdentity = { mspId: 'Org1MSP', commonName: 'chaincodeadmin', attributes: { admin: 'true' } };
+
+// The chaincode only hashes the certificate body, so a stable fake body per identity will do
+const certificateOf = (identity: TestIdentity): string =>
+    `-----BEGIN CERTIFICATE-----\n${Buffer.from(identity.mspId + identity.commonName).toString('base64')}\n-----END CERTIFICATE-----\n`;
+
+// SHA-256 of the certificate body, as RevokeIdentity expects
+const certificateFingerprintOf = (identity: TestIdentity): string => createHash('sha256')
+    .update(Buffer.from(certificateOf(identity).replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, ''), 'base64'))
+    .digest('hex');
+
+const compositeKey = (objectType: string, attributes: string[]): string =>
+    `\u0000${objectType}\u0000${attributes.map(a => `${a}\u0000`).join('')}`;
+
+const iterate = <T>(values: T[]) => {
+    let i = 0;
+    return {
+        next: async () => i < values.length ? { done: false, value: values[i++] } : { done: true, value: undefined },
+        close: async () => undefined
+    };
+};
+
+const sorted = (entries: [string, Buffer][]) => entries
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => ({ key, value }));
+
+/**
+ * World state plus one private data collection. Writes are buffered and only
+ * applied when the transaction succeeds, as on a peer.
+ */
+class TestLedger {
+    readonly world = new Map<string, Buffer>();
+    readonly privateData = new Map<string, Buffer>();
+    private readonly contract = new AssetApprovalContract();
+    private seconds = 1700000000;
+    private txCount = 0;
+
+    async invoke(identity: TestIdentity, fn: string, args: string[] = [], transient: { [key: string]: string } = {}): Promise<any> {
+        const writes = new Map<string, Buffer | null>();
+        const privateWrites = new Map<string, Buffer | null>();
+        const txId = `tx${++this.txCount}`;
+
+        const ctx = {
+            clientIdentity: {
+                getMSPID: () => identity.mspId,
+                getID: () => `x509::/C=US/ST=North Carolina/O=Hyperledger/OU=client/CN=${identity.commonName}::/C=US/CN=ca.${identity.mspId}`,
+                getIDBytes: () => Buffer.from(certificateOf(identity)),
+                getAttributeValue: (name: string) => identity.attributes[name] ?? null,
+                assertAttributeValue: (name: string, value: string) => identity.attributes[name] === value
+            },
+            stub: {
+                getTxID: () => txId,
+                getTxTimestamp: () => ({ seconds: this.seconds, nanos: 0 }),
+                getTransient: () => new Map(Object.entries(transient).map(([k, v]) => [k, Buffer.from(v)])),
+                setEvent: () => undefined,
+                getState: async (key: string) => this.world.get(key) ?? Buffer.alloc(0),
+                putState: async (key: string, value: Uint8Array) => { writes.set(key, Buffer.from(value)); },
+                deleteState: async (key: string) => { writes.set(key, null); },
+                createCompositeKey: compositeKey,
+                splitCompositeKey: (key: string) => {
+                    const parts = key.split('\u0000');
+                    return { objectType: parts[1], attributes: parts.slice(2, -1) };
+                },
+                getStateByRange: async (startKey: string, endKey: string) => iterate(sorted([...this.world.entries()]
+                    .filter(([key]) => !key.startsWith('\u0000') && key >= startKey && (!endKey || key < endKey)))),
+                getStateByRangeWithPagination: async (startKey: string, endKey: string, pageSize: number, bookmark: string) => {
+                    const entries = sorted([...this.world.entries()]
+                        .filter(([key]) => !key.startsWith('\u0000') && key >= (bookmark || startKey) && (!endKey || key < endKey)));
+                    const page = entries.slice(0, pageSize);
+                    return {
+                        iterator: iterate(page),
+                        metadata: { fetchedRecordsCount: page.length, bookmark: entries[pageSize]?.key ?? '' }
+                    };
+                },
+                getStateByPartialCompositeKey: async (objectType: string, attributes: string[]) => iterate(sorted([...this.world.entries()]
+                    .filter(([key]) => key.startsWith(compositeKey(objectType, attributes))))),
+                getQueryResult: async () => { throw new Error('Rich queries are not supported on LevelDB'); },
+                getPrivateData: async (_collection: string, key: string) => this.privateData.get(key) ?? Buffer.alloc(0),
+                getPrivateDataHash: async (_collection: string, key: string) => {
+                    const value = this.privateData.get(key);
+                    return value ? createHash('sha256').update(value).digest() : Buffer.alloc(0);
+                },
+                getPrivateDataByPartialCompositeKey: async (_collection: string, objectType: string, attributes: string[]) =>
+                    iterate(sorted([...this.privateData.entries()].filter(([key]) => key.startsWith(compositeKey(objectType, attributes))))),
+                putPrivateData: async (_collection: string, key: string, value: Uint8Array) => { privateWrites.set(key, Buffer.from(value)); },
+                deletePrivateData: async (_collection: string, key: string) => { privateWrites.set(key, null); },
+                purgePrivateData: async (_collection: string, key: string) => { privateWrites.set(key, null); }
+            }
+        } as unknown as Context;
+
+        const method = (this.contract as any)[fn] as (ctx: Context, ...args: string[]) => Promise<any>;
+        const result = await method.call(this.contract, ctx, ...args);
+
+        for (const [key, value] of writes) {
+            if (value) {
+                this.world.set(key, value);
+            } else {
+                this.world.delete(key);
+            }
+        }
+        for (const [key, value] of privateWrites) {
+            if (value) {
+                this.privateData.set(key, value);
+            } else {
+                this.privateData.delete(key);
+            }
+        }
+        this.seconds += 10;
+        return result;
+    }
+}
+
+/**
+ * Store and activate an approval policy; assets created afterwards snapshot it
+ */
+const activatePolicy = async (ledger: TestLedger, policyID: string, policy: object): Promise<void> => {
+    await ledger.invoke(ADMIN, 'SetApprovalPolicy', [policyID, JSON.stringify(policy)]);
+    await ledger.invoke(ADMIN, 'ActivateApprovalPolicy', [policyID]);
+};
+
+const readAsset = (ledger: TestLedger, assetID: string) => JSON.parse(ledger.world.get(assetID)!.toString());
+
+describe('Approval stages', () => {
+    // 2-of-3: auditor and compliance decide first, then the regulator
+    const STAGED_QUORUM = {
+        requiredApprovals: ['auditor', 'compliance', 'regulator'],
+        quorum: { threshold: 2 },
+        stages: [['auditor', 'compliance'], ['regulator']]
+    };
+
+    const submitted = async (policy: object): Promise<TestLedger> => {
+        const ledger = new TestLedger();
+        await activatePolicy(ledger, 'staged', policy);
+        await ledger.invoke(OWNER, 'CreateAsset', ['STG-1', 'Staged approval']);
+        await ledger.invoke(OWNER, 'SubmitForApproval', ['STG-1']);
+        return ledger;
+    };
+
+    it('holds later stages until every earlier role has decided', async () => {
+        const ledger = await submitted(STAGED_QUORUM);
+        await ledger.invoke(AUDITOR, 'RejectAsset', ['STG-1', 'Invoice missing']);
+
+        await assert.rejects(ledger.invoke(REGULATOR, 'ApproveAsset', ['STG-1']),
+            /\[CONFLICT\] Role 'regulator' cannot approve yet: stage 1 awaits a decision from compliance/);
+    });
+
+    it('lets a later stage approve after a rejection that leaves the quorum reachable', async () => {
+        const ledger = await submitted(STAGED_QUORUM);
+        await ledger.invoke(AUDITOR, 'RejectAsset', ['STG-1', 'Invoice missing']);
+        await ledger.invoke(COMPLIANCE, 'ApproveAsset', ['STG-1']);
+        assert.strictEqual(readAsset(ledger, 'STG-1').status, 'PENDING_APPROVAL');
+
+        await ledger.invoke(REGULATOR, 'ApproveAsset', ['STG-1']);
+        assert.strictEqual(readAsset(ledger, 'STG-1').status, 'APPROVED');
+    });
+
+    it('rejects once the stage-1 rejections make the quorum unreachable', async () => {
+        const ledger = await submitted(STAGED_QUORUM);
+        await ledger.invoke(AUDITOR, 'RejectAsset', ['STG-1', 'Invoice missing']);
+        await ledger.invoke(COMPLIANCE, 'RejectAsset', ['STG-1', 'Sanctions hit']);
+
+        assert.strictEqual(readAsset(ledger, 'STG-1').status, 'REJECTED');
+        await assert.rejects(ledger.invoke(REGULATOR, 'ApproveAsset', ['STG-1']), /must be PENDING_APPROVAL/);
+    });
+
+    it('rejects a unanimous staged asset at the first rejection', async () => {
+        const ledger = await submitted({ requiredApprovals: ['auditor', 'regulator'], stages: [['auditor'], ['regulator']] });
+        await ledger.invoke(AUDITOR, 'RejectAsset', ['STG-1', 'Invoice missing']);
+
+        assert.strictEqual(readAsset(ledger, 'STG-1').status, 'REJECTED');
+    });
+});
+
+const fingerprintOf = async (ledger: TestLedger, identity: TestIdentity): Promise<string> =>
+    JSON.parse(await ledger.invoke(identity, 'GetCallerInfo')).fingerprint;
+
+describe('ExpirePendingApprovals', () => {
+    // Each transaction advances the clock 10s, so a deadline 15s after creation has
+    // passed by the transaction after the submission
+    const submitOverdue = async (ledger: TestLedger, assetID: string) => {
+        await ledger.invoke(OWNER, 'CreateAsset', [assetID, 'Deadline test']);
+        const createdAt = Date.parse(readAsset(ledger, assetID).createdAt);
+        await ledger.invoke(OWNER, 'SubmitForApprovalWithDeadline', [assetID, new Date(createdAt + 15000).toISOString()]);
+    };
+
+    it('stops at the limit and reports that overdue assets may remain', async () => {
+        const ledger = new TestLedger();
+        await ledger.invoke(OWNER, 'CreateAsset', ['EXP-0', 'No deadline']);
+        await ledger.invoke(OWNER, 'SubmitForApproval', ['EXP-0']);
+        for (const assetID of ['EXP-1', 'EXP-2', 'EXP-3']) {
+            await submitOverdue(ledger, assetID);
+        }
+
+        const first = JSON.parse(await ledger.invoke(AUDITOR, 'ExpirePendingApprovals', ['2']));
+        assert.deepStrictEqual(first.changes.map((c: { assetID: string }) => c.assetID), ['EXP-1', 'EXP-2']);
+        assert.strictEqual(first.hasMore, true);
+        assert.strictEqual(readAsset(ledger, 'EXP-3').status, 'PENDING_APPROVAL');
+
+        const second = JSON.parse(await ledger.invoke(AUDITOR, 'ExpirePendingApprovals', ['2']));
+        assert.deepStrictEqual(second.changes, [{ assetID: 'EXP-3', oldStatus: 'PENDING_APPROVAL', newStatus: 'EXPIRED' }]);
+        assert.strictEqual(second.hasMore, false);
+        assert.strictEqual(readAsset(ledger, 'EXP-0').status, 'PENDING_APPROVAL');
+    });
+
+    it('reports nothing more once the index is read to the end', async () => {
+        const ledger = new TestLedger();
+        await submitOverdue(ledger, 'EXP-1');
+
+        const result = JSON.parse(await ledger.invoke(AUDITOR, 'ExpirePendingApprovals', ['1']));
+        assert.strictEqual(result.changes.length, 1);
+        assert.strictEqual(result.hasMore, false);
+        assert.match(readAsset(ledger, 'EXP-1').statusReason, /^SYSTEM: approval deadline/);
+    });
+});
+
+describe('DelegateApproval', () => {
+    const UNTIL = '2030-01-01T00:00:00.000Z';
+
+    it('refuses a second delegator\'s grant of the same role to the same deputy', async () => {
+        const ledger = new TestLedger();
+        const deputy = await fingerprintOf(ledger, DEPUTY);
+        await ledger.invoke(AUDITOR, 'DelegateApproval', ['auditor', deputy, UNTIL]);
+
+        await assert.rejects(ledger.invoke(AUDITOR2, 'DelegateApproval', ['auditor', deputy, UNTIL]),
+            /\[CONFLICT\] Delegate already holds role 'auditor' from another delegator/);
+        await assert.rejects(ledger.invoke(AUDITOR2, 'RevokeDelegation', ['auditor', deputy]), /Admin privileges required/);
+
+        const [delegation] = JSON.parse(await ledger.invoke(AUDITOR, 'ListDelegations', ['auditor']));
+        assert.strictEqual(delegation.delegatorFingerprint, await fingerprintOf(ledger, AUDITOR));
+    });
+
+    it('lets the same delegator extend the window, and another take over once it is revoked', async () => {
+        const ledger = new TestLedger();
+        const deputy = await fingerprintOf(ledger, DEPUTY);
+        await ledger.invoke(AUDITOR, 'DelegateApproval', ['auditor', deputy, '2029-01-01T00:00:00Z']);
+        await ledger.invoke(AUDITOR, 'DelegateApproval', ['auditor', deputy, UNTIL]);
+        assert.strictEqual(JSON.parse(await ledger.invoke(AUDITOR, 'ListDelegations', ['auditor']))[0].validUntil, UNTIL);
+
+        await ledger.invoke(AUDITOR, 'RevokeDelegation', ['auditor', deputy]);
+        await ledger.invoke(AUDITOR2, 'DelegateApproval', ['auditor', deputy, UNTIL]);
+
+        const delegations = JSON.parse(await ledger.invoke(AUDITOR, 'ListDelegations', ['auditor']));
+        assert.deepStrictEqual(delegations.map((d: { delegatorFingerprint: string }) => d.delegatorFingerprint), [await fingerprintOf(ledger, AUDITOR2)]);
+    });
+
+    it('counts the deputy\'s approval for the delegated role', async () => {
+        const ledger = new TestLedger();
+        await ledger.invoke(OWNER, 'CreateAsset', ['DLG-1', 'Delegated approval']);
+        await ledger.invoke(OWNER, 'SubmitForApproval', ['DLG-1']);
+        await ledger.invoke(AUDITOR, 'DelegateApproval', ['auditor', await fingerprintOf(ledger, DEPUTY), UNTIL]);
+
+        await ledger.invoke(DEPUTY, 'ApproveAsset', ['DLG-1']);
+        const record = readAsset(ledger, 'DLG-1').approvals.auditor;
+        assert.strictEqual(record.decision, 'APPROVED');
+        assert.strictEqual(record.onBehalfOf, await fingerprintOf(ledger, AUDITOR));
+        await assert.rejects(ledger.invoke(OWNER, 'ApproveAsset', ['DLG-1']), /Role 'owner' cannot approve/);
+    });
+});
+
+describe('Ownership transfer', () => {
+    const SIGNED_OFF = { requiredApprovals: ['auditor'], transferSignOffRoles: ['regulator'] };
+
+    const approved = async (assetID: string): Promise<TestLedger> => {
+        const ledger = new TestLedger();
+        await activatePolicy(ledger, 'transfer-sign-off', SIGNED_OFF);
+        await ledger.invoke(OWNER, 'CreateAsset', [assetID, 'Transfer test']);
+        await ledger.invoke(OWNER, 'SubmitForApproval', [assetID]);
+        await ledger.invoke(AUDITOR, 'ApproveAsset', [assetID]);
+        return ledger;
+    };
+
+    it('hands an ACTIVE asset over once the recipient accepts a signed-off proposal', async () => {
+        const ledger = await approved('TRF-1');
+        await ledger.invoke(OWNER, 'ActivateAsset', ['TRF-1']);
+        const deputy = await fingerprintOf(ledger, DEPUTY);
+
+        await assert.rejects(ledger.invoke(DEPUTY, 'ProposeTransfer', ['TRF-1', deputy]), /\[FORBIDDEN\] Only asset owner/);
+        await ledger.invoke(OWNER, 'ProposeTransfer', ['TRF-1', deputy]);
+        await assert.rejects(ledger.invoke(DEPUTY, 'AcceptTransfer', ['TRF-1']), /\[CONFLICT\] Transfer requires sign-off from one of: regulator/);
+        await assert.rejects(ledger.invoke(AUDITOR, 'ApproveTransfer', ['TRF-1']), /\[FORBIDDEN\] Role 'auditor' cannot sign off/);
+
+        await ledger.invoke(REGULATOR, 'ApproveTransfer', ['TRF-1']);
+        await assert.rejects(ledger.invoke(OWNER, 'AcceptTransfer', ['TRF-1']), /\[FORBIDDEN\] Only the proposed new owner/);
+        await ledger.invoke(DEPUTY, 'AcceptTransfer', ['TRF-1']);
+
+        const asset = readAsset(ledger, 'TRF-1');
+        assert.strictEqual(asset.owner, deputy);
+        assert.strictEqual(asset.pendingTransfer, null);
+        const log = JSON.parse(await ledger.invoke(AUDITOR, 'GetTransferLog', ['TRF-1']));
+        assert.deepStrictEqual(log.map((r: { toOwner: string; signedOffBy: string }) => [r.toOwner, r.signedOffBy]), [[deputy, 'regulator']]);
+    });
+
+    it('needs no sign-off before activation, but drops the proposal once the status changes', async () => {
+        const ledger = await approved('TRF-2');
+        const deputy = await fingerprintOf(ledger, DEPUTY);
+
+        await ledger.invoke(OWNER, 'ProposeTransfer', ['TRF-2', deputy]);
+        await ledger.invoke(OWNER, 'ActivateAsset', ['TRF-2']);
+        await assert.rejects(ledger.invoke(DEPUTY, 'AcceptTransfer', ['TRF-2']),
+            /\[CONFLICT\] Transfer was proposed while the asset was APPROVED \(current: ACTIVE\)/);
+
+        const fresh = await approved('TRF-3');
+        await fresh.invoke(OWNER, 'ProposeTransfer', ['TRF-3', deputy]);
+        await fresh.invoke(DEPUTY, 'AcceptTransfer', ['TRF-3']);
+        assert.strictEqual(readAsset(fresh, 'TRF-3').owner, deputy);
+    });
+
+    it('refuses transfers of assets awaiting approval', async () => {
+        const ledger = new TestLedger();
+        await ledger.invoke(OWNER, 'CreateAsset', ['TRF-4', 'Transfer test']);
+        await ledger.invoke(OWNER, 'SubmitForApproval', ['TRF-4']);
+
+        await assert.rejects(ledger.invoke(OWNER, 'ProposeTransfer', ['TRF-4', await fingerprintOf(ledger, DEPUTY)]),
+            /\[CONFLICT\] Cannot transfer an asset in status PENDING_APPROVAL/);
+    });
+});
+
+describe('Comments', () => {
+    const commented = async (): Promise<TestLedger> => {
+        const ledger = new TestLedger();
+        await activatePolicy(ledger, 'commented', { requiredApprovals: ['auditor', 'regulator'] });
+        await ledger.invoke(OWNER, 'CreateAsset', ['CMT-1', 'Comment test']);
+        return ledger;
+    };
+    const texts = async (ledger: TestLedger, identity: TestIdentity) =>
+        JSON.parse(await ledger.invoke(identity, 'ListComments', ['CMT-1'])).map((c: { text: string }) => c.text);
+
+    it('shows confidential comments only to the policy\'s private data roles', async () => {
+        const ledger = await commented();
+        const question = await ledger.invoke(REGULATOR, 'AddComment', ['CMT-1', 'Public question', '']);
+        await ledger.invoke(OWNER, 'AddComment', ['CMT-1', 'Public answer', question]);
+        await ledger.invoke(AUDITOR, 'AddConfidentialComment', ['CMT-1', question], { comment_text: 'Confidential note' });
+
+        assert.deepStrictEqual(await texts(ledger, AUDITOR), ['Public question', 'Public answer', 'Confidential note']);
+        assert.deepStrictEqual(await texts(ledger, REGULATOR), ['Public question', 'Public answer']);
+        await assert.rejects(ledger.invoke(REGULATOR, 'AddConfidentialComment', ['CMT-1', ''], { comment_text: 'Note' }),
+            /\[FORBIDDEN\] Role 'regulator' cannot write confidential comments/);
+    });
+
+    it('refuses replies that point at no visible comment', async () => {
+        const ledger = await commented();
+        const note = await ledger.invoke(AUDITOR, 'AddConfidentialComment', ['CMT-1', ''], { comment_text: 'Confidential note' });
+
+        await assert.rejects(ledger.invoke(OWNER, 'AddComment', ['CMT-1', 'Reply', 'missing']), /\[NOT_FOUND\] Comment missing not found/);
+        // Public replies cannot point at a confidential comment
+        await assert.rejects(ledger.invoke(REGULATOR, 'AddComment', ['CMT-1', 'Reply', note]), /\[NOT_FOUND\] Comment .* not found/);
+        await ledger.invoke(OWNER, 'AddConfidentialComment', ['CMT-1', note], { comment_text: 'Confidential reply' });
+    });
+
+    it('lets only the owner and the asset\'s approver roles comment', async () => {
+        const ledger = await commented();
+
+        await assert.rejects(ledger.invoke(COMPLIANCE, 'AddComment', ['CMT-1', 'Drive-by', '']),
+            /\[FORBIDDEN\] Only the asset owner or one of its approver roles can comment/);
+        await assert.rejects(ledger.invoke(DEPUTY, 'AddComment', ['CMT-1', 'Not my asset', '']), /\[FORBIDDEN\]/);
+        await assert.rejects(ledger.invoke(OWNER, 'AddComment', ['CMT-1', '   ', '']), /Comment text cannot be empty/);
+    });
+});
+
+describe('VerifyPrivateDataHash', () => {
+    const verify = (ledger: TestLedger, assetID: string, copy: object) =>
+        ledger.invoke(AUDITOR, 'VerifyPrivateDataHash', [assetID], { asset_private_data: JSON.stringify(copy) });
+
+    it('verifies private data written in the canonical layout', async () => {
+        const ledger = new TestLedger();
+        await ledger.invoke(OWNER, 'CreateAssetWithPrivateData', ['PDC-NEW', 'Canonical layout'],
+            { asset_private_data: JSON.stringify({ internalValue: 7, confidentialNotes: 'notes' }) });
+
+        assert.strictEqual(await verify(ledger, 'PDC-NEW', { confidentialNotes: 'notes', internalValue: 7 }), true);
+        assert.strictEqual(await verify(ledger, 'PDC-NEW', { confidentialNotes: 'notes', internalValue: 8 }), false);
+    });
+
+    it('verifies private data written in the legacy layout', async () => {
+        const ledger = new TestLedger();
+        await ledger.invoke(OWNER, 'CreateAsset', ['PDC-OLD', 'Legacy layout']);
+
+        // Earlier versions stored the caller's JSON as sent, with assetID appended
+        // and no internalValue default
+        const legacy = { confidentialNotes: 'notes', assetID: 'PDC-OLD' };
+        ledger.privateData.set('PDC-OLD', Buffer.from(JSON.stringify(legacy)));
+
+        assert.strictEqual(await verify(ledger, 'PDC-OLD', { confidentialNotes: 'notes' }), true);
+        assert.strictEqual(await verify(ledger, 'PDC-OLD', { confidentialNotes: 'tampered' }), false);
+        assert.strictEqual(await verify(ledger, 'PDC-OLD', { confidentialNotes: 'notes', internalValue: 0 }), false);
+    });
+});
+
+describe('PurgePrivateData', () => {
+    const createWithConfidentialComment = async (ledger: TestLedger, assetID: string) => {
+        await ledger.invoke(OWNER, 'CreateAssetWithPrivateData', [assetID, 'Has confidential comments'],
+            { asset_private_data: JSON.stringify({ confidentialNotes: 'notes', internalValue: 1 }) });
+        return ledger.invoke(OWNER, 'AddConfidentialComment', [assetID, ''], { comment_text: 'confidential' });
+    };
+
+    it('purges the asset\'s confidential comments with its private data', async () => {
+        const ledger = new TestLedger();
+        const commentID = await createWithConfidentialComment(ledger, 'PURGE-1');
+        const otherID = await createWithConfidentialComment(ledger, 'PURGE-10');
+        await ledger.invoke(OWNER, 'DeleteAsset', ['PURGE-1']);
+
+        await ledger.invoke(OWNER, 'PurgePrivateData', ['PURGE-1']);
+
+        assert.strictEqual(ledger.privateData.has('PURGE-1'), false);
+        assert.strictEqual(ledger.privateData.has(compositeKey('assetComment', ['PURGE-1', commentID])), false);
+        assert.ok(ledger.privateData.has(compositeKey('assetComment', ['PURGE-10', otherID])), 'another asset\'s comment was purged');
+    });
+
+    it('purges confidential comments of an asset created without private data', async () => {
+        const ledger = new TestLedger();
+        await ledger.invoke(OWNER, 'CreateAsset', ['PURGE-2', 'No private data']);
+        await ledger.invoke(OWNER, 'AddConfidentialComment', ['PURGE-2', ''], { comment_text: 'confidential' });
+        await ledger.invoke(OWNER, 'DeleteAsset', ['PURGE-2']);
+
+        await ledger.invoke(OWNER, 'PurgePrivateData', ['PURGE-2']);
+        assert.strictEqual(ledger.privateData.size, 0);
+        await assert.rejects(ledger.invoke(OWNER, 'PurgePrivateData', ['PURGE-2']), /does not exist/);
+    });
+});
+
+describe('RevokeIdentity', () => {
+    it('stops honouring delegations granted by the revoked certificate', async () => {
+        const ledger = new TestLedger();
+        for (const assetID of ['DLG-BEFORE', 'DLG-AFTER']) {
+            await ledger.invoke(OWNER, 'CreateAsset', [assetID, 'Delegation test']);
+            await ledger.invoke(OWNER, 'SubmitForApproval', [assetID]);
+        }
+        const { fingerprint: deputyFingerprint } = JSON.parse(await ledger.invoke(DEPUTY, 'GetCallerInfo'));
+        await ledger.invoke(AUDITOR, 'DelegateApproval', ['auditor', deputyFingerprint, '2030-01-01T00:00:00Z']);
+
+        const [delegation] = JSON.parse(await ledger.invoke(AUDITOR, 'ListDelegations', ['auditor']));
+        assert.strictEqual(delegation.certificateFingerprint, certificateFingerprintOf(AUDITOR));
+
+        await ledger.invoke(DEPUTY, 'ApproveAsset', ['DLG-BEFORE']);
+        await ledger.invoke(ADMIN, 'RevokeIdentity', [certificateFingerprintOf(AUDITOR), 'Key compromised']);
+
+        await assert.rejects(ledger.invoke(DEPUTY, 'ApproveAsset', ['DLG-AFTER']), /Role 'owner' cannot approve/);
+    });
+
+    it('does not honour delegations recorded without the delegating certificate', async () => {
+        const ledger = new TestLedger();
+        await ledger.invoke(OWNER, 'CreateAsset', ['DLG-LEGACY', 'Legacy delegation']);
+        await ledger.invoke(OWNER, 'SubmitForApproval', ['DLG-LEGACY']);
+        const deputy = await fingerprintOf(ledger, DEPUTY);
+        await ledger.invoke(AUDITOR, 'DelegateApproval', ['auditor', deputy, '2030-01-01T00:00:00Z']);
+
+        // Written before DelegateApproval recorded certificateFingerprint
+        const key = compositeKey('approvalDelegation', ['auditor', deputy]);
+        const legacy = JSON.parse(ledger.world.get(key)!.toString());
+        delete legacy.certificateFingerprint;
+        ledger.world.set(key, Buffer.from(JSON.stringify(legacy)));
+
+        await assert.rejects(ledger.invoke(DEPUTY, 'ApproveAsset', ['DLG-LEGACY']), /Role 'owner' cannot approve/);
+
+        // Granting it again records the certificate, and another auditor may replace it
+        await ledger.invoke(AUDITOR2, 'DelegateApproval', ['auditor', deputy, '2030-01-01T00:00:00Z']);
+        await ledger.invoke(DEPUTY, 'ApproveAsset', ['DLG-LEGACY']);
+        assert.strictEqual(readAsset(ledger, 'DLG-LEGACY').approvals.auditor.onBehalfOf, await fingerprintOf(ledger, AUDITOR2));
+    });
+});
+
+describe('MigrateOwnerFingerprints', () => {
+    // Every identity of an org had this owner value before the SHA-256 fingerprint
+    const LEGACY = Buffer.from('x509::/C=US/ST=North Carolina/O=Hyperledger/OU=client/CN=').toString('base64').substring(0, 44);
+
+    const setLegacyOwner = (ledger: TestLedger, assetID: string) => {
+        const asset = readAsset(ledger, assetID);
+        ledger.world.delete(compositeKey('owner~assetID', [asset.owner, assetID]));
+        ledger.world.set(compositeKey('owner~assetID', [LEGACY, assetID]), Buffer.from('\u0000'));
+        asset.owner = LEGACY;
+        delete asset.ownerMSP;
+        ledger.world.set(assetID, Buffer.from(JSON.stringify(asset)));
+    };
+
+    // Written before ownerMSP existed, so nothing on the asset tells its owners apart
+    const newLegacyLedger = async (): Promise<TestLedger> => {
+        const ledger = new TestLedger();
+        for (const assetID of ['FP-1', 'FP-2']) {
+            await ledger.invoke(OWNER, 'CreateAsset', [assetID, 'Legacy owner']);
+            setLegacyOwner(ledger, assetID);
+        }
+        return ledger;
+    };
+    const migrate = async (ledger: TestLedger, plan: object) =>
+        JSON.parse(await ledger.invoke(ADMIN, 'MigrateOwnerFingerprints', [JSON.stringify(plan)]));
+
+    it('moves each listed asset to its own new owner', async () => {
+        const ledger = await newLegacyLedger();
+        const owner = await fingerprintOf(ledger, OWNER);
+        const deputy = await fingerprintOf(ledger, DEPUTY);
+        assert.strictEqual(JSON.parse(await ledger.invoke(AUDITOR, 'QueryAssetsByOwner', [LEGACY])).length, 2);
+
+        const plan = {
+            assets: [
+                { assetID: 'FP-1', legacyFingerprint: LEGACY, fingerprint: owner },
+                { assetID: 'FP-2', legacyFingerprint: LEGACY, fingerprint: deputy }
+            ]
+        };
+
+        assert.deepStrictEqual(await migrate(ledger, plan), { migrated: 2, skipped: 0 });
+        assert.deepStrictEqual(JSON.parse(await ledger.invoke(AUDITOR, 'QueryAssetsByOwner', [deputy])).map((a: { assetID: string }) => a.assetID), ['FP-2']);
+        assert.deepStrictEqual(JSON.parse(await ledger.invoke(AUDITOR, 'QueryAssetsByOwner', [LEGACY])), []);
+
+        // Running the same plan again changes nothing
+        assert.deepStrictEqual(await migrate(ledger, plan), { migrated: 0, skipped: 2 });
+    });
+
+    it('is refused to owners migrating their own assets', async () => {
+        const ledger = await newLegacyLedger();
+        const owner = await fingerprintOf(ledger, OWNER);
+
+        await assert.rejects(
+            ledger.invoke(OWNER, 'MigrateOwnerFingerprints', [JSON.stringify({ assets: [{ assetID: 'FP-1', legacyFingerprint: LEGACY, fingerprint: owner }] })]),
+            /Admin privileges required/);
+    });
+
+    it('refuses an entry whose asset no longer holds the legacy value', async () => {
+        const ledger = await newLegacyLedger();
+        const owner = await fingerprintOf(ledger, OWNER);
+        const deputy = await fingerprintOf(ledger, DEPUTY);
+        await migrate(ledger, { assets: [{ assetID: 'FP-1', legacyFingerprint: LEGACY, fingerprint: owner }] });
+
+        await assert.rejects(migrate(ledger, { assets: [{ assetID: 'FP-1', legacyFingerprint: LEGACY, fingerprint: deputy }] }),
+            /plan the migration again/);
+    });
+
+    it('lists and migrates DELETED assets so their owner can still purge private data', async () => {
+        const ledger = new TestLedger();
+        await ledger.invoke(OWNER, 'CreateAssetWithPrivateData', ['FP-DEL', 'Deleted before the migration'],
+            { asset_private_data: JSON.stringify({ confidentialNotes: 'notes', internalValue: 1 }) });
+        await ledger.invoke(OWNER, 'DeleteAsset', ['FP-DEL']);
+        setLegacyOwner(ledger, 'FP-DEL');
+        await ledger.invoke(OWNER, 'CreateAsset', ['FP-NEW', 'Already on the new fingerprint']);
+
+        const page = JSON.parse(await ledger.invoke(ADMIN, 'QueryAssetsWithLegacyFingerprints', ['10', '']));
+        assert.deepStrictEqual(page.records.map((a: { assetID: string; status: string }) => [a.assetID, a.status]), [['FP-DEL', 'DELETED']]);
+        await assert.rejects(ledger.invoke(OWNER, 'PurgePrivateData', ['FP-DEL']), /\[FORBIDDEN\] Only asset owner/);
+
+        await migrate(ledger, { assets: [{ assetID: 'FP-DEL', legacyFingerprint: LEGACY, fingerprint: await fingerprintOf(ledger, OWNER) }] });
+        await ledger.invoke(OWNER, 'PurgePrivateData', ['FP-DEL']);
+        assert.strictEqual(ledger.privateData.has('FP-DEL'), false);
+    });
+
+    it('moves a pending transfer to its recipient\'s new fingerprint so it can be accepted', async () => {
+        const ledger = await newLegacyLedger();
+        const asset = readAsset(ledger, 'FP-1');
+        asset.pendingTransfer = { toOwner: LEGACY, proposedAt: asset.createdAt, signOffRoles: [], signedOffBy: '', assetStatus: 'CREATED' };
+        ledger.world.set('FP-1', Buffer.from(JSON.stringify(asset)));
+        const entry = { assetID: 'FP-1', legacyFingerprint: LEGACY, fingerprint: await fingerprintOf(ledger, OWNER) };
+
+        assert.strictEqual(JSON.parse(await ledger.invoke(ADMIN, 'QueryAssetsWithLegacyFingerprints', ['10', ''])).records.length, 2);
+        await assert.rejects(migrate(ledger, { assets: [entry] }), /pending transfer to the legacy value/);
+
+        await migrate(ledger, { assets: [{ ...entry, transferFingerprint: await fingerprintOf(ledger, DEPUTY) }] });
+        await ledger.invoke(DEPUTY, 'AcceptTransfer', ['FP-1']);
+        assert.strictEqual(readAsset(ledger, 'FP-1').owner, await fingerprintOf(ledger, DEPUTY));
+    });
+
+    it('cancels a pending transfer given an empty recipient', async () => {
+        const ledger = await newLegacyLedger();
+        const asset = readAsset(ledger, 'FP-1');
+        asset.pendingTransfer = { toOwner: LEGACY, proposedAt: asset.createdAt, signOffRoles: [], signedOffBy: '', assetStatus: 'CREATED' };
+        ledger.world.set('FP-1', Buffer.from(JSON.stringify(asset)));
+
+        await migrate(ledger, { assets: [{ assetID: 'FP-1', legacyFingerprint: LEGACY, fingerprint: await fingerprintOf(ledger, OWNER), transferFingerprint: '' }] });
+        assert.strictEqual(readAsset(ledger, 'FP-1').pendingTransfer, null);
+    });
+
+    it('re-keys a legacy delegation and records the delegating certificate', async () => {
+        const ledger = new TestLedger();
+        await ledger.invoke(OWNER, 'CreateAsset', ['FP-DLG', 'Delegated under legacy values']);
+        await ledger.invoke(OWNER, 'SubmitForApproval', ['FP-DLG']);
+        const deputy = await fingerprintOf(ledger, DEPUTY);
+        const auditor = await fingerprintOf(ledger, AUDITOR);
+
+        // Granted by an older chaincode version: legacy values, no certificate recorded
+        ledger.world.set(compositeKey('approvalDelegation', ['auditor', LEGACY]), Buffer.from(JSON.stringify({
+            docType: 'approvalDelegation', role: 'auditor', delegateFingerprint: LEGACY, delegatorFingerprint: LEGACY,
+            delegatorMSP: 'Org2MSP', validUntil: '2030-01-01T00:00:00.000Z', createdAt: '2024-01-01T00:00:00.000Z', txId: 'tx-delegate'
+        })));
+        await assert.rejects(ledger.invoke(DEPUTY, 'ApproveAsset', ['FP-DLG']), /Role 'owner' cannot approve/);
+
+        const plan = {
+            delegations: [{
+                role: 'auditor', legacyDelegateFingerprint: LEGACY, delegateFingerprint: deputy,
+                delegatorFingerprint: auditor, certificateFingerprint: certificateFingerprintOf(AUDITOR)
+            }]
+        };
+        assert.deepStrictEqual(await migrate(ledger, plan), { migrated: 1, skipped: 0 });
+        assert.deepStrictEqual(await migrate(ledger, plan), { migrated: 0, skipped: 1 });
+        assert.strictEqual(ledger.world.has(compositeKey('approvalDelegation', ['auditor', LEGACY])), false);
+
+        await ledger.invoke(DEPUTY, 'ApproveAsset', ['FP-DLG']);
+        assert.strictEqual(readAsset(ledger, 'FP-DLG').approvals.auditor.onBehalfOf, auditor);
+    });
+});
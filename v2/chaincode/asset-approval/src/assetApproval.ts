@@ -9,7 +9,10 @@
  * - Config-only org addition
  */
 
+import Ajv from 'ajv';
+import { createHash } from 'crypto';
 import { Context, Contract, Info, Returns, Transaction } from 'fabric-contract-api';
+import { Iterators } from 'fabric-shim';
 
 // ===========================================================================
 // Types and Interfaces
@@ -21,50 +24,341 @@ export enum AssetStatus {
     APPROVED = 'APPROVED',
     REJECTED = 'REJECTED',
     ACTIVE = 'ACTIVE',
+    EXPIRED = 'EXPIRED',
+    SUSPENDED = 'SUSPENDED',
+    REVOKED = 'REVOKED',
     DELETED = 'DELETED'
 }
 
 export interface Asset {
     docType: string;
     assetID: string;
+    assetType: string;       // Selects the workflow (state machine) for this asset
     description: string;
-    status: AssetStatus;
-    owner: string;           // Creator's cert fingerprint (for ownership verification)
+    metadata: AssetMetadata; // Typed fields, validated against the asset type's metadataSchema
+    status: string;          // AssetStatus, or a custom status from the asset type's workflow
+    owner: string;           // Current owner's cert fingerprint (creator until transferred)
+    ownerMSP: string;        // Current owner's MSP ID, for search and audit ONLY (never used for authorization)
     createdBy: string;       // MSP ID for audit metadata ONLY (never used for authorization)
 
-    // EXTENSIBLE: Map of role → approval status
+    // EXTENSIBLE: Map of role → approval record
     // Adding role=supervisor tomorrow? No schema change needed.
     approvals: {
-        [role: string]: boolean | string;  // true/false or 'PENDING' or 'REJECTED: reason'
+        [role: string]: ApprovalRecord;
     };
 
-    requiredApprovals: string[];  // Roles required to approve (configurable)
+    requiredApprovals: string[];  // Roles required to approve (snapshot of policy at creation)
+    quorum: ApprovalQuorum;       // How many (weighted) approvals make the asset APPROVED
+    stages: string[][];           // Ordered approval stages ([] = any order)
+    policyID: string;             // Approval policy the roles were taken from
+    policyVersion: number;
+    transferSignOffRoles?: string[];  // Snapshot of the policy's transfer sign-off roles (absent on older assets)
+
+    approvalDeadline?: string;    // ISO timestamp the approvers must act by ('' = no deadline)
+    statusReason?: string;        // Why the system or a regulator set the current status
+
+    pendingTransfer?: PendingTransfer | null;  // Open ownership transfer proposal, if any
 
     createdAt: string;
     updatedAt: string;
 }
 
+export interface AssetMetadata {
+    category?: string;
+    serialNumber?: string;
+    location?: string;
+    costCenter?: string;
+    tags?: string[];
+    [field: string]: unknown;  // Further fields as allowed by the asset type's schema
+}
+
+export interface ApprovalDelegation {
+    docType: string;
+    role: string;                  // Approver role being delegated
+    delegateFingerprint: string;   // Cert fingerprint of the deputy
+    delegatorFingerprint: string;  // Cert fingerprint of the role holder who delegated
+    delegatorMSP: string;          // MSP ID for audit metadata ONLY
+    certificateFingerprint?: string;  // SHA-256 of the certificate that delegated (absent on older delegations, which no longer count)
+    validUntil: string;            // ISO timestamp, compared against the tx timestamp
+    createdAt: string;
+    txId: string;
+}
+
+export type ApprovalDecision = 'PENDING' | 'APPROVED' | 'REJECTED';
+
+export interface ApprovalRecord {
+    decision: ApprovalDecision;
+    approverFingerprint: string;  // Cert fingerprint of whoever acted ('' while PENDING)
+    mspId: string;                // MSP ID for audit metadata ONLY
+    timestamp: string;
+    txId: string;
+    comment: string;              // Approval comment or rejection reason
+    onBehalfOf: string;           // Delegator's fingerprint when a deputy acted ('' otherwise)
+    certificateFingerprint: string;  // SHA-256 of the certificate that signed the decision ('' while PENDING)
+}
+
+// Denylist entry: a certificate the chaincode refuses even though its MSP accepts it
+export interface RevokedIdentity {
+    docType: string;
+    certificateFingerprint: string;  // Lowercase hex SHA-256 of the certificate (DER)
+    reason: string;
+    revokedBy: string;               // Certificate fingerprint of the admin who revoked it
+    revokedByMSP: string;            // Audit only
+    revokedAt: string;
+    txId: string;
+}
+
+export interface PendingTransfer {
+    toOwner: string;          // Cert fingerprint of the proposed new owner
+    proposedAt: string;
+    signOffRoles: string[];   // Approver roles, one of which must sign off ([] = none needed)
+    signedOffBy: string;      // Role that signed off ('' = not yet)
+    assetStatus?: string;     // Asset status when proposed; the proposal lapses once it changes
+}
+
+export interface TransferRecord {
+    docType: string;
+    assetID: string;
+    fromOwner: string;
+    toOwner: string;
+    signedOffBy: string;
+    acceptedBy: string;      // MSP ID for audit metadata ONLY
+    txId: string;
+    timestamp: string;
+}
+
+// Off-chain document attached to an asset: only its hash and metadata live on-chain
+export interface AttachmentRecord {
+    docType: string;
+    assetID: string;
+    name: string;
+    sha256: string;          // Lowercase hex SHA-256 of the document bytes
+    size: number;            // Bytes
+    mimeType: string;
+    storageURI: string;      // Where the document itself is stored
+    attachedBy: string;      // Cert fingerprint of the attaching identity
+    attachedByRole: string;
+    attachedByMSP: string;   // Audit only
+    txId: string;
+    timestamp: string;
+}
+
+// Review discussion entry; confidential ones live in the private data collection
+export interface AssetComment {
+    docType: string;
+    assetID: string;
+    commentID: string;       // txId of the transaction that added it
+    replyTo: string;         // commentID this answers ('' for a new thread)
+    text: string;
+    confidential: boolean;
+    authorFingerprint: string;
+    authorRole: string;
+    authorMSP: string;       // Audit only
+    timestamp: string;
+}
+
 export interface PrivateAssetData {
     assetID: string;
     confidentialNotes: string;
     internalValue: number;
 }
 
-// Required approval roles (can be configured at deployment)
+// M-of-N quorum: asset is APPROVED once the summed weight of approving roles
+// reaches threshold. Roles without an explicit weight count as 1.
+export interface ApprovalQuorum {
+    threshold: number;
+    weights: { [role: string]: number };
+}
+
+export interface ApprovalPolicy {
+    docType: string;
+    policyID: string;
+    description: string;
+    requiredApprovals: string[];  // Roles that may approve assets created under this policy
+    quorum: ApprovalQuorum;
+    stages: string[][];           // Optional ordered stages; every role of a stage must decide before the next acts
+    privateDataRoles: string[];   // Roles that can read private data
+    transferSignOffRoles: string[];  // Roles that can sign off ownership transfers of ACTIVE assets ([] = none needed)
+    version: number;
+    updatedBy: string;            // MSP ID for audit metadata ONLY
+    updatedAt: string;
+}
+
+export interface AssetWorkflow {
+    docType: string;
+    assetType: string;
+    description: string;
+    transitions: { [status: string]: string[] };      // status -> allowed next statuses
+    transitionRoles: { [status: string]: string[] };  // status -> roles that may enter it via TransitionAsset
+    approvalPolicyID: string;                         // Policy snapshotted at creation ('' = active policy)
+    metadataSchema: object;                           // JSON Schema (draft-07) for asset.metadata
+    version: number;
+    updatedBy: string;                                // MSP ID for audit metadata ONLY
+    updatedAt: string;
+}
+
+// Metadata documents (and schemas) are capped at this many bytes of JSON
+const MAX_METADATA_BYTES = 8192;
+
+// Metadata schema for the default asset type and for workflows that don't register one
+const DEFAULT_METADATA_SCHEMA = {
+    type: 'object',
+    properties: {
+        category: { type: 'string', maxLength: 64 },
+        serialNumber: { type: 'string', maxLength: 128 },
+        location: { type: 'string', maxLength: 256 },
+        costCenter: { type: 'string', maxLength: 64 },
+        tags: {
+            type: 'array',
+            items: { type: 'string', minLength: 1, maxLength: 64 },
+            maxItems: 32,
+            uniqueItems: true
+        }
+    },
+    additionalProperties: false
+};
+
+// SearchAssets: fields results can be sorted by (each backed by a CouchDB index)
+const SEARCH_SORT_FIELDS = ['assetID', 'createdAt', 'updatedAt'];
+const DEFAULT_SEARCH_PAGE_SIZE = 50;
+
+// QueryAssetsWithSelector: asset fields and Mango operators a user selector may use
+// ($regex is left out on purpose: user-supplied patterns could tie up CouchDB)
+const SELECTOR_FIELDS = [
+    'assetID', 'assetType', 'description', 'status', 'owner', 'ownerMSP', 'createdBy',
+    'createdAt', 'updatedAt', 'approvalDeadline', 'statusReason', 'policyID', 'policyVersion'
+];
+const SELECTOR_FIELD_PATTERNS = [
+    /^metadata\.[a-zA-Z][a-zA-Z0-9_]{0,63}$/,
+    /^approvals\.[a-zA-Z0-9_-]{1,64}\.(decision|approverFingerprint|mspId|timestamp|onBehalfOf)$/
+];
+const SELECTOR_COMBINATORS = ['$and', '$or', '$nor'];
+const SELECTOR_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$all', '$size', '$not'];
+const MAX_SELECTOR_DEPTH = 4;
+const MAX_SELECTOR_NODES = 64;
+
+// Upper bound for paginated query page size
+const MAX_PAGE_SIZE = 200;
+
+// Comments on approvals and rejection reasons are cut to this length
+const MAX_APPROVAL_COMMENT_LENGTH = 500;
+
+// Batch transactions: items per call, and the per-item outcome they report
+const MAX_BATCH_SIZE = 100;
+
+export interface BatchItemResult {
+    index: number;           // Position in the submitted array
+    assetID: string;
+    success: boolean;
+    status?: string;         // Asset status after the item was applied
+    error?: string;
+}
+
+// Chaincode event emitted on every asset state change
+// Bump LIFECYCLE_EVENT_VERSION whenever the payload shape changes
+export interface AssetStatusChange {
+    assetID: string;
+    oldStatus: string;       // '' for newly created assets
+    newStatus: string;
+}
+
+export interface AssetLifecycleEvent {
+    version: number;
+    action: string;          // Transaction that caused the change
+    assetID: string;         // '' when the transaction changed several assets
+    oldStatus: string;       // '' for newly created assets, or when several assets changed
+    newStatus: string;
+    changes: AssetStatusChange[];  // Every asset the transaction changed
+    actorRole: string;
+    actorMSP: string;        // Audit only
+    txId: string;
+    timestamp: string;
+}
+
+const LIFECYCLE_EVENT_NAME = 'AssetLifecycle';
+const LIFECYCLE_EVENT_VERSION = 2;
+
+// Built-in approval roles, used until an admin activates an on-chain policy
 const REQUIRED_APPROVER_ROLES = ['auditor', 'regulator'];
 
-// Roles that can access private data
+// Built-in private data roles, used until an admin activates an on-chain policy
 const PRIVATE_DATA_ROLES = ['owner', 'auditor'];
 
-// Valid state transitions
+// Roles that can suspend, reinstate and revoke ACTIVE assets
+const ENFORCEMENT_ROLES = ['regulator'];
+
+// Policy registry keys (composite keys never collide with asset IDs)
+const POLICY_KEY_PREFIX = 'approvalPolicy';
+const ACTIVE_POLICY_KEY_PREFIX = 'activeApprovalPolicy';
+const DEFAULT_POLICY_ID = 'default';
+
+// Workflow registry keys
+const WORKFLOW_KEY_PREFIX = 'assetWorkflow';
+const DEFAULT_ASSET_TYPE = 'default';
+
+// Delegation keys: approvalDelegation~role~delegateFingerprint
+const DELEGATION_KEY_PREFIX = 'approvalDelegation';
+
+// Identity denylist keys: revokedIdentity~certificateFingerprint
+const REVOKED_IDENTITY_KEY_PREFIX = 'revokedIdentity';
+const CERTIFICATE_FINGERPRINT_PATTERN = /^[0-9a-f]{64}$/;
+
+// Transfer log keys: transferLog~assetID~txId
+const TRANSFER_LOG_KEY_PREFIX = 'transferLog';
+
+// Attachment keys: assetAttachment~assetID~sha256 (one entry per distinct document)
+const ATTACHMENT_KEY_PREFIX = 'assetAttachment';
+const MAX_ATTACHMENT_NAME_LENGTH = 256;
+const MAX_STORAGE_URI_LENGTH = 2048;
+
+// Comment keys: assetComment~assetID~commentID, in world state or (confidential) the private collection
+const COMMENT_KEY_PREFIX = 'assetComment';
+const MAX_COMMENT_LENGTH = 4000;
+const PRIVATE_COLLECTION = 'assetPrivateDetails';
+
+// Private data is frozen while approvers review it and once the asset is revoked;
+// it can only be purged after the asset reaches the end of its life
+const PRIVATE_DATA_LOCKED_STATUSES: string[] = [AssetStatus.PENDING_APPROVAL, AssetStatus.REVOKED];
+const PRIVATE_DATA_PURGEABLE_STATUSES: string[] = [AssetStatus.DELETED, AssetStatus.REVOKED];
+
+// Secondary indexes maintained by putAsset: status~assetID and owner~assetID
+// Listing by status or owner reads these, so it works on LevelDB peers too
+const STATUS_INDEX = 'status~assetID';
+const OWNER_INDEX = 'owner~assetID';
+const INDEX_ENTRY_VALUE = Buffer.from('\u0000');
+
+// Statuses only reachable through the approval transactions, never via TransitionAsset
+const APPROVAL_CONTROLLED_STATUSES: string[] = [
+    AssetStatus.CREATED,
+    AssetStatus.PENDING_APPROVAL,
+    AssetStatus.APPROVED,
+    AssetStatus.REJECTED
+];
+
+// Valid state transitions (built-in workflow for the default asset type)
 const VALID_TRANSITIONS: { [key: string]: AssetStatus[] } = {
     [AssetStatus.CREATED]: [AssetStatus.PENDING_APPROVAL, AssetStatus.DELETED],
-    [AssetStatus.PENDING_APPROVAL]: [AssetStatus.APPROVED, AssetStatus.REJECTED],
+    [AssetStatus.PENDING_APPROVAL]: [AssetStatus.APPROVED, AssetStatus.REJECTED, AssetStatus.EXPIRED, AssetStatus.CREATED],
     [AssetStatus.APPROVED]: [AssetStatus.ACTIVE, AssetStatus.DELETED],
     [AssetStatus.REJECTED]: [AssetStatus.PENDING_APPROVAL, AssetStatus.DELETED],
-    [AssetStatus.ACTIVE]: [AssetStatus.DELETED],
+    [AssetStatus.ACTIVE]: [AssetStatus.SUSPENDED, AssetStatus.REVOKED, AssetStatus.DELETED],
+    [AssetStatus.EXPIRED]: [AssetStatus.PENDING_APPROVAL, AssetStatus.DELETED],
+    [AssetStatus.SUSPENDED]: [AssetStatus.ACTIVE, AssetStatus.REVOKED],
+    [AssetStatus.REVOKED]: [],
 };
 
+export type ChaincodeErrorCode = 'NOT_FOUND' | 'FORBIDDEN' | 'CONFLICT';
+
+/**
+ * A rejection clients can classify: the message starts with the code in brackets,
+ * e.g. "[NOT_FOUND] Asset A1 does not exist". Errors without a code are invalid input.
+ */
+export class ChaincodeError extends Error {
+    constructor(readonly code: ChaincodeErrorCode, readonly detail: string) {
+        super(`[${code}] ${detail}`);
+    }
+}
+
 // ===========================================================================
 // Smart Contract
 // ===========================================================================
@@ -79,11 +373,13 @@ export class AssetApprovalContract extends Contract {
     /**
      * Get role from X.509 certificate attribute
      * This is TRUE ABAC - no MSP ID mapping!
+     * Refuses certificates on the RevokeIdentity denylist.
      */
-    private getRole(ctx: Context): string {
+    private async getRole(ctx: Context): Promise<string> {
+        await this.requireNotRevoked(ctx);
         const role = ctx.clientIdentity.getAttributeValue('role');
         if (!role) {
-            throw new Error('Certificate missing "role" attribute. Ensure Fabric CA issued cert with role attribute.');
+            throw new ChaincodeError('FORBIDDEN', 'Certificate missing "role" attribute. Ensure Fabric CA issued cert with role attribute.');
         }
         return role;
     }
@@ -91,10 +387,38 @@ export class AssetApprovalContract extends Contract {
     /**
      * Require caller to have one of the allowed roles
      */
-    private requireRole(ctx: Context, allowedRoles: string[]): void {
-        const role = this.getRole(ctx);
+    private async requireRole(ctx: Context, allowedRoles: string[]): Promise<void> {
+        const role = await this.getRole(ctx);
         if (!allowedRoles.includes(role)) {
-            throw new Error(`Role '${role}' not authorized. Allowed: ${allowedRoles.join(', ')}`);
+            throw new ChaincodeError('FORBIDDEN', `Role '${role}' not authorized. Allowed: ${allowedRoles.join(', ')}`);
+        }
+    }
+
+    /**
+     * Require caller to be an admin (admin=true certificate attribute)
+     */
+    private async requireAdmin(ctx: Context): Promise<void> {
+        await this.requireNotRevoked(ctx);
+        if (!ctx.clientIdentity.assertAttributeValue('admin', 'true')) {
+            throw new ChaincodeError('FORBIDDEN', 'Admin privileges required. Ensure Fabric CA issued cert with admin=true attribute.');
+        }
+    }
+
+    /**
+     * SHA-256 (lowercase hex) of the caller's certificate in DER form, the same
+     * value as `openssl x509 -noout -fingerprint -sha256` without the colons
+     */
+    private getCertificateFingerprint(ctx: Context): string {
+        const pem = Buffer.from(ctx.clientIdentity.getIDBytes()).toString('utf8');
+        const der = Buffer.from(pem.replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, ''), 'base64');
+        return createHash('sha256').update(der).digest('hex');
+    }
+
+    private async requireNotRevoked(ctx: Context): Promise<void> {
+        const fingerprint = this.getCertificateFingerprint(ctx);
+        const revoked = await this.readRevokedIdentity(ctx, fingerprint);
+        if (revoked) {
+            throw new ChaincodeError('FORBIDDEN', `Certificate ${fingerprint} was revoked at ${revoked.revokedAt} and is not authorized`);
         }
     }
 
@@ -106,18 +430,26 @@ export class AssetApprovalContract extends Contract {
     }
 
     /**
-     * Get unique owner identifier from certificate
+     * Get unique owner identifier: SHA-256 (hex) of MSP ID, subject DN and
+     * enrollment ID. A renewed certificate keeps all three, so ownership,
+     * delegations and transfers survive re-enrollment.
      */
     private getOwnerFingerprint(ctx: Context): string {
-        // Use certificate's subject + issuer hash as unique identifier
-        const id = ctx.clientIdentity.getID();
-        return Buffer.from(id).toString('base64').substring(0, 44);
+        // getID() is "x509::<subject DN>::<issuer DN>", DN as /C=US/.../CN=user1
+        const subject = ctx.clientIdentity.getID().split('::')[1] ?? '';
+        // Fabric CA certs carry hf.EnrollmentID only when no attributes were requested
+        // at enrollment; the CN is the enrollment ID either way
+        const commonName = /\/CN=([^/]*)$/.exec(subject)?.[1] ?? '';
+        const enrollmentID = ctx.clientIdentity.getAttributeValue('hf.EnrollmentID') || commonName;
+        const tuple = JSON.stringify([ctx.clientIdentity.getMSPID(), subject, enrollmentID]);
+        return createHash('sha256').update(tuple).digest('hex');
     }
 
     /**
      * Input validation for asset creation and updates
+     * Metadata is checked against the metadataSchema of the asset type's workflow
      */
-    private validateAssetInput(assetID: string, description: string): void {
+    private async validateAssetInput(ctx: Context, assetID: string, description: string, assetType: string, metadata: AssetMetadata): Promise<void> {
         if (!assetID || assetID.trim().length === 0) {
             throw new Error('Asset ID cannot be empty');
         }
@@ -133,6 +465,38 @@ export class AssetApprovalContract extends Contract {
         if (description.length > 1024) {
             throw new Error('Description exceeds maximum length of 1024 characters');
         }
+
+        if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+            throw new Error(`Metadata exceeds maximum size of ${MAX_METADATA_BYTES} bytes`);
+        }
+        const workflow = await this.getWorkflow(ctx, assetType);
+        const validate = new Ajv().compile(workflow.metadataSchema ?? DEFAULT_METADATA_SCHEMA);
+        if (!validate(metadata)) {
+            const problems = (validate.errors ?? []).map(e => {
+                const extra = (e.params as { additionalProperty?: string }).additionalProperty;
+                return `metadata${e.dataPath} ${e.message}${extra ? ` '${extra}'` : ''}`;
+            });
+            throw new Error(`Metadata does not match schema for asset type ${assetType}: ${problems.join(', ')}`);
+        }
+    }
+
+    /**
+     * Parse a metadata object argument ('' = empty)
+     */
+    private parseMetadata(metadataJson: string, field: string): AssetMetadata {
+        if (!metadataJson) {
+            return {};
+        }
+        let metadata: unknown;
+        try {
+            metadata = JSON.parse(metadataJson);
+        } catch {
+            throw new Error(`${field} must be valid JSON`);
+        }
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+            throw new Error(`${field} must be a JSON object`);
+        }
+        return metadata as AssetMetadata;
     }
 
     /**
@@ -145,233 +509,2249 @@ export class AssetApprovalContract extends Contract {
     }
 
     /**
-     * Validate state transition
+     * Emit the lifecycle event for this transaction
+     * Fabric keeps only the last setEvent per transaction, so call once per tx
      */
-    private validateTransition(current: AssetStatus, next: AssetStatus): void {
-        const allowed = VALID_TRANSITIONS[current];
+    private emitLifecycleEvent(ctx: Context, action: string, assetID: string, oldStatus: string, newStatus: string): void {
+        this.emitLifecycleChanges(ctx, action, [{ assetID, oldStatus, newStatus }]);
+    }
+
+    /**
+     * Emit one lifecycle event covering every asset a transaction changed
+     */
+    private emitLifecycleChanges(ctx: Context, action: string, changes: AssetStatusChange[]): void {
+        const single = changes.length === 1 ? changes[0] : { assetID: '', oldStatus: '', newStatus: '' };
+        const event: AssetLifecycleEvent = {
+            version: LIFECYCLE_EVENT_VERSION,
+            action,
+            assetID: single.assetID,
+            oldStatus: single.oldStatus,
+            newStatus: single.newStatus,
+            changes,
+            actorRole: ctx.clientIdentity.getAttributeValue('role') ?? '',  // Admin-only transactions may have none
+            actorMSP: this.getAuditMSP(ctx),
+            txId: ctx.stub.getTxID(),
+            timestamp: this.getTimestamp(ctx)
+        };
+        ctx.stub.setEvent(LIFECYCLE_EVENT_NAME, Buffer.from(JSON.stringify(event)));
+    }
+
+    /**
+     * Validate state transition against the workflow of the asset's type
+     */
+    private async validateTransition(ctx: Context, asset: Asset, next: string): Promise<void> {
+        const workflow = await this.getWorkflow(ctx, asset.assetType ?? DEFAULT_ASSET_TYPE);
+        const allowed = workflow.transitions[asset.status];
         if (!allowed || !allowed.includes(next)) {
-            throw new Error(`Invalid state transition: ${current} -> ${next}`);
+            throw new ChaincodeError('CONFLICT', `Invalid state transition: ${asset.status} -> ${next}`);
         }
     }
 
-    // ===========================================================================
-    // Asset Lifecycle Operations
-    // ===========================================================================
-
-    @Transaction()
-    public async CreateAsset(ctx: Context, assetID: string, description: string): Promise<void> {
-        // Input validation
-        this.validateAssetInput(assetID, description);
+    /**
+     * Validate a list of role names from a policy document
+     */
+    private validateRoleList(roles: unknown, field: string): string[] {
+        if (!Array.isArray(roles) || roles.length === 0) {
+            throw new Error(`Policy ${field} must be a non-empty array of roles`);
+        }
+        for (const role of roles) {
+            if (typeof role !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(role)) {
+                throw new Error(`Policy ${field} contains invalid role: ${JSON.stringify(role)}`);
+            }
+        }
+        if (new Set(roles).size !== roles.length) {
+            throw new Error(`Policy ${field} contains duplicate roles`);
+        }
+        return roles as string[];
+    }
 
-        // TRUE ABAC: Check role from certificate
-        this.requireRole(ctx, ['owner']);
+    /**
+     * Build a quorum rule from a policy document; unanimous when omitted
+     */
+    private buildQuorum(input: unknown, requiredApprovals: string[]): ApprovalQuorum {
+        const weights: { [role: string]: number } = {};
+        for (const role of requiredApprovals) {
+            weights[role] = 1;
+        }
 
-        // Check if exists
-        const exists = await this.AssetExists(ctx, assetID);
-        if (exists) {
-            throw new Error(`Asset ${assetID} already exists`);
+        if (input === undefined) {
+            return { threshold: requiredApprovals.length, weights };
+        }
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Policy quorum must be an object');
         }
 
-        const now = this.getTimestamp(ctx);
+        const { threshold, weights: weightInput } = input as { threshold?: unknown; weights?: unknown };
 
-        // Build initial approvals map from required roles
-        const approvals: { [role: string]: boolean | string } = {};
-        for (const role of REQUIRED_APPROVER_ROLES) {
-            approvals[role] = 'PENDING';
+        if (weightInput !== undefined) {
+            if (!weightInput || typeof weightInput !== 'object' || Array.isArray(weightInput)) {
+                throw new Error('Policy quorum weights must be an object of role -> weight');
+            }
+            for (const [role, weight] of Object.entries(weightInput)) {
+                if (!requiredApprovals.includes(role)) {
+                    throw new Error(`Quorum weight given for role '${role}' which is not in requiredApprovals`);
+                }
+                if (!Number.isInteger(weight) || (weight as number) < 1) {
+                    throw new Error(`Quorum weight for role '${role}' must be a positive integer`);
+                }
+                weights[role] = weight as number;
+            }
         }
 
-        const asset: Asset = {
-            docType: 'asset',
-            assetID,
-            description,
-            owner: this.getOwnerFingerprint(ctx),
-            createdBy: this.getAuditMSP(ctx),  // Audit only, never for auth
-            status: AssetStatus.CREATED,
-            approvals,
-            requiredApprovals: REQUIRED_APPROVER_ROLES,
-            createdAt: now,
-            updatedAt: now
-        };
-
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+        if (threshold === undefined) {
+            return { threshold: totalWeight, weights };
+        }
+        if (!Number.isInteger(threshold) || (threshold as number) < 1 || (threshold as number) > totalWeight) {
+            throw new Error(`Quorum threshold must be an integer between 1 and ${totalWeight}`);
+        }
+        return { threshold: threshold as number, weights };
     }
 
-    @Transaction()
-    public async CreateAssetWithPrivateData(ctx: Context, assetID: string, description: string): Promise<void> {
-        // Create public asset first
-        await this.CreateAsset(ctx, assetID, description);
-
-        // Get private data from transient map
-        const transientMap = ctx.stub.getTransient();
-        const privateDataBuffer = transientMap.get('asset_private_data');
-
-        if (privateDataBuffer && privateDataBuffer.length > 0) {
-            const privateData: PrivateAssetData = JSON.parse(privateDataBuffer.toString());
+    /**
+     * Validate ordered approval stages; every required role must appear in exactly one stage
+     */
+    private buildStages(input: unknown, requiredApprovals: string[]): string[][] {
+        if (input === undefined) {
+            return [];
+        }
+        if (!Array.isArray(input) || input.length === 0) {
+            throw new Error('Policy stages must be a non-empty array of role arrays');
+        }
 
-            // SEC-001 FIX: Validate private data structure
-            if (!privateData.confidentialNotes || typeof privateData.confidentialNotes !== 'string') {
-                throw new Error('Private data must include confidentialNotes (string)');
+        const stages = input.map((stage, i) => this.validateRoleList(stage, `stages[${i}]`));
+        const staged = stages.flat();
+        if (new Set(staged).size !== staged.length) {
+            throw new Error('Policy stages list a role more than once');
+        }
+        for (const role of requiredApprovals) {
+            if (!staged.includes(role)) {
+                throw new Error(`Required role '${role}' is not assigned to a stage`);
             }
-            if (privateData.internalValue !== undefined && typeof privateData.internalValue !== 'number') {
-                throw new Error('internalValue must be a number');
+        }
+        for (const role of staged) {
+            if (!requiredApprovals.includes(role)) {
+                throw new Error(`Stage role '${role}' is not in requiredApprovals`);
             }
-
-            privateData.assetID = assetID;
-
-            await ctx.stub.putPrivateData(
-                'assetPrivateDetails',
-                assetID,
-                Buffer.from(JSON.stringify(privateData))
-            );
         }
+        return stages;
     }
 
-    @Transaction()
-    public async SubmitForApproval(ctx: Context, assetID: string): Promise<void> {
-        this.requireRole(ctx, ['owner']);
-
-        const asset = await this.ReadAsset(ctx, assetID);
-        this.validateTransition(asset.status, AssetStatus.PENDING_APPROVAL);
+    /**
+     * In ordered mode, refuse actions from a role whose earlier stages still
+     * have undecided roles. A rejection completes its role's turn: under an
+     * M-of-N quorum the later stages may still reach the threshold, and a
+     * rejection that makes it unreachable has already closed the asset.
+     */
+    private requireCurrentStage(asset: Asset, role: string, action: string): void {
+        const stages = asset.stages ?? [];
+        const stageIndex = stages.findIndex(stage => stage.includes(role));
+        for (let i = 0; i < stageIndex; i++) {
+            const waiting = stages[i].filter(r => (asset.approvals[r]?.decision ?? 'PENDING') === 'PENDING');
+            if (waiting.length > 0) {
+                throw new ChaincodeError('CONFLICT', `Role '${role}' cannot ${action} yet: stage ${i + 1} awaits a decision from ${waiting.join(', ')}`);
+            }
+        }
+    }
 
-        // Verify ownership using cert fingerprint (not MSP!)
-        const callerFingerprint = this.getOwnerFingerprint(ctx);
-        if (asset.owner !== callerFingerprint) {
-            throw new Error('Only asset owner can submit for approval');
+    /**
+     * Get quorum rule for an asset (assets created before quorums were
+     * introduced require unanimous approval)
+     */
+    private getAssetQuorum(asset: Asset): ApprovalQuorum {
+        if (asset.quorum) {
+            return asset.quorum;
         }
+        return this.buildQuorum(undefined, asset.requiredApprovals);
+    }
 
-        // Reset approvals for fresh cycle
+    /**
+     * Sum approval weights: approved so far, and the most still reachable
+     */
+    private tallyApprovals(asset: Asset): { approved: number; reachable: number; threshold: number } {
+        const quorum = this.getAssetQuorum(asset);
+        let approved = 0;
+        let reachable = 0;
         for (const role of asset.requiredApprovals) {
-            asset.approvals[role] = 'PENDING';
+            const weight = quorum.weights[role] ?? 1;
+            const decision = asset.approvals[role]?.decision;
+            if (decision === 'APPROVED') {
+                approved += weight;
+                reachable += weight;
+            } else if (decision === 'PENDING') {
+                reachable += weight;
+            }
         }
+        return { approved, reachable, threshold: quorum.threshold };
+    }
 
-        asset.status = AssetStatus.PENDING_APPROVAL;
-        asset.updatedAt = this.getTimestamp(ctx);
+    private pendingApproval(): ApprovalRecord {
+        return { decision: 'PENDING', approverFingerprint: '', mspId: '', timestamp: '', txId: '', comment: '', onBehalfOf: '', certificateFingerprint: '' };
+    }
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+    /**
+     * Record the caller's decision for a role
+     */
+    private buildApprovalRecord(ctx: Context, decision: ApprovalDecision, comment: string, delegation: ApprovalDelegation | null): ApprovalRecord {
+        return {
+            decision,
+            approverFingerprint: this.getOwnerFingerprint(ctx),
+            mspId: this.getAuditMSP(ctx),  // Audit only, never for auth
+            timestamp: this.getTimestamp(ctx),
+            txId: ctx.stub.getTxID(),
+            comment: comment.substring(0, MAX_APPROVAL_COMMENT_LENGTH),
+            onBehalfOf: delegation ? delegation.delegatorFingerprint : '',
+            certificateFingerprint: this.getCertificateFingerprint(ctx)
+        };
     }
 
-    @Transaction()
-    public async ApproveAsset(ctx: Context, assetID: string): Promise<void> {
-        // TRUE ABAC: Any approver role can approve
-        const callerRole = this.getRole(ctx);
+    /**
+     * Convert pre-record approvals (true, 'PENDING', 'REJECTED: reason (ts)')
+     * in place. Returns true if anything changed.
+     */
+    private upgradeApprovals(asset: Asset): boolean {
+        let changed = false;
+        const legacyDelegations = (asset as unknown as { onBehalfOf?: { [role: string]: { delegatorFingerprint: string; delegateFingerprint: string; txId: string } } }).onBehalfOf;
+
+        for (const role of Object.keys(asset.approvals)) {
+            const value = asset.approvals[role] as unknown;
+            if (value !== null && typeof value === 'object') {
+                continue;
+            }
+            changed = true;
+
+            const record = this.pendingApproval();
+            if (value === true) {
+                record.decision = 'APPROVED';
+            } else if (typeof value === 'string' && value.startsWith('REJECTED')) {
+                const match = /^REJECTED: ([\s\S]*) \(([^)]*)\)$/.exec(value);
+                record.decision = 'REJECTED';
+                record.comment = match ? match[1] : value;
+                record.timestamp = match ? match[2] : '';
+            }
 
-        if (!REQUIRED_APPROVER_ROLES.includes(callerRole)) {
-            throw new Error(`Role '${callerRole}' cannot approve. Required: ${REQUIRED_APPROVER_ROLES.join(', ')}`);
+            const delegated = legacyDelegations?.[role];
+            if (delegated && record.decision !== 'PENDING') {
+                record.approverFingerprint = delegated.delegateFingerprint;
+                record.onBehalfOf = delegated.delegatorFingerprint;
+                record.txId = delegated.txId;
+            }
+            asset.approvals[role] = record;
         }
 
-        const asset = await this.ReadAsset(ctx, assetID);
-
-        if (asset.status !== AssetStatus.PENDING_APPROVAL) {
-            throw new Error(`Asset must be PENDING_APPROVAL to approve (current: ${asset.status})`);
+        if (legacyDelegations !== undefined) {
+            delete (asset as unknown as { onBehalfOf?: unknown }).onBehalfOf;
+            changed = true;
         }
+        return changed;
+    }
 
-        // Check if this role already approved
-        if (asset.approvals[callerRole] === true) {
-            throw new Error(`Role '${callerRole}' has already approved this asset`);
-        }
+    // ===========================================================================
+    // Approval Policy Registry
+    // ===========================================================================
 
-        // Record approval by ROLE (not org!)
-        asset.approvals[callerRole] = true;
-        asset.updatedAt = this.getTimestamp(ctx);
+    private getPolicyKey(ctx: Context, policyID: string): string {
+        return ctx.stub.createCompositeKey(POLICY_KEY_PREFIX, [policyID]);
+    }
 
-        // Check if all required approvals are complete
-        const allApproved = asset.requiredApprovals.every(role => asset.approvals[role] === true);
-        if (allApproved) {
-            asset.status = AssetStatus.APPROVED;
+    private async readPolicy(ctx: Context, policyID: string): Promise<ApprovalPolicy | null> {
+        const policyBuffer = await ctx.stub.getState(this.getPolicyKey(ctx, policyID));
+        if (!policyBuffer || policyBuffer.length === 0) {
+            return null;
+        }
+        return JSON.parse(policyBuffer.toString()) as ApprovalPolicy;
+    }
+
+    private async getActivePolicyID(ctx: Context): Promise<string> {
+        const key = ctx.stub.createCompositeKey(ACTIVE_POLICY_KEY_PREFIX, []);
+        const activeBuffer = await ctx.stub.getState(key);
+        if (!activeBuffer || activeBuffer.length === 0) {
+            return DEFAULT_POLICY_ID;
         }
+        return activeBuffer.toString();
+    }
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+    /**
+     * Get the active approval policy, falling back to the built-in roles
+     * when no policy has been stored on-chain yet
+     */
+    private async getActivePolicy(ctx: Context): Promise<ApprovalPolicy> {
+        const policyID = await this.getActivePolicyID(ctx);
+        const policy = await this.readPolicy(ctx, policyID);
+        if (policy) {
+            return policy;
+        }
+        return {
+            docType: 'approvalPolicy',
+            policyID: DEFAULT_POLICY_ID,
+            description: 'Built-in default policy',
+            requiredApprovals: REQUIRED_APPROVER_ROLES,
+            quorum: this.buildQuorum(undefined, REQUIRED_APPROVER_ROLES),
+            stages: [],
+            privateDataRoles: PRIVATE_DATA_ROLES,
+            transferSignOffRoles: [],
+            version: 0,
+            updatedBy: '',
+            updatedAt: ''
+        };
     }
 
+    /**
+     * Create or replace an approval policy (admin only)
+     * policyJson: {
+     *   requiredApprovals: string[],
+     *   quorum?: { threshold?: number, weights?: { [role]: number } },  // default: unanimous
+     *   stages?: string[][],  // ordered approval stages, default: any order
+     *   privateDataRoles?: string[],
+     *   transferSignOffRoles?: string[],  // sign-off for ACTIVE asset transfers, default: none
+     *   description?: string
+     * }
+     */
     @Transaction()
-    public async RejectAsset(ctx: Context, assetID: string, reason: string): Promise<void> {
-        const callerRole = this.getRole(ctx);
+    public async SetApprovalPolicy(ctx: Context, policyID: string, policyJson: string): Promise<void> {
+        await this.requireAdmin(ctx);
 
-        if (!REQUIRED_APPROVER_ROLES.includes(callerRole)) {
-            throw new Error(`Role '${callerRole}' cannot reject. Required: ${REQUIRED_APPROVER_ROLES.join(', ')}`);
+        if (!policyID || !/^[a-zA-Z0-9_-]{1,64}$/.test(policyID)) {
+            throw new Error('Policy ID must be 1-64 alphanumeric, underscore or hyphen characters');
         }
 
-        if (!reason || reason.trim().length === 0) {
-            throw new Error('Rejection reason is required');
+        let input: {
+            requiredApprovals?: unknown;
+            quorum?: unknown;
+            stages?: unknown;
+            privateDataRoles?: unknown;
+            transferSignOffRoles?: unknown;
+            description?: unknown;
+        };
+        try {
+            input = JSON.parse(policyJson);
+        } catch {
+            throw new Error('Policy must be valid JSON');
         }
 
-        const asset = await this.ReadAsset(ctx, assetID);
-
-        if (asset.status !== AssetStatus.PENDING_APPROVAL) {
-            throw new Error(`Asset must be PENDING_APPROVAL to reject (current: ${asset.status})`);
+        const requiredApprovals = this.validateRoleList(input.requiredApprovals, 'requiredApprovals');
+        if (requiredApprovals.includes('owner')) {
+            throw new Error('Role \'owner\' cannot be a required approver');
+        }
+        const quorum = this.buildQuorum(input.quorum, requiredApprovals);
+        const stages = this.buildStages(input.stages, requiredApprovals);
+        const privateDataRoles = input.privateDataRoles === undefined
+            ? PRIVATE_DATA_ROLES
+            : this.validateRoleList(input.privateDataRoles, 'privateDataRoles');
+        const transferSignOffRoles = input.transferSignOffRoles === undefined
+            || (Array.isArray(input.transferSignOffRoles) && input.transferSignOffRoles.length === 0)
+            ? []
+            : this.validateRoleList(input.transferSignOffRoles, 'transferSignOffRoles');
+
+        const description = input.description === undefined ? '' : String(input.description);
+        if (description.length > 1024) {
+            throw new Error('Policy description exceeds maximum length of 1024 characters');
         }
 
-        // SEC-002 FIX: Store rejection as string to match type
-        asset.approvals[callerRole] = `REJECTED: ${reason.substring(0, 500)} (${this.getTimestamp(ctx)})`;
+        const existing = await this.readPolicy(ctx, policyID);
 
-        asset.status = AssetStatus.REJECTED;
-        asset.updatedAt = this.getTimestamp(ctx);
+        const policy: ApprovalPolicy = {
+            docType: 'approvalPolicy',
+            policyID,
+            description,
+            requiredApprovals,
+            quorum,
+            stages,
+            privateDataRoles,
+            transferSignOffRoles,
+            version: existing ? existing.version + 1 : 1,
+            updatedBy: this.getAuditMSP(ctx),  // Audit only, never for auth
+            updatedAt: this.getTimestamp(ctx)
+        };
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        await ctx.stub.putState(this.getPolicyKey(ctx, policyID), Buffer.from(JSON.stringify(policy)));
     }
 
+    /**
+     * Make a stored policy the one new assets snapshot (admin only)
+     */
     @Transaction()
-    public async ActivateAsset(ctx: Context, assetID: string): Promise<void> {
-        this.requireRole(ctx, ['owner']);
-
-        const asset = await this.ReadAsset(ctx, assetID);
-        this.validateTransition(asset.status, AssetStatus.ACTIVE);
+    public async ActivateApprovalPolicy(ctx: Context, policyID: string): Promise<void> {
+        await this.requireAdmin(ctx);
 
-        const callerFingerprint = this.getOwnerFingerprint(ctx);
-        if (asset.owner !== callerFingerprint) {
-            throw new Error('Only asset owner can activate');
+        const policy = await this.readPolicy(ctx, policyID);
+        if (!policy) {
+            throw new ChaincodeError('NOT_FOUND', `Approval policy ${policyID} does not exist`);
         }
 
-        asset.status = AssetStatus.ACTIVE;
-        asset.updatedAt = this.getTimestamp(ctx);
-
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        const key = ctx.stub.createCompositeKey(ACTIVE_POLICY_KEY_PREFIX, []);
+        await ctx.stub.putState(key, Buffer.from(policyID));
     }
 
-    @Transaction()
-    public async UpdateAsset(ctx: Context, assetID: string, newDescription: string): Promise<void> {
-        if (!newDescription || newDescription.trim().length === 0) {
-            throw new Error('Description cannot be empty');
+    /**
+     * Get a policy by ID, or the active policy when policyID is empty
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async GetApprovalPolicy(ctx: Context, policyID: string): Promise<string> {
+        if (!policyID) {
+            return JSON.stringify(await this.getActivePolicy(ctx));
         }
-        if (newDescription.length > 1024) {
-            throw new Error('Description exceeds maximum length');
+        const policy = await this.readPolicy(ctx, policyID);
+        if (!policy) {
+            throw new ChaincodeError('NOT_FOUND', `Approval policy ${policyID} does not exist`);
         }
+        return JSON.stringify(policy);
+    }
 
-        this.requireRole(ctx, ['owner']);
-
-        const asset = await this.ReadAsset(ctx, assetID);
+    @Transaction(false)
+    @Returns('string')
+    public async ListApprovalPolicies(ctx: Context): Promise<string> {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(POLICY_KEY_PREFIX, []);
+        const policies: ApprovalPolicy[] = [];
 
-        if (asset.status !== AssetStatus.CREATED && asset.status !== AssetStatus.REJECTED) {
-            throw new Error(`Can only update in CREATED or REJECTED status (current: ${asset.status})`);
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value.value && result.value.value.length > 0) {
+                policies.push(JSON.parse(result.value.value.toString()));
+            }
+            result = await iterator.next();
         }
+        await iterator.close();
 
-        const callerFingerprint = this.getOwnerFingerprint(ctx);
-        if (asset.owner !== callerFingerprint) {
-            throw new Error('Only asset owner can update');
-        }
+        return JSON.stringify({
+            activePolicyID: await this.getActivePolicyID(ctx),
+            policies
+        });
+    }
 
-        asset.description = newDescription;
-        asset.updatedAt = this.getTimestamp(ctx);
+    // ===========================================================================
+    // Asset Type Workflows
+    // ===========================================================================
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+    private getWorkflowKey(ctx: Context, assetType: string): string {
+        return ctx.stub.createCompositeKey(WORKFLOW_KEY_PREFIX, [assetType]);
     }
 
-    @Transaction()
-    public async DeleteAsset(ctx: Context, assetID: string): Promise<void> {
-        this.requireRole(ctx, ['owner']);
-
+    /**
+     * Get the workflow for an asset type; the default type falls back to
+     * the built-in VALID_TRANSITIONS until an admin stores one on-chain
+     */
+    private async getWorkflow(ctx: Context, assetType: string): Promise<AssetWorkflow> {
+        const workflowBuffer = await ctx.stub.getState(this.getWorkflowKey(ctx, assetType));
+        if (workflowBuffer && workflowBuffer.length > 0) {
+            return JSON.parse(workflowBuffer.toString()) as AssetWorkflow;
+        }
+        if (assetType !== DEFAULT_ASSET_TYPE) {
+            throw new ChaincodeError('NOT_FOUND', `No workflow registered for asset type ${assetType}`);
+        }
+        return {
+            docType: 'assetWorkflow',
+            assetType: DEFAULT_ASSET_TYPE,
+            description: 'Built-in default workflow',
+            transitions: VALID_TRANSITIONS,
+            transitionRoles: {},
+            approvalPolicyID: '',
+            metadataSchema: DEFAULT_METADATA_SCHEMA,
+            version: 0,
+            updatedBy: '',
+            updatedAt: ''
+        };
+    }
+
+    private validateStatusName(status: unknown): string {
+        if (typeof status !== 'string' || !/^[A-Z][A-Z0-9_]{0,31}$/.test(status)) {
+            throw new Error(`Invalid workflow status: ${JSON.stringify(status)}`);
+        }
+        return status;
+    }
+
+    /**
+     * Validate a transition table; the approval core
+     * (CREATED -> PENDING_APPROVAL -> APPROVED | REJECTED) must be kept
+     */
+    private validateWorkflowTransitions(input: unknown): { [status: string]: string[] } {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Workflow transitions must be an object of status -> next statuses');
+        }
+
+        const transitions: { [status: string]: string[] } = {};
+        for (const [from, targets] of Object.entries(input)) {
+            this.validateStatusName(from);
+            if (!Array.isArray(targets)) {
+                throw new Error(`Workflow transitions for ${from} must be an array`);
+            }
+            transitions[from] = targets.map(target => this.validateStatusName(target));
+        }
+
+        const requiredEdges: [string, string][] = [
+            [AssetStatus.CREATED, AssetStatus.PENDING_APPROVAL],
+            [AssetStatus.PENDING_APPROVAL, AssetStatus.APPROVED],
+            [AssetStatus.PENDING_APPROVAL, AssetStatus.REJECTED]
+        ];
+        for (const [from, to] of requiredEdges) {
+            if (!transitions[from] || !transitions[from].includes(to)) {
+                throw new Error(`Workflow must allow transition ${from} -> ${to}`);
+            }
+        }
+        return transitions;
+    }
+
+    /**
+     * A metadata schema must be a compilable JSON Schema describing an object
+     */
+    private validateMetadataSchema(schema: unknown): object {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new Error('Workflow metadataSchema must be a JSON Schema object');
+        }
+        if ((schema as { type?: unknown }).type !== 'object') {
+            throw new Error('Workflow metadataSchema must describe an object (type: "object")');
+        }
+        if (Buffer.byteLength(JSON.stringify(schema)) > MAX_METADATA_BYTES) {
+            throw new Error(`Workflow metadataSchema exceeds maximum size of ${MAX_METADATA_BYTES} bytes`);
+        }
+        try {
+            new Ajv().compile(schema);
+        } catch (err) {
+            throw new Error(`Workflow metadataSchema is not a valid JSON Schema: ${(err as Error).message}`);
+        }
+        return schema;
+    }
+
+    /**
+     * Create or replace the workflow for an asset type (admin only)
+     * workflowJson: {
+     *   transitions: { [status]: string[] },
+     *   transitionRoles?: { [status]: string[] },  // roles allowed to call TransitionAsset into status
+     *   approvalPolicyID?: string,
+     *   metadataSchema?: object,  // JSON Schema for asset.metadata, default: the built-in schema
+     *   description?: string
+     * }
+     */
+    @Transaction()
+    public async SetAssetWorkflow(ctx: Context, assetType: string, workflowJson: string): Promise<void> {
+        await this.requireAdmin(ctx);
+
+        if (!assetType || !/^[a-zA-Z0-9_-]{1,64}$/.test(assetType)) {
+            throw new Error('Asset type must be 1-64 alphanumeric, underscore or hyphen characters');
+        }
+
+        let input: { transitions?: unknown; transitionRoles?: unknown; approvalPolicyID?: unknown; metadataSchema?: unknown; description?: unknown };
+        try {
+            input = JSON.parse(workflowJson);
+        } catch {
+            throw new Error('Workflow must be valid JSON');
+        }
+
+        const transitions = this.validateWorkflowTransitions(input.transitions);
+        const targets = Object.values(transitions).flat();
+
+        const transitionRoles: { [status: string]: string[] } = {};
+        if (input.transitionRoles !== undefined) {
+            if (!input.transitionRoles || typeof input.transitionRoles !== 'object' || Array.isArray(input.transitionRoles)) {
+                throw new Error('Workflow transitionRoles must be an object of status -> roles');
+            }
+            for (const [status, roles] of Object.entries(input.transitionRoles)) {
+                this.validateStatusName(status);
+                if (APPROVAL_CONTROLLED_STATUSES.includes(status)) {
+                    throw new Error(`Status ${status} can only be entered through the approval transactions`);
+                }
+                if (!targets.includes(status)) {
+                    throw new Error(`Status ${status} is not the target of any transition`);
+                }
+                transitionRoles[status] = this.validateRoleList(roles, `transitionRoles.${status}`);
+            }
+        }
+
+        const approvalPolicyID = input.approvalPolicyID === undefined ? '' : String(input.approvalPolicyID);
+        if (approvalPolicyID && !(await this.readPolicy(ctx, approvalPolicyID))) {
+            throw new ChaincodeError('NOT_FOUND', `Approval policy ${approvalPolicyID} does not exist`);
+        }
+
+        const metadataSchema = input.metadataSchema === undefined
+            ? DEFAULT_METADATA_SCHEMA
+            : this.validateMetadataSchema(input.metadataSchema);
+
+        const description = input.description === undefined ? '' : String(input.description);
+        if (description.length > 1024) {
+            throw new Error('Workflow description exceeds maximum length of 1024 characters');
+        }
+
+        const existingBuffer = await ctx.stub.getState(this.getWorkflowKey(ctx, assetType));
+        const existing = existingBuffer && existingBuffer.length > 0
+            ? JSON.parse(existingBuffer.toString()) as AssetWorkflow
+            : null;
+
+        const workflow: AssetWorkflow = {
+            docType: 'assetWorkflow',
+            assetType,
+            description,
+            transitions,
+            transitionRoles,
+            approvalPolicyID,
+            metadataSchema,
+            version: existing ? existing.version + 1 : 1,
+            updatedBy: this.getAuditMSP(ctx),  // Audit only, never for auth
+            updatedAt: this.getTimestamp(ctx)
+        };
+
+        await ctx.stub.putState(this.getWorkflowKey(ctx, assetType), Buffer.from(JSON.stringify(workflow)));
+    }
+
+    @Transaction(false)
+    @Returns('string')
+    public async GetAssetWorkflow(ctx: Context, assetType: string): Promise<string> {
+        const workflow = await this.getWorkflow(ctx, assetType || DEFAULT_ASSET_TYPE);
+        return JSON.stringify(workflow);
+    }
+
+    @Transaction(false)
+    @Returns('string')
+    public async ListAssetWorkflows(ctx: Context): Promise<string> {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(WORKFLOW_KEY_PREFIX, []);
+        const workflows: AssetWorkflow[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value.value && result.value.value.length > 0) {
+                workflows.push(JSON.parse(result.value.value.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return JSON.stringify(workflows);
+    }
+
+    /**
+     * Move an asset into a workflow-defined status (e.g. SUSPENDED, EXPIRED)
+     * Allowed roles come from the workflow's transitionRoles
+     */
+    @Transaction()
+    public async TransitionAsset(ctx: Context, assetID: string, newStatus: string): Promise<void> {
+        const callerRole = await this.getRole(ctx);
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+        const workflow = await this.getWorkflow(ctx, asset.assetType ?? DEFAULT_ASSET_TYPE);
+
+        const allowedRoles = workflow.transitionRoles[newStatus];
+        if (!allowedRoles) {
+            throw new Error(`Status ${newStatus} cannot be entered through TransitionAsset`);
+        }
+        if (!allowedRoles.includes(callerRole)) {
+            throw new ChaincodeError('FORBIDDEN', `Role '${callerRole}' not authorized. Allowed: ${allowedRoles.join(', ')}`);
+        }
+
+        await this.validateTransition(ctx, asset, newStatus);
+
+        asset.status = newStatus;
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'TransitionAsset', assetID, oldStatus, asset.status);
+    }
+
+    // ===========================================================================
+    // Approval Delegation
+    // ===========================================================================
+
+    private getDelegationKey(ctx: Context, role: string, delegateFingerprint: string): string {
+        return ctx.stub.createCompositeKey(DELEGATION_KEY_PREFIX, [role, delegateFingerprint]);
+    }
+
+    private async readDelegation(ctx: Context, role: string, delegateFingerprint: string): Promise<ApprovalDelegation | null> {
+        const buffer = await ctx.stub.getState(this.getDelegationKey(ctx, role, delegateFingerprint));
+        if (!buffer || buffer.length === 0) {
+            return null;
+        }
+        return JSON.parse(buffer.toString()) as ApprovalDelegation;
+    }
+
+    /**
+     * A delegation counts until validUntil, unless its delegating certificate was
+     * revoked. Delegations from before certificateFingerprint was recorded cannot
+     * be checked against the denylist, so they never count.
+     */
+    private async isDelegationInForce(ctx: Context, delegation: ApprovalDelegation, now: string): Promise<boolean> {
+        if (delegation.validUntil <= now || !delegation.certificateFingerprint) {
+            return false;
+        }
+        return !(await this.readRevokedIdentity(ctx, delegation.certificateFingerprint));
+    }
+
+    /**
+     * Work out which required role the caller acts as: their own role, or a
+     * role delegated to their fingerprint that has not yet expired and whose
+     * delegating certificate has not been revoked
+     */
+    private async resolveApproverRole(ctx: Context, asset: Asset, action: string): Promise<{ role: string; delegation: ApprovalDelegation | null }> {
+        const callerRole = await this.getRole(ctx);
+        if (asset.requiredApprovals.includes(callerRole)) {
+            return { role: callerRole, delegation: null };
+        }
+
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        const now = this.getTimestamp(ctx);
+        const active: ApprovalDelegation[] = [];
+        for (const role of asset.requiredApprovals) {
+            const delegation = await this.readDelegation(ctx, role, callerFingerprint);
+            if (delegation && await this.isDelegationInForce(ctx, delegation, now)) {
+                active.push(delegation);
+            }
+        }
+
+        if (active.length === 0) {
+            throw new ChaincodeError('FORBIDDEN', `Role '${callerRole}' cannot ${action}. Required: ${asset.requiredApprovals.join(', ')}`);
+        }
+        if (asset.owner === callerFingerprint) {
+            throw new ChaincodeError('FORBIDDEN', `Asset owner cannot ${action} own asset as a delegate`);
+        }
+
+        // Prefer a delegated role that still has to act
+        const delegation = active.find(d => asset.approvals[d.role]?.decision === 'PENDING') ?? active[0];
+        return { role: delegation.role, delegation };
+    }
+
+    /**
+     * Hand this role's approval authority to another identity until validUntil.
+     * A deputy holds a role from one delegator at a time: a grant from another
+     * holder of the role is refused while the existing one is in force.
+     */
+    @Transaction()
+    public async DelegateApproval(ctx: Context, role: string, delegateFingerprint: string, validUntil: string): Promise<void> {
+        if (role === 'owner') {
+            throw new Error('The owner role cannot be delegated');
+        }
+        await this.requireRole(ctx, [role]);
+
+        if (!delegateFingerprint || delegateFingerprint.trim().length === 0) {
+            throw new Error('Delegate fingerprint cannot be empty');
+        }
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        if (delegateFingerprint === callerFingerprint) {
+            throw new Error('Cannot delegate to yourself');
+        }
+
+        const until = Date.parse(validUntil);
+        if (isNaN(until)) {
+            throw new Error(`validUntil must be an ISO-8601 timestamp, got: ${validUntil}`);
+        }
+        const now = this.getTimestamp(ctx);
+        const untilISO = new Date(until).toISOString();
+        if (untilISO <= now) {
+            throw new Error('validUntil must be in the future');
+        }
+
+        const delegation: ApprovalDelegation = {
+            docType: 'approvalDelegation',
+            role,
+            delegateFingerprint,
+            delegatorFingerprint: callerFingerprint,
+            delegatorMSP: this.getAuditMSP(ctx),  // Audit only, never for auth
+            certificateFingerprint: this.getCertificateFingerprint(ctx),
+            validUntil: untilISO,
+            createdAt: now,
+            txId: ctx.stub.getTxID()
+        };
+
+        // Re-delegating to the same deputy replaces the caller's own earlier window
+        const existing = await this.readDelegation(ctx, role, delegateFingerprint);
+        if (existing && existing.delegatorFingerprint !== callerFingerprint && await this.isDelegationInForce(ctx, existing, now)) {
+            throw new ChaincodeError('CONFLICT', `Delegate already holds role '${role}' from another delegator until ${existing.validUntil}; it must be revoked or expire first`);
+        }
+
+        await ctx.stub.putState(
+            this.getDelegationKey(ctx, role, delegateFingerprint),
+            Buffer.from(JSON.stringify(delegation))
+        );
+    }
+
+    /**
+     * Withdraw a delegation early (delegator or admin)
+     */
+    @Transaction()
+    public async RevokeDelegation(ctx: Context, role: string, delegateFingerprint: string): Promise<void> {
+        await this.requireNotRevoked(ctx);
+        const delegation = await this.readDelegation(ctx, role, delegateFingerprint);
+        if (!delegation) {
+            throw new ChaincodeError('NOT_FOUND', `No delegation of role '${role}' to ${delegateFingerprint}`);
+        }
+
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        if (delegation.delegatorFingerprint !== callerFingerprint) {
+            await this.requireAdmin(ctx);
+        }
+
+        await ctx.stub.deleteState(this.getDelegationKey(ctx, role, delegateFingerprint));
+    }
+
+    /**
+     * List delegations, optionally for a single role (expired ones included)
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async ListDelegations(ctx: Context, role: string): Promise<string> {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(DELEGATION_KEY_PREFIX, role ? [role] : []);
+        const delegations: ApprovalDelegation[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value.value && result.value.value.length > 0) {
+                delegations.push(JSON.parse(result.value.value.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return JSON.stringify(delegations);
+    }
+
+    // ===========================================================================
+    // Identity Revocation (admin-managed certificate denylist)
+    // ===========================================================================
+
+    private getRevokedIdentityKey(ctx: Context, certificateFingerprint: string): string {
+        return ctx.stub.createCompositeKey(REVOKED_IDENTITY_KEY_PREFIX, [certificateFingerprint]);
+    }
+
+    private async readRevokedIdentity(ctx: Context, certificateFingerprint: string): Promise<RevokedIdentity | null> {
+        const buffer = await ctx.stub.getState(this.getRevokedIdentityKey(ctx, certificateFingerprint));
+        if (!buffer || buffer.length === 0) {
+            return null;
+        }
+        return JSON.parse(buffer.toString()) as RevokedIdentity;
+    }
+
+    /**
+     * Stop honouring a certificate the MSP still accepts (e.g. a compromised
+     * key awaiting the CA's CRL). Every role check then refuses it, delegations
+     * it granted stop being honoured, and the decisions it recorded on assets
+     * still PENDING_APPROVAL are reset to PENDING. Those assets are found through
+     * the status index (run RebuildAssetIndexes first on ledgers that predate it);
+     * decisions on assets that already left PENDING_APPROVAL stand.
+     * certificateFingerprint: SHA-256 of the certificate (hex, colons optional;
+     * GetCallerInfo shows the caller's own).
+     * Returns the invalidated decisions as [{ assetID, role, decision }].
+     */
+    @Transaction()
+    @Returns('string')
+    public async RevokeIdentity(ctx: Context, certificateFingerprint: string, reason: string): Promise<string> {
+        await this.requireAdmin(ctx);
+        const revocationReason = this.requireReason(reason, 'Revocation');
+
+        const fingerprint = (certificateFingerprint ?? '').replace(/:/g, '').toLowerCase();
+        if (!CERTIFICATE_FINGERPRINT_PATTERN.test(fingerprint)) {
+            throw new Error('Certificate fingerprint must be a SHA-256 hash: 64 hex characters');
+        }
+        const callerFingerprint = this.getCertificateFingerprint(ctx);
+        if (fingerprint === callerFingerprint) {
+            throw new Error('Cannot revoke your own certificate');
+        }
+        if (await this.readRevokedIdentity(ctx, fingerprint)) {
+            throw new ChaincodeError('CONFLICT', `Certificate ${fingerprint} is already revoked`);
+        }
+
+        const now = this.getTimestamp(ctx);
+        const revoked: RevokedIdentity = {
+            docType: 'revokedIdentity',
+            certificateFingerprint: fingerprint,
+            reason: revocationReason,
+            revokedBy: callerFingerprint,
+            revokedByMSP: this.getAuditMSP(ctx),  // Audit only, never for auth
+            revokedAt: now,
+            txId: ctx.stub.getTxID()
+        };
+        await ctx.stub.putState(this.getRevokedIdentityKey(ctx, fingerprint), Buffer.from(JSON.stringify(revoked)));
+
+        const invalidated: { assetID: string; role: string; decision: ApprovalDecision }[] = [];
+        const changes: AssetStatusChange[] = [];
+        for (const asset of await this.queryIndex(ctx, STATUS_INDEX, AssetStatus.PENDING_APPROVAL)) {
+            this.upgradeApprovals(asset);
+            let changed = false;
+            for (const [role, record] of Object.entries(asset.approvals)) {
+                if (record.decision !== 'PENDING' && record.certificateFingerprint === fingerprint) {
+                    invalidated.push({ assetID: asset.assetID, role, decision: record.decision });
+                    asset.approvals[role] = this.pendingApproval();
+                    changed = true;
+                }
+            }
+            if (changed) {
+                asset.updatedAt = now;
+                await this.putAsset(ctx, asset);
+                changes.push({ assetID: asset.assetID, oldStatus: asset.status, newStatus: asset.status });
+            }
+        }
+
+        if (changes.length > 0) {
+            this.emitLifecycleChanges(ctx, 'RevokeIdentity', changes);
+        }
+        return JSON.stringify(invalidated);
+    }
+
+    /**
+     * List revoked certificates (any role)
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async ListRevokedIdentities(ctx: Context): Promise<string> {
+        await this.getRole(ctx);
+
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(REVOKED_IDENTITY_KEY_PREFIX, []);
+        const revoked: RevokedIdentity[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value.value && result.value.value.length > 0) {
+                revoked.push(JSON.parse(result.value.value.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return JSON.stringify(revoked);
+    }
+
+    // ===========================================================================
+    // Asset Lifecycle Operations
+    // ===========================================================================
+
+    @Transaction()
+    public async CreateAsset(ctx: Context, assetID: string, description: string): Promise<void> {
+        await this.CreateTypedAsset(ctx, assetID, DEFAULT_ASSET_TYPE, description, '');
+    }
+
+    /**
+     * Create an asset of a registered type
+     * metadataJson: object validated against the type's metadataSchema ('' = {})
+     */
+    @Transaction()
+    public async CreateTypedAsset(ctx: Context, assetID: string, assetType: string, description: string, metadataJson: string): Promise<void> {
+        const metadata = this.parseMetadata(metadataJson, 'Metadata');
+        const change = await this.createTypedAsset(ctx, assetID, assetType, description, metadata);
+
+        this.emitLifecycleEvent(ctx, 'CreateAsset', change.assetID, change.oldStatus, change.newStatus);
+    }
+
+    /**
+     * Validate and write a new asset without emitting an event; nothing is
+     * written unless every check passes, so batch callers can skip a failed item
+     */
+    private async createTypedAsset(ctx: Context, assetID: string, assetType: string, description: string, metadata: AssetMetadata): Promise<AssetStatusChange> {
+        // Input validation (fails for asset types without a registered workflow)
+        await this.validateAssetInput(ctx, assetID, description, assetType, metadata);
+
+        // TRUE ABAC: Check role from certificate
+        await this.requireRole(ctx, ['owner']);
+
+        // Check if exists
+        const exists = await this.AssetExists(ctx, assetID);
+        if (exists) {
+            throw new ChaincodeError('CONFLICT', `Asset ${assetID} already exists`);
+        }
+
+        const workflow = await this.getWorkflow(ctx, assetType);
+
+        const now = this.getTimestamp(ctx);
+
+        // Snapshot the type's (or active) policy so later policy changes don't affect this asset
+        const policy = workflow.approvalPolicyID
+            ? await this.readPolicy(ctx, workflow.approvalPolicyID)
+            : await this.getActivePolicy(ctx);
+        if (!policy) {
+            throw new ChaincodeError('NOT_FOUND', `Approval policy ${workflow.approvalPolicyID} does not exist`);
+        }
+
+        // Build initial approvals map from required roles
+        const approvals: { [role: string]: ApprovalRecord } = {};
+        for (const role of policy.requiredApprovals) {
+            approvals[role] = this.pendingApproval();
+        }
+
+        const asset: Asset = {
+            docType: 'asset',
+            assetID,
+            assetType,
+            description,
+            metadata,
+            owner: this.getOwnerFingerprint(ctx),
+            ownerMSP: this.getAuditMSP(ctx),   // Search/audit only, never for auth
+            createdBy: this.getAuditMSP(ctx),  // Audit only, never for auth
+            status: AssetStatus.CREATED,
+            approvals,
+            requiredApprovals: policy.requiredApprovals,
+            quorum: policy.quorum ?? this.buildQuorum(undefined, policy.requiredApprovals),
+            stages: policy.stages ?? [],
+            policyID: policy.policyID,
+            policyVersion: policy.version,
+            transferSignOffRoles: policy.transferSignOffRoles ?? [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.putAsset(ctx, asset);
+
+        return { assetID, oldStatus: '', newStatus: asset.status };
+    }
+
+    @Transaction()
+    public async CreateAssetWithPrivateData(ctx: Context, assetID: string, description: string): Promise<void> {
+        // Create public asset first
+        await this.CreateAsset(ctx, assetID, description);
+
+        // Get private data from transient map
+        const privateDataBuffer = ctx.stub.getTransient().get('asset_private_data');
+
+        if (privateDataBuffer && privateDataBuffer.length > 0) {
+            const privateData = this.parsePrivateData(privateDataBuffer, assetID);
+            await ctx.stub.putPrivateData(PRIVATE_COLLECTION, assetID, this.serializePrivateData(privateData));
+        }
+    }
+
+    @Transaction()
+    public async SubmitForApproval(ctx: Context, assetID: string): Promise<void> {
+        await this.submitForApproval(ctx, assetID, '');
+    }
+
+    /**
+     * SubmitForApproval with an ISO-8601 deadline the approvers must act by
+     */
+    @Transaction()
+    public async SubmitForApprovalWithDeadline(ctx: Context, assetID: string, deadline: string): Promise<void> {
+        if (!deadline) {
+            throw new Error('Deadline cannot be empty; use SubmitForApproval for none');
+        }
+        await this.submitForApproval(ctx, assetID, deadline);
+    }
+
+    private async submitForApproval(ctx: Context, assetID: string, deadline: string): Promise<void> {
+        await this.requireRole(ctx, ['owner']);
+
+        const now = this.getTimestamp(ctx);
+        let approvalDeadline = '';
+        if (deadline) {
+            const parsed = Date.parse(deadline);
+            if (isNaN(parsed)) {
+                throw new Error(`Deadline must be an ISO-8601 timestamp, got: ${deadline}`);
+            }
+            approvalDeadline = new Date(parsed).toISOString();
+            if (approvalDeadline <= now) {
+                throw new Error('Deadline must be in the future');
+            }
+        }
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+        await this.validateTransition(ctx, asset, AssetStatus.PENDING_APPROVAL);
+
+        // Verify ownership using cert fingerprint (not MSP!)
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        if (asset.owner !== callerFingerprint) {
+            throw new ChaincodeError('FORBIDDEN', 'Only asset owner can submit for approval');
+        }
+
+        // Reset approvals for fresh cycle
+        for (const role of asset.requiredApprovals) {
+            asset.approvals[role] = this.pendingApproval();
+        }
+
+        asset.status = AssetStatus.PENDING_APPROVAL;
+        asset.approvalDeadline = approvalDeadline;
+        asset.statusReason = '';
+        asset.updatedAt = now;
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'SubmitForApproval', assetID, oldStatus, asset.status);
+    }
+
+    /**
+     * Recall a pending submission (owner only): PENDING_APPROVAL -> CREATED
+     * Clears any partial approvals; the withdrawal stays in the asset history.
+     * Asset types opt in by allowing PENDING_APPROVAL -> CREATED in their workflow.
+     */
+    @Transaction()
+    public async WithdrawSubmission(ctx: Context, assetID: string): Promise<void> {
+        await this.requireRole(ctx, ['owner']);
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+        await this.validateTransition(ctx, asset, AssetStatus.CREATED);
+
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        if (asset.owner !== callerFingerprint) {
+            throw new ChaincodeError('FORBIDDEN', 'Only asset owner can withdraw a submission');
+        }
+
+        for (const role of asset.requiredApprovals) {
+            asset.approvals[role] = this.pendingApproval();
+        }
+
+        asset.status = AssetStatus.CREATED;
+        asset.approvalDeadline = '';
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'WithdrawSubmission', assetID, oldStatus, asset.status);
+    }
+
+    @Transaction()
+    public async ApproveAsset(ctx: Context, assetID: string): Promise<void> {
+        const change = await this.approveAsset(ctx, assetID, '');
+
+        this.emitLifecycleEvent(ctx, 'ApproveAsset', change.assetID, change.oldStatus, change.newStatus);
+    }
+
+    /**
+     * ApproveAsset with a comment on the approval record; the event action
+     * stays 'ApproveAsset'
+     */
+    @Transaction()
+    public async ApproveAssetWithComment(ctx: Context, assetID: string, comment: string): Promise<void> {
+        const change = await this.approveAsset(ctx, assetID, comment);
+
+        this.emitLifecycleEvent(ctx, 'ApproveAsset', change.assetID, change.oldStatus, change.newStatus);
+    }
+
+    /**
+     * Record the caller's approval without emitting an event; nothing is
+     * written unless every check passes, so batch callers can skip a failed item
+     */
+    private async approveAsset(ctx: Context, assetID: string, comment: string): Promise<AssetStatusChange> {
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+
+        // TRUE ABAC: Any role required by the asset's policy (or its delegate) can approve
+        const { role: callerRole, delegation } = await this.resolveApproverRole(ctx, asset, 'approve');
+
+        if (asset.status !== AssetStatus.PENDING_APPROVAL) {
+            throw new ChaincodeError('CONFLICT', `Asset must be PENDING_APPROVAL to approve (current: ${asset.status})`);
+        }
+
+        // Check if this role already decided
+        const decision = asset.approvals[callerRole]?.decision;
+        if (decision === 'APPROVED') {
+            throw new ChaincodeError('CONFLICT', `Role '${callerRole}' has already approved this asset`);
+        }
+        if (decision !== 'PENDING') {
+            throw new ChaincodeError('CONFLICT', `Role '${callerRole}' has already rejected this asset`);
+        }
+
+        this.requireCurrentStage(asset, callerRole, 'approve');
+
+        // Record approval by ROLE (not org!)
+        asset.approvals[callerRole] = this.buildApprovalRecord(ctx, 'APPROVED', comment ?? '', delegation);
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        // Check if the quorum has been reached
+        const tally = this.tallyApprovals(asset);
+        if (tally.approved >= tally.threshold) {
+            asset.status = AssetStatus.APPROVED;
+        }
+
+        await this.putAsset(ctx, asset);
+
+        return { assetID, oldStatus, newStatus: asset.status };
+    }
+
+    @Transaction()
+    public async RejectAsset(ctx: Context, assetID: string, reason: string): Promise<void> {
+        if (!reason || reason.trim().length === 0) {
+            throw new Error('Rejection reason is required');
+        }
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+
+        const { role: callerRole, delegation } = await this.resolveApproverRole(ctx, asset, 'reject');
+
+        if (asset.status !== AssetStatus.PENDING_APPROVAL) {
+            throw new ChaincodeError('CONFLICT', `Asset must be PENDING_APPROVAL to reject (current: ${asset.status})`);
+        }
+
+        // A decision is final for the cycle; a new submission resets it
+        const decision = asset.approvals[callerRole]?.decision;
+        if (decision === 'APPROVED') {
+            throw new ChaincodeError('CONFLICT', `Role '${callerRole}' has already approved this asset`);
+        }
+        if (decision !== 'PENDING') {
+            throw new ChaincodeError('CONFLICT', `Role '${callerRole}' has already rejected this asset`);
+        }
+
+        this.requireCurrentStage(asset, callerRole, 'reject');
+
+        asset.approvals[callerRole] = this.buildApprovalRecord(ctx, 'REJECTED', reason, delegation);
+
+        // Only reject once the remaining roles can no longer reach the quorum
+        const tally = this.tallyApprovals(asset);
+        if (tally.reachable < tally.threshold) {
+            asset.status = AssetStatus.REJECTED;
+        }
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'RejectAsset', assetID, oldStatus, asset.status);
+    }
+
+    /**
+     * Close out PENDING_APPROVAL assets whose deadline has passed (any role may call)
+     * Moves them to EXPIRED, or to REJECTED when the asset's workflow has no EXPIRED state.
+     * Stops after `limit` overdue assets and returns { changes, hasMore }; hasMore
+     * means the index was not read to the end, so call again until it is false.
+     */
+    @Transaction()
+    @Returns('string')
+    public async ExpirePendingApprovals(ctx: Context, limit: string): Promise<string> {
+        await this.getRole(ctx);
+
+        const max = parseInt(limit, 10);
+        if (!Number.isInteger(max) || max < 1 || max > MAX_PAGE_SIZE) {
+            throw new Error(`Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+
+        // Walk the status index rather than a rich query: it works on LevelDB, and the
+        // key range is re-validated at commit, so concurrent submissions are not missed
+        const now = this.getTimestamp(ctx);
+        const overdue: Asset[] = [];
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(STATUS_INDEX, [AssetStatus.PENDING_APPROVAL]);
+        let result = await iterator.next();
+        while (!result.done && overdue.length < max) {
+            const { attributes } = ctx.stub.splitCompositeKey(result.value.key);
+            const assetBuffer = await ctx.stub.getState(attributes[attributes.length - 1]);
+            if (assetBuffer && assetBuffer.length > 0) {
+                const asset = JSON.parse(assetBuffer.toString()) as Asset;
+                if (asset.approvalDeadline && asset.approvalDeadline < now) {
+                    overdue.push(asset);
+                }
+            }
+            result = await iterator.next();
+        }
+        const hasMore = !result.done;
+        await iterator.close();
+
+        const workflows = new Map<string, AssetWorkflow>();
+        const changes: AssetStatusChange[] = [];
+        for (const asset of overdue) {
+            const assetType = asset.assetType ?? DEFAULT_ASSET_TYPE;
+            let workflow = workflows.get(assetType);
+            if (!workflow) {
+                workflow = await this.getWorkflow(ctx, assetType);
+                workflows.set(assetType, workflow);
+            }
+            const allowed = workflow.transitions[AssetStatus.PENDING_APPROVAL] ?? [];
+
+            asset.status = allowed.includes(AssetStatus.EXPIRED) ? AssetStatus.EXPIRED : AssetStatus.REJECTED;
+            asset.statusReason = `SYSTEM: approval deadline ${asset.approvalDeadline} passed`;
+            asset.updatedAt = now;
+
+            await this.putAsset(ctx, asset);
+            changes.push({ assetID: asset.assetID, oldStatus: AssetStatus.PENDING_APPROVAL, newStatus: asset.status });
+        }
+
+        if (changes.length > 0) {
+            this.emitLifecycleChanges(ctx, 'ExpirePendingApprovals', changes);
+        }
+        return JSON.stringify({ changes, hasMore });
+    }
+
+    @Transaction()
+    public async ActivateAsset(ctx: Context, assetID: string): Promise<void> {
+        await this.requireRole(ctx, ['owner']);
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+        await this.validateTransition(ctx, asset, AssetStatus.ACTIVE);
+
+        // Re-entering ACTIVE from SUSPENDED goes through ReinstateAsset (or TransitionAsset for custom workflows)
+        if (asset.status !== AssetStatus.APPROVED) {
+            throw new ChaincodeError('CONFLICT', `Invalid state transition: ${asset.status} -> ${AssetStatus.ACTIVE}`);
+        }
+
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        if (asset.owner !== callerFingerprint) {
+            throw new ChaincodeError('FORBIDDEN', 'Only asset owner can activate');
+        }
+
+        asset.status = AssetStatus.ACTIVE;
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'ActivateAsset', assetID, oldStatus, asset.status);
+    }
+
+    /**
+     * Update the description (owner only, CREATED or REJECTED)
+     */
+    @Transaction()
+    public async UpdateAsset(ctx: Context, assetID: string, newDescription: string): Promise<void> {
+        if (!newDescription || newDescription.trim().length === 0) {
+            throw new Error('Description cannot be empty');
+        }
+        await this.updateAsset(ctx, assetID, newDescription, {});
+    }
+
+    /**
+     * Update description and/or metadata (owner only, CREATED or REJECTED)
+     * newDescription: '' keeps the current description
+     * metadataPatchJson: JSON merge patch for asset.metadata - listed fields are
+     *   replaced, fields set to null are removed ('' = no metadata change)
+     */
+    @Transaction()
+    public async UpdateAssetMetadata(ctx: Context, assetID: string, newDescription: string, metadataPatchJson: string): Promise<void> {
+        const patch = this.parseMetadata(metadataPatchJson, 'Metadata patch');
+        if (!newDescription && Object.keys(patch).length === 0) {
+            throw new Error('Nothing to update: provide a description or a metadata patch');
+        }
+        await this.updateAsset(ctx, assetID, newDescription, patch);
+    }
+
+    private async updateAsset(ctx: Context, assetID: string, newDescription: string, patch: AssetMetadata): Promise<void> {
+        await this.requireRole(ctx, ['owner']);
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+
+        if (asset.status !== AssetStatus.CREATED && asset.status !== AssetStatus.REJECTED) {
+            throw new ChaincodeError('CONFLICT', `Can only update in CREATED or REJECTED status (current: ${asset.status})`);
+        }
+
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        if (asset.owner !== callerFingerprint) {
+            throw new ChaincodeError('FORBIDDEN', 'Only asset owner can update');
+        }
+
+        const metadata: AssetMetadata = { ...(asset.metadata ?? {}) };
+        for (const [field, value] of Object.entries(patch)) {
+            if (value === null) {
+                delete metadata[field];
+            } else {
+                metadata[field] = value;
+            }
+        }
+        const description = newDescription || asset.description;
+        await this.validateAssetInput(ctx, assetID, description, asset.assetType ?? DEFAULT_ASSET_TYPE, metadata);
+
+        asset.description = description;
+        asset.metadata = metadata;
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'UpdateAsset', assetID, oldStatus, asset.status);
+    }
+
+    @Transaction()
+    public async DeleteAsset(ctx: Context, assetID: string): Promise<void> {
+        await this.requireRole(ctx, ['owner']);
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+        await this.validateTransition(ctx, asset, AssetStatus.DELETED);
+
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        if (asset.owner !== callerFingerprint) {
+            throw new ChaincodeError('FORBIDDEN', 'Only asset owner can delete');
+        }
+
+        asset.status = AssetStatus.DELETED;
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'DeleteAsset', assetID, oldStatus, asset.status);
+    }
+
+    // ===========================================================================
+    // Enforcement (regulator suspends, reinstates or revokes ACTIVE assets)
+    // ===========================================================================
+
+    private requireReason(reason: string, action: string): string {
+        if (!reason || reason.trim().length === 0) {
+            throw new Error(`${action} reason is required`);
+        }
+        return reason.substring(0, MAX_APPROVAL_COMMENT_LENGTH);
+    }
+
+    @Transaction()
+    public async SuspendAsset(ctx: Context, assetID: string, reason: string): Promise<void> {
+        await this.requireRole(ctx, ENFORCEMENT_ROLES);
+        const statusReason = this.requireReason(reason, 'Suspension');
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+        await this.validateTransition(ctx, asset, AssetStatus.SUSPENDED);
+
+        asset.status = AssetStatus.SUSPENDED;
+        asset.statusReason = statusReason;
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'SuspendAsset', assetID, oldStatus, asset.status);
+    }
+
+    @Transaction()
+    public async ReinstateAsset(ctx: Context, assetID: string): Promise<void> {
+        await this.requireRole(ctx, ENFORCEMENT_ROLES);
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+        if (asset.status !== AssetStatus.SUSPENDED) {
+            throw new ChaincodeError('CONFLICT', `Asset must be SUSPENDED to reinstate (current: ${asset.status})`);
+        }
+        await this.validateTransition(ctx, asset, AssetStatus.ACTIVE);
+
+        asset.status = AssetStatus.ACTIVE;
+        asset.statusReason = '';
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'ReinstateAsset', assetID, oldStatus, asset.status);
+    }
+
+    /**
+     * Permanently revoke an ACTIVE or SUSPENDED asset; REVOKED is terminal
+     */
+    @Transaction()
+    public async RevokeAsset(ctx: Context, assetID: string, reason: string): Promise<void> {
+        await this.requireRole(ctx, ENFORCEMENT_ROLES);
+        const statusReason = this.requireReason(reason, 'Revocation');
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const oldStatus = asset.status;
+        await this.validateTransition(ctx, asset, AssetStatus.REVOKED);
+
+        asset.status = AssetStatus.REVOKED;
+        asset.statusReason = statusReason;
+        asset.pendingTransfer = null;
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'RevokeAsset', assetID, oldStatus, asset.status);
+    }
+
+    // ===========================================================================
+    // Batch Operations
+    // ===========================================================================
+
+    /**
+     * Create many assets in one transaction
+     * itemsJson: [{ assetID, assetType?, description, metadata? }]
+     * allOrNothing 'true': the first failing item fails the whole transaction.
+     * allOrNothing 'false': failing items are skipped and reported.
+     * Returns { results: BatchItemResult[], succeeded, failed }
+     */
+    @Transaction()
+    @Returns('string')
+    public async CreateAssetsBatch(ctx: Context, itemsJson: string, allOrNothing: string): Promise<string> {
+        await this.requireRole(ctx, ['owner']);
+
+        const atomic = this.parseAllOrNothing(allOrNothing);
+        const items = this.parseBatch(itemsJson, 'Items');
+
+        return await this.runBatch(ctx, 'CreateAssetsBatch', items, atomic, async (item) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                throw new Error('Item must be an object');
+            }
+            const { assetID, assetType, description, metadata } = item as { [key: string]: unknown };
+            if (typeof assetID !== 'string' || typeof description !== 'string') {
+                throw new Error('Item needs string assetID and description');
+            }
+            if (assetType !== undefined && typeof assetType !== 'string') {
+                throw new Error('assetType must be a string');
+            }
+            const parsed = this.parseMetadata(metadata === undefined ? '' : JSON.stringify(metadata), 'Metadata');
+            return await this.createTypedAsset(ctx, assetID, (assetType as string) || DEFAULT_ASSET_TYPE, description, parsed);
+        });
+    }
+
+    /**
+     * Approve many assets for the caller's role in one transaction
+     * idsJson: ["asset1", "asset2", ...]; comment is recorded on every approval.
+     * allOrNothing as for CreateAssetsBatch. Returns { results, succeeded, failed }
+     */
+    @Transaction()
+    @Returns('string')
+    public async ApproveAssetsBatch(ctx: Context, idsJson: string, comment: string, allOrNothing: string): Promise<string> {
+        const atomic = this.parseAllOrNothing(allOrNothing);
+        const ids = this.parseBatch(idsJson, 'Asset IDs');
+
+        return await this.runBatch(ctx, 'ApproveAssetsBatch', ids, atomic, async (id) => {
+            if (typeof id !== 'string') {
+                throw new Error('Asset ID must be a string');
+            }
+            return await this.approveAsset(ctx, id, comment);
+        });
+    }
+
+    private parseAllOrNothing(value: string): boolean {
+        if (value !== 'true' && value !== 'false') {
+            throw new Error(`allOrNothing must be 'true' or 'false', got: ${value}`);
+        }
+        return value === 'true';
+    }
+
+    private parseBatch(json: string, label: string): unknown[] {
+        let items: unknown;
+        try {
+            items = JSON.parse(json);
+        } catch {
+            throw new Error(`${label} must be a valid JSON array`);
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new Error(`${label} must be a non-empty JSON array`);
+        }
+        if (items.length > MAX_BATCH_SIZE) {
+            throw new Error(`Batch exceeds ${MAX_BATCH_SIZE} items`);
+        }
+        return items;
+    }
+
+    /**
+     * Apply each item, collecting per-item results and one lifecycle event for all
+     * changes. Each apply() must write nothing before it can fail, so skipping a
+     * failed item leaves no partial state behind.
+     */
+    private async runBatch(ctx: Context, action: string, items: unknown[], atomic: boolean, apply: (item: unknown) => Promise<AssetStatusChange>): Promise<string> {
+        const results: BatchItemResult[] = [];
+        const changes: AssetStatusChange[] = [];
+        const seen = new Set<string>();
+
+        for (let index = 0; index < items.length; index++) {
+            const item = items[index];
+            const assetID = typeof item === 'string'
+                ? item
+                : String((item as { assetID?: unknown } | null)?.assetID ?? '');
+            try {
+                // Writes in this transaction are invisible to later reads, so a
+                // repeated ID would be applied twice against the same old state
+                if (seen.has(assetID)) {
+                    throw new Error(`Asset ${assetID} appears more than once in the batch`);
+                }
+                seen.add(assetID);
+
+                const change = await apply(item);
+                changes.push(change);
+                results.push({ index, assetID, success: true, status: change.newStatus });
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                if (atomic) {
+                    const detail = `Batch item ${index} (${assetID}) failed`;
+                    throw error instanceof ChaincodeError
+                        ? new ChaincodeError(error.code, `${detail}: ${error.detail}`)
+                        : new Error(`${detail}: ${message}`);
+                }
+                results.push({ index, assetID, success: false, error: message });
+            }
+        }
+
+        if (changes.length > 0) {
+            this.emitLifecycleChanges(ctx, action, changes);
+        }
+
+        return JSON.stringify({
+            results,
+            succeeded: changes.length,
+            failed: results.length - changes.length
+        });
+    }
+
+    // ===========================================================================
+    // Ownership Transfer (two-step: owner proposes, new owner accepts)
+    // ===========================================================================
+
+    /**
+     * Roles that must sign off a transfer of the asset in its current status:
+     * ACTIVE assets use the policy snapshot taken at creation (older assets
+     * without one: the current version of the policy they were created under)
+     */
+    private async getTransferSignOffRoles(ctx: Context, asset: Asset): Promise<string[]> {
+        if (asset.status !== AssetStatus.ACTIVE) {
+            return [];
+        }
+        if (asset.transferSignOffRoles) {
+            return asset.transferSignOffRoles;
+        }
+        const policy = await this.readPolicy(ctx, asset.policyID);
+        return policy?.transferSignOffRoles ?? [];
+    }
+
+    private requireTransferableStatus(asset: Asset): void {
+        if (asset.status === AssetStatus.PENDING_APPROVAL || asset.status === AssetStatus.REVOKED || asset.status === AssetStatus.DELETED) {
+            throw new ChaincodeError('CONFLICT', `Cannot transfer an asset in status ${asset.status}`);
+        }
+    }
+
+    /**
+     * A proposal only holds for the status it was made in; sign-off and
+     * acceptance are refused once the asset has moved on
+     */
+    private requireOpenTransfer(asset: Asset): PendingTransfer {
+        const transfer = asset.pendingTransfer;
+        if (!transfer) {
+            throw new ChaincodeError('NOT_FOUND', `Asset ${asset.assetID} has no pending transfer`);
+        }
+        this.requireTransferableStatus(asset);
+        if (transfer.assetStatus && transfer.assetStatus !== asset.status) {
+            throw new ChaincodeError('CONFLICT', `Transfer was proposed while the asset was ${transfer.assetStatus} (current: ${asset.status}); propose it again`);
+        }
+        return transfer;
+    }
+
+    /**
+     * Propose handing the asset to another owner identity
+     * ACTIVE assets need an approver sign-off if the asset's policy requires one
+     */
+    @Transaction()
+    public async ProposeTransfer(ctx: Context, assetID: string, newOwnerFingerprint: string): Promise<void> {
+        await this.requireRole(ctx, ['owner']);
+
+        if (!newOwnerFingerprint || newOwnerFingerprint.trim().length === 0) {
+            throw new Error('New owner fingerprint cannot be empty');
+        }
+
+        const asset = await this.ReadAsset(ctx, assetID);
+
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        if (asset.owner !== callerFingerprint) {
+            throw new ChaincodeError('FORBIDDEN', 'Only asset owner can propose a transfer');
+        }
+        if (newOwnerFingerprint === asset.owner) {
+            throw new Error('New owner must differ from current owner');
+        }
+        this.requireTransferableStatus(asset);
+
+        // Replaces any earlier proposal
+        asset.pendingTransfer = {
+            toOwner: newOwnerFingerprint,
+            proposedAt: this.getTimestamp(ctx),
+            signOffRoles: await this.getTransferSignOffRoles(ctx, asset),
+            signedOffBy: '',
+            assetStatus: asset.status
+        };
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'ProposeTransfer', assetID, asset.status, asset.status);
+    }
+
+    /**
+     * Approver sign-off for a transfer that requires one
+     */
+    @Transaction()
+    public async ApproveTransfer(ctx: Context, assetID: string): Promise<void> {
+        const callerRole = await this.getRole(ctx);
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const transfer = this.requireOpenTransfer(asset);
+        const signOffRoles = await this.getTransferSignOffRoles(ctx, asset);
+        if (!signOffRoles.includes(callerRole)) {
+            throw new ChaincodeError('FORBIDDEN', `Role '${callerRole}' cannot sign off this transfer. Allowed: ${signOffRoles.join(', ') || 'none'}`);
+        }
+        if (transfer.signedOffBy) {
+            throw new ChaincodeError('CONFLICT', `Transfer already signed off by ${transfer.signedOffBy}`);
+        }
+
+        transfer.signedOffBy = callerRole;
+        asset.updatedAt = this.getTimestamp(ctx);
+
+        await this.putAsset(ctx, asset);
+
+        this.emitLifecycleEvent(ctx, 'ApproveTransfer', assetID, asset.status, asset.status);
+    }
+
+    /**
+     * Proposed owner accepts the transfer and becomes the owner
+     */
+    @Transaction()
+    public async AcceptTransfer(ctx: Context, assetID: string): Promise<void> {
+        await this.requireRole(ctx, ['owner']);
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        const transfer = this.requireOpenTransfer(asset);
+
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        if (transfer.toOwner !== callerFingerprint) {
+            throw new ChaincodeError('FORBIDDEN', 'Only the proposed new owner can accept the transfer');
+        }
+        // Worked out again here: the proposal's own list may predate this chaincode version
+        const signOffRoles = await this.getTransferSignOffRoles(ctx, asset);
+        if (signOffRoles.length > 0 && !signOffRoles.includes(transfer.signedOffBy)) {
+            throw new ChaincodeError('CONFLICT', `Transfer requires sign-off from one of: ${signOffRoles.join(', ')}`);
+        }
+
+        const now = this.getTimestamp(ctx);
+        const txId = ctx.stub.getTxID();
+
+        const record: TransferRecord = {
+            docType: 'transferRecord',
+            assetID,
+            fromOwner: asset.owner,
+            toOwner: transfer.toOwner,
+            signedOffBy: transfer.signedOffBy,
+            acceptedBy: this.getAuditMSP(ctx),  // Audit only, never for auth
+            txId,
+            timestamp: now
+        };
+
+        asset.owner = transfer.toOwner;
+        asset.ownerMSP = record.acceptedBy;
+        asset.pendingTransfer = null;
+        asset.updatedAt = now;
+
+        await this.putAsset(ctx, asset);
+        await ctx.stub.putState(
+            ctx.stub.createCompositeKey(TRANSFER_LOG_KEY_PREFIX, [assetID, txId]),
+            Buffer.from(JSON.stringify(record))
+        );
+
+        this.emitLifecycleEvent(ctx, 'AcceptTransfer', assetID, asset.status, asset.status);
+    }
+
+    @Transaction(false)
+    @Returns('string')
+    public async GetTransferLog(ctx: Context, assetID: string): Promise<string> {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(TRANSFER_LOG_KEY_PREFIX, [assetID]);
+        const records: TransferRecord[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value.value && result.value.value.length > 0) {
+                records.push(JSON.parse(result.value.value.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        // Keys are ordered by txId, not time
+        records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        return JSON.stringify(records);
+    }
+
+    // ===========================================================================
+    // Attachments (evidence documents, stored off-chain by hash)
+    // ===========================================================================
+
+    /**
+     * Register an off-chain document against an asset (owner or one of its approver roles)
+     * The chaincode never sees the document: clients hash it locally and can later
+     * check a downloaded copy against the recorded sha256.
+     */
+    @Transaction()
+    public async AttachDocument(ctx: Context, assetID: string, name: string, sha256: string, size: string, mimeType: string, storageURI: string): Promise<void> {
+        const callerRole = await this.getRole(ctx);
+
+        if (!name || name.trim().length === 0 || name.length > MAX_ATTACHMENT_NAME_LENGTH) {
+            throw new Error(`Attachment name must be 1-${MAX_ATTACHMENT_NAME_LENGTH} characters`);
+        }
+        const digest = (sha256 || '').toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(digest)) {
+            throw new Error('sha256 must be a 64-character hex digest');
+        }
+        const bytes = Number(size);
+        if (!Number.isSafeInteger(bytes) || bytes < 0) {
+            throw new Error('Attachment size must be a non-negative integer');
+        }
+        if (!/^[\w.+-]+\/[\w.+-]+$/.test(mimeType || '')) {
+            throw new Error(`Invalid MIME type: ${mimeType}`);
+        }
+        if (!/^[a-zA-Z][a-zA-Z0-9+.-]*:\S+$/.test(storageURI || '') || storageURI.length > MAX_STORAGE_URI_LENGTH) {
+            throw new Error('storageURI must be an absolute URI without spaces');
+        }
+
+        const asset = await this.ReadAsset(ctx, assetID);
+        if (asset.status === AssetStatus.REVOKED) {
+            throw new ChaincodeError('CONFLICT', `Cannot attach documents to an asset in status ${asset.status}`);
+        }
+
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        const isOwner = callerRole === 'owner' && asset.owner === callerFingerprint;
+        if (!isOwner && !asset.requiredApprovals.includes(callerRole)) {
+            throw new ChaincodeError('FORBIDDEN', 'Only the asset owner or one of its approver roles can attach documents');
+        }
+
+        const key = ctx.stub.createCompositeKey(ATTACHMENT_KEY_PREFIX, [assetID, digest]);
+        const existing = await ctx.stub.getState(key);
+        if (existing && existing.length > 0) {
+            throw new ChaincodeError('CONFLICT', `Document ${digest} is already attached to asset ${assetID}`);
+        }
+
+        const record: AttachmentRecord = {
+            docType: 'attachment',
+            assetID,
+            name,
+            sha256: digest,
+            size: bytes,
+            mimeType,
+            storageURI,
+            attachedBy: callerFingerprint,
+            attachedByRole: callerRole,
+            attachedByMSP: this.getAuditMSP(ctx),  // Audit only, never for auth
+            txId: ctx.stub.getTxID(),
+            timestamp: this.getTimestamp(ctx)
+        };
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(record)));
+
+        this.emitLifecycleEvent(ctx, 'AttachDocument', assetID, asset.status, asset.status);
+    }
+
+    /**
+     * Attachments of an asset, oldest first
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async ListAttachments(ctx: Context, assetID: string): Promise<string> {
+        await this.ReadAsset(ctx, assetID);
+
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(ATTACHMENT_KEY_PREFIX, [assetID]);
+        const records: AttachmentRecord[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value.value && result.value.value.length > 0) {
+                records.push(JSON.parse(result.value.value.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        // Keys are ordered by hash, not time
+        records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        return JSON.stringify(records);
+    }
+
+    // ===========================================================================
+    // Comment Threads
+    // ===========================================================================
+
+    /**
+     * Add a public comment, or a reply when replyTo names an existing comment
+     * Open to the asset owner and the asset's approver roles.
+     */
+    @Transaction()
+    @Returns('string')
+    public async AddComment(ctx: Context, assetID: string, text: string, replyTo: string): Promise<string> {
+        return await this.addComment(ctx, assetID, text, replyTo, false);
+    }
+
+    /**
+     * Add a comment to the private collection, readable only by the active policy's
+     * privateDataRoles. The text comes from the transient field 'comment_text' so it
+     * never appears in the transaction arguments.
+     */
+    @Transaction()
+    @Returns('string')
+    public async AddConfidentialComment(ctx: Context, assetID: string, replyTo: string): Promise<string> {
+        const textBuffer = ctx.stub.getTransient().get('comment_text');
+        const text = textBuffer ? Buffer.from(textBuffer).toString('utf8') : '';
+        return await this.addComment(ctx, assetID, text, replyTo, true);
+    }
+
+    /**
+     * Comments on an asset, oldest first. Confidential ones are included only
+     * for the active policy's privateDataRoles.
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async ListComments(ctx: Context, assetID: string): Promise<string> {
+        await this.ReadAsset(ctx, assetID);
+
+        const comments = await this.readComments(ctx, assetID, false);
+        if (await this.canReadConfidentialComments(ctx)) {
+            comments.push(...await this.readComments(ctx, assetID, true));
+        }
+
+        comments.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.commentID.localeCompare(b.commentID));
+        return JSON.stringify(comments);
+    }
+
+    private async addComment(ctx: Context, assetID: string, text: string, replyTo: string, confidential: boolean): Promise<string> {
+        const callerRole = await this.getRole(ctx);
+
+        if (!text || text.trim().length === 0) {
+            throw new Error('Comment text cannot be empty');
+        }
+        if (text.length > MAX_COMMENT_LENGTH) {
+            throw new Error(`Comment exceeds maximum length of ${MAX_COMMENT_LENGTH} characters`);
+        }
+
         const asset = await this.ReadAsset(ctx, assetID);
-        this.validateTransition(asset.status, AssetStatus.DELETED);
+        const callerFingerprint = this.getOwnerFingerprint(ctx);
+        const isOwner = callerRole === 'owner' && asset.owner === callerFingerprint;
+        if (!isOwner && !asset.requiredApprovals.includes(callerRole)) {
+            throw new ChaincodeError('FORBIDDEN', 'Only the asset owner or one of its approver roles can comment');
+        }
+        if (confidential && !await this.canReadConfidentialComments(ctx)) {
+            throw new ChaincodeError('FORBIDDEN', `Role '${callerRole}' cannot write confidential comments`);
+        }
+
+        if (replyTo) {
+            const publicParent = await ctx.stub.getState(this.getCommentKey(ctx, assetID, replyTo));
+            const isPublicParent = publicParent && publicParent.length > 0;
+            if (!isPublicParent) {
+                const privateParent = confidential
+                    ? await ctx.stub.getPrivateData(PRIVATE_COLLECTION, this.getCommentKey(ctx, assetID, replyTo))
+                    : undefined;
+                if (!privateParent || privateParent.length === 0) {
+                    throw new ChaincodeError('NOT_FOUND', `Comment ${replyTo} not found on asset ${assetID}`);
+                }
+            }
+        }
+
+        const comment: AssetComment = {
+            docType: 'assetComment',
+            assetID,
+            commentID: ctx.stub.getTxID(),
+            replyTo: replyTo || '',
+            text,
+            confidential,
+            authorFingerprint: callerFingerprint,
+            authorRole: callerRole,
+            authorMSP: this.getAuditMSP(ctx),  // Audit only, never for auth
+            timestamp: this.getTimestamp(ctx)
+        };
+
+        const key = this.getCommentKey(ctx, assetID, comment.commentID);
+        if (confidential) {
+            await ctx.stub.putPrivateData(PRIVATE_COLLECTION, key, Buffer.from(JSON.stringify(comment)));
+        } else {
+            await ctx.stub.putState(key, Buffer.from(JSON.stringify(comment)));
+        }
+
+        this.emitLifecycleEvent(ctx, confidential ? 'AddConfidentialComment' : 'AddComment', assetID, asset.status, asset.status);
+        return comment.commentID;
+    }
+
+    private getCommentKey(ctx: Context, assetID: string, commentID: string): string {
+        return ctx.stub.createCompositeKey(COMMENT_KEY_PREFIX, [assetID, commentID]);
+    }
+
+    private async canReadConfidentialComments(ctx: Context): Promise<boolean> {
+        const policy = await this.getActivePolicy(ctx);
+        return policy.privateDataRoles.includes(await this.getRole(ctx));
+    }
+
+    private async getConfidentialCommentKeys(ctx: Context, assetID: string): Promise<string[]> {
+        const iterator = await ctx.stub.getPrivateDataByPartialCompositeKey(PRIVATE_COLLECTION, COMMENT_KEY_PREFIX, [assetID]);
+        const keys: string[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            keys.push(result.value.key);
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return keys;
+    }
+
+    private async readComments(ctx: Context, assetID: string, confidential: boolean): Promise<AssetComment[]> {
+        const iterator = confidential
+            ? await ctx.stub.getPrivateDataByPartialCompositeKey(PRIVATE_COLLECTION, COMMENT_KEY_PREFIX, [assetID])
+            : await ctx.stub.getStateByPartialCompositeKey(COMMENT_KEY_PREFIX, [assetID]);
+        const comments: AssetComment[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value.value && result.value.value.length > 0) {
+                comments.push(JSON.parse(result.value.value.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return comments;
+    }
+
+    // ===========================================================================
+    // Data Migration
+    // ===========================================================================
+
+    /**
+     * Rewrite legacy approval values as ApprovalRecords, up to `limit` assets
+     * starting at `startKey`. Call again with the returned nextKey until it is ''.
+     * Uses a key range (not a rich query) so it works inside an update transaction.
+     */
+    @Transaction()
+    @Returns('string')
+    public async MigrateApprovalRecords(ctx: Context, startKey: string, limit: string): Promise<string> {
+        await this.requireAdmin(ctx);
+
+        const max = parseInt(limit, 10);
+        if (!Number.isInteger(max) || max < 1 || max > MAX_PAGE_SIZE) {
+            throw new Error(`Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+
+        // Plain keys only; composite keys (policies, workflows, logs) are outside this range
+        const iterator = await ctx.stub.getStateByRange(startKey || '', '');
+        let scanned = 0;
+        let migrated = 0;
+        let nextKey = '';
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (scanned === max) {
+                nextKey = result.value.key;
+                break;
+            }
+            scanned++;
+
+            const value = result.value.value;
+            if (value && value.length > 0) {
+                const doc = JSON.parse(value.toString());
+                if (doc.docType === 'asset' && this.upgradeApprovals(doc as Asset)) {
+                    await ctx.stub.putState(result.value.key, Buffer.from(JSON.stringify(doc)));
+                    migrated++;
+                }
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return JSON.stringify({ scanned, migrated, nextKey });
+    }
+
+    /**
+     * One page of assets whose owner or pending transfer recipient is still a
+     * legacy owner value (admin). DELETED assets are included: their owner
+     * still needs the new fingerprint to purge private data.
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAssetsWithLegacyFingerprints(ctx: Context, pageSize: string, bookmark: string): Promise<string> {
+        await this.requireAdmin(ctx);
+
+        const size = this.parsePageSize(pageSize);
+        const { iterator, metadata } = await ctx.stub.getStateByRangeWithPagination('', '', size, bookmark || '');
+        const assets = await this.collectAssets(iterator);
+
+        return JSON.stringify({
+            records: assets.filter(asset => this.isLegacyFingerprint(asset.owner)
+                || (asset.pendingTransfer && this.isLegacyFingerprint(asset.pendingTransfer.toOwner))),
+            fetchedCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark
+        });
+    }
+
+    private isLegacyFingerprint(value: string): boolean {
+        return !CERTIFICATE_FINGERPRINT_PATTERN.test(value);
+    }
+
+    /**
+     * Move assets and delegations from legacy owner values to getOwnerFingerprint
+     * (admin). Every identity of an org shares the same legacy value, so the new
+     * fingerprints cannot be derived from it: FabricClient's
+     * planOwnerFingerprintMigration() finds them from the signers of the
+     * transactions that made each owner and delegator, and the admin supplies
+     * the recipients of pending transfers and delegations.
+     * planJson: {
+     *   assets?: [{ assetID, legacyFingerprint, fingerprint,
+     *               transferFingerprint? }],  // pending transfer recipient ('' cancels the proposal)
+     *   delegations?: [{ role, legacyDelegateFingerprint, delegateFingerprint,  // '' withdraws the delegation
+     *                    delegatorFingerprint, certificateFingerprint }]
+     * }
+     * At most 100 entries in total. Returns { migrated, skipped }; entries
+     * already applied are skipped, so a plan can be run again.
+     */
+    @Transaction()
+    @Returns('string')
+    public async MigrateOwnerFingerprints(ctx: Context, planJson: string): Promise<string> {
+        await this.requireAdmin(ctx);
+
+        let plan: { assets?: unknown; delegations?: unknown };
+        try {
+            plan = JSON.parse(planJson);
+        } catch {
+            throw new Error('Migration plan must be valid JSON');
+        }
+        const assets = plan?.assets ?? [];
+        const delegations = plan?.delegations ?? [];
+        if (!Array.isArray(assets) || !Array.isArray(delegations)) {
+            throw new Error('Migration plan assets and delegations must be arrays');
+        }
+        if (assets.length + delegations.length === 0) {
+            throw new Error('Migration plan is empty');
+        }
+        if (assets.length + delegations.length > MAX_BATCH_SIZE) {
+            throw new Error(`Batch exceeds ${MAX_BATCH_SIZE} items`);
+        }
+
+        const counts = { migrated: 0, skipped: 0 };
+        const seenAssets = new Set<string>();
+        for (const entry of assets) {
+            counts[await this.migrateAssetOwner(ctx, entry ?? {}, seenAssets) ? 'migrated' : 'skipped']++;
+        }
+        const seenDelegations = new Set<string>();
+        for (const entry of delegations) {
+            counts[await this.migrateDelegation(ctx, entry ?? {}, seenDelegations) ? 'migrated' : 'skipped']++;
+        }
+        return JSON.stringify(counts);
+    }
+
+    private requireFingerprint(value: unknown, field: string): string {
+        if (typeof value !== 'string' || !CERTIFICATE_FINGERPRINT_PATTERN.test(value)) {
+            throw new Error(`${field} must be a SHA-256 hash: 64 hex characters`);
+        }
+        return value;
+    }
+
+    /**
+     * Apply one asset entry of MigrateOwnerFingerprints: the owner, and the
+     * recipient of a pending transfer. Returns false if it was already applied.
+     */
+    private async migrateAssetOwner(ctx: Context, entry: { [field: string]: unknown }, seen: Set<string>): Promise<boolean> {
+        const { assetID, legacyFingerprint, transferFingerprint } = entry;
+        if (typeof assetID !== 'string' || typeof legacyFingerprint !== 'string') {
+            throw new Error('Each asset migration needs assetID, legacyFingerprint and fingerprint strings');
+        }
+        const fingerprint = this.requireFingerprint(entry.fingerprint, `New fingerprint for ${assetID}`);
+        if (seen.has(assetID)) {
+            throw new Error(`Asset ${assetID} appears more than once`);
+        }
+        seen.add(assetID);
+
+        // Read the stored asset directly: DELETED assets are hidden by ReadAsset
+        const buffer = await ctx.stub.getState(assetID);
+        if (!buffer || buffer.length === 0) {
+            throw new ChaincodeError('NOT_FOUND', `Asset ${assetID} does not exist`);
+        }
+        const asset = JSON.parse(buffer.toString()) as Asset;
+        let changed = false;
+
+        if (asset.owner !== fingerprint) {
+            if (asset.owner !== legacyFingerprint) {
+                throw new ChaincodeError('CONFLICT', `Asset ${assetID} is owned by ${asset.owner}, not ${legacyFingerprint}; plan the migration again`);
+            }
+            asset.owner = fingerprint;
+            changed = true;
+        }
+
+        const transfer = asset.pendingTransfer;
+        if (transfer && this.isLegacyFingerprint(transfer.toOwner)) {
+            if (typeof transferFingerprint !== 'string') {
+                throw new Error(`Asset ${assetID} has a pending transfer to the legacy value ${transfer.toOwner}; ` +
+                    'set transferFingerprint to the recipient\'s fingerprint, or to \'\' to cancel the proposal');
+            }
+            if (transferFingerprint === '') {
+                asset.pendingTransfer = null;
+            } else {
+                transfer.toOwner = this.requireFingerprint(transferFingerprint, `Transfer fingerprint for ${assetID}`);
+            }
+            changed = true;
+        }
+
+        if (!changed) {
+            return false;
+        }
+        asset.updatedAt = this.getTimestamp(ctx);
+        await this.putAsset(ctx, asset);
+        return true;
+    }
+
+    /**
+     * Apply one delegation entry of MigrateOwnerFingerprints: re-key the
+     * delegation to the deputy's new fingerprint and record the delegator's new
+     * fingerprint and certificate. Returns false if it was already applied.
+     */
+    private async migrateDelegation(ctx: Context, entry: { [field: string]: unknown }, seen: Set<string>): Promise<boolean> {
+        const { role, legacyDelegateFingerprint, delegateFingerprint } = entry;
+        if (typeof role !== 'string' || typeof legacyDelegateFingerprint !== 'string' || typeof delegateFingerprint !== 'string') {
+            throw new Error('Each delegation migration needs role, legacyDelegateFingerprint and delegateFingerprint strings');
+        }
+        const label = `Delegation of role '${role}' to ${legacyDelegateFingerprint}`;
+        const delegatorFingerprint = this.requireFingerprint(entry.delegatorFingerprint, `${label}: delegatorFingerprint`);
+        const certificateFingerprint = this.requireFingerprint(entry.certificateFingerprint, `${label}: certificateFingerprint`);
+        if (delegateFingerprint !== '') {
+            this.requireFingerprint(delegateFingerprint, `${label}: delegateFingerprint`);
+        }
+        if (seen.has(`${role}/${legacyDelegateFingerprint}`)) {
+            throw new Error(`${label} appears more than once`);
+        }
+        seen.add(`${role}/${legacyDelegateFingerprint}`);
+
+        const delegation = await this.readDelegation(ctx, role, legacyDelegateFingerprint);
+        if (!delegation) {
+            // Already re-keyed (or withdrawn) by an earlier run of the plan
+            const migrated = delegateFingerprint === '' ? null : await this.readDelegation(ctx, role, delegateFingerprint);
+            if (delegateFingerprint === '' || migrated?.delegatorFingerprint === delegatorFingerprint) {
+                return false;
+            }
+            throw new ChaincodeError('NOT_FOUND', `No delegation of role '${role}' to ${legacyDelegateFingerprint}`);
+        }
+        if (!this.isLegacyFingerprint(delegation.delegatorFingerprint) && delegation.delegatorFingerprint !== delegatorFingerprint) {
+            throw new ChaincodeError('CONFLICT', `${label} was granted by ${delegation.delegatorFingerprint}, not ${delegatorFingerprint}; plan the migration again`);
+        }
+        if (delegation.delegateFingerprint === delegateFingerprint
+            && delegation.delegatorFingerprint === delegatorFingerprint
+            && delegation.certificateFingerprint === certificateFingerprint) {
+            return false;
+        }
+
+        const oldKey = this.getDelegationKey(ctx, role, legacyDelegateFingerprint);
+        if (delegateFingerprint === '') {
+            await ctx.stub.deleteState(oldKey);
+            return true;
+        }
+        const newKey = this.getDelegationKey(ctx, role, delegateFingerprint);
+        if (newKey !== oldKey) {
+            if (await this.readDelegation(ctx, role, delegateFingerprint)) {
+                throw new ChaincodeError('CONFLICT', `Delegate ${delegateFingerprint} already holds a delegation of role '${role}'`);
+            }
+            await ctx.stub.deleteState(oldKey);
+        }
+        await ctx.stub.putState(newKey, Buffer.from(JSON.stringify({
+            ...delegation,
+            delegateFingerprint,
+            delegatorFingerprint,
+            certificateFingerprint
+        })));
+        return true;
+    }
 
-        const callerFingerprint = this.getOwnerFingerprint(ctx);
-        if (asset.owner !== callerFingerprint) {
-            throw new Error('Only asset owner can delete');
+    /**
+     * Write the status~assetID and owner~assetID index entries for up to `limit`
+     * assets starting at `startKey`, for assets created before the indexes existed.
+     * Call again with the returned nextKey until it is ''.
+     */
+    @Transaction()
+    @Returns('string')
+    public async RebuildAssetIndexes(ctx: Context, startKey: string, limit: string): Promise<string> {
+        await this.requireAdmin(ctx);
+
+        const max = parseInt(limit, 10);
+        if (!Number.isInteger(max) || max < 1 || max > MAX_PAGE_SIZE) {
+            throw new Error(`Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
         }
 
-        asset.status = AssetStatus.DELETED;
-        asset.updatedAt = this.getTimestamp(ctx);
+        const iterator = await ctx.stub.getStateByRange(startKey || '', '');
+        let scanned = 0;
+        let indexed = 0;
+        let nextKey = '';
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (scanned === max) {
+                nextKey = result.value.key;
+                break;
+            }
+            scanned++;
+
+            const value = result.value.value;
+            if (value && value.length > 0) {
+                const doc = JSON.parse(value.toString());
+                if (doc.docType === 'asset') {
+                    await ctx.stub.putState(ctx.stub.createCompositeKey(STATUS_INDEX, [doc.status, doc.assetID]), INDEX_ENTRY_VALUE);
+                    await ctx.stub.putState(ctx.stub.createCompositeKey(OWNER_INDEX, [doc.owner, doc.assetID]), INDEX_ENTRY_VALUE);
+                    indexed++;
+                }
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
 
-        await ctx.stub.putState(assetID, Buffer.from(JSON.stringify(asset)));
+        return JSON.stringify({ scanned, indexed, nextKey });
     }
 
     // ===========================================================================
@@ -383,13 +2763,17 @@ export class AssetApprovalContract extends Contract {
     public async ReadAsset(ctx: Context, assetID: string): Promise<Asset> {
         const assetBuffer = await ctx.stub.getState(assetID);
         if (!assetBuffer || assetBuffer.length === 0) {
-            throw new Error(`Asset ${assetID} does not exist`);
+            throw new ChaincodeError('NOT_FOUND', `Asset ${assetID} does not exist`);
         }
         const asset = JSON.parse(assetBuffer.toString()) as Asset;
 
+        // Assets written before approval records existed are upgraded on read;
+        // MigrateApprovalRecords persists the upgrade
+        this.upgradeApprovals(asset);
+
         // Filter out DELETED assets
         if (asset.status === AssetStatus.DELETED) {
-            throw new Error(`Asset ${assetID} has been deleted`);
+            throw new ChaincodeError('NOT_FOUND', `Asset ${assetID} has been deleted`);
         }
 
         return asset;
@@ -402,25 +2786,328 @@ export class AssetApprovalContract extends Contract {
         return JSON.stringify(asset);
     }
 
+    /**
+     * Listing queries below read keys and index entries rather than CouchDB
+     * selectors, so they work on LevelDB and CouchDB peers alike
+     */
     @Transaction(false)
     @Returns('string')
     public async QueryAllAssets(ctx: Context): Promise<string> {
+        // Plain keys only; composite keys (indexes, policies, logs) are outside this range
+        const iterator = await ctx.stub.getStateByRange('', '');
+        const assets = await this.collectAssets(iterator);
+        return JSON.stringify(assets.filter(asset => asset.status !== AssetStatus.DELETED));
+    }
+
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAssetsByStatus(ctx: Context, status: string): Promise<string> {
+        return JSON.stringify(await this.queryIndex(ctx, STATUS_INDEX, status));
+    }
+
+    /**
+     * Assets owned by a fingerprint (see GetCallerInfo), DELETED assets excluded
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAssetsByOwner(ctx: Context, owner: string): Promise<string> {
+        const assets = await this.queryIndex(ctx, OWNER_INDEX, owner);
+        return JSON.stringify(assets.filter(asset => asset.status !== AssetStatus.DELETED));
+    }
+
+    /**
+     * PENDING_APPROVAL assets whose deadline falls within the next `withinHours`
+     * (overdue ones included), soonest first
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAssetsNearingDeadline(ctx: Context, withinHours: string): Promise<string> {
+        const hours = Number(withinHours);
+        if (!Number.isFinite(hours) || hours <= 0) {
+            throw new Error('withinHours must be a positive number');
+        }
+
+        const horizon = new Date(Date.parse(this.getTimestamp(ctx)) + hours * 3600 * 1000).toISOString();
         const queryString = JSON.stringify({
             selector: {
                 docType: 'asset',
-                status: { '$ne': AssetStatus.DELETED }
+                status: AssetStatus.PENDING_APPROVAL,
+                approvalDeadline: { $gt: '', $lte: horizon }
             }
         });
-        return await this.queryWithQueryString(ctx, queryString);
+
+        const assets = JSON.parse(await this.queryWithQueryString(ctx, queryString)) as Asset[];
+        assets.sort((a, b) => (a.approvalDeadline ?? '').localeCompare(b.approvalDeadline ?? ''));
+        return JSON.stringify(assets);
     }
 
+    /**
+     * Paginated QueryAllAssets: returns { records, fetchedCount, bookmark }
+     * Pass the returned bookmark to fetch the next page ('' for the first page).
+     * fetchedCount counts keys scanned, so a page may hold fewer records once
+     * DELETED assets are dropped; keep paging until fetchedCount < pageSize.
+     */
     @Transaction(false)
     @Returns('string')
-    public async QueryAssetsByStatus(ctx: Context, status: string): Promise<string> {
+    public async QueryAllAssetsWithPagination(ctx: Context, pageSize: string, bookmark: string): Promise<string> {
+        const size = this.parsePageSize(pageSize);
+        const { iterator, metadata } = await ctx.stub.getStateByRangeWithPagination('', '', size, bookmark || '');
+        const assets = await this.collectAssets(iterator);
+
+        return JSON.stringify({
+            records: assets.filter(asset => asset.status !== AssetStatus.DELETED),
+            fetchedCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark
+        });
+    }
+
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAssetsByStatusWithPagination(ctx: Context, status: string, pageSize: string, bookmark: string): Promise<string> {
+        return await this.queryIndexWithPagination(ctx, STATUS_INDEX, status, pageSize, bookmark);
+    }
+
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAssetsByOwnerWithPagination(ctx: Context, owner: string, pageSize: string, bookmark: string): Promise<string> {
+        return await this.queryIndexWithPagination(ctx, OWNER_INDEX, owner, pageSize, bookmark);
+    }
+
+    /**
+     * Search assets with a whitelisted filter DSL, paginated like the *WithPagination queries
+     * filterJson: {
+     *   status?: string | string[],       // default: everything except DELETED
+     *   assetType?: string,
+     *   category?: string,
+     *   tags?: string | string[],         // asset must carry all of them
+     *   ownerMSP?: string,
+     *   createdAt?: { from?: string, to?: string },  // ISO timestamps, inclusive
+     *   updatedAt?: { from?: string, to?: string },
+     *   sort?: { field: 'assetID' | 'createdAt' | 'updatedAt', order?: 'asc' | 'desc' },
+     *   pageSize?: number,                // default 50
+     *   bookmark?: string
+     * }
+     * Only these keys are accepted and every value is type-checked, so callers
+     * can never inject their own CouchDB operators.
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async SearchAssets(ctx: Context, filterJson: string): Promise<string> {
+        let filter: { [key: string]: unknown };
+        try {
+            filter = filterJson ? JSON.parse(filterJson) : {};
+        } catch {
+            throw new Error('Search filter must be valid JSON');
+        }
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+            throw new Error('Search filter must be a JSON object');
+        }
+
+        const allowedKeys = ['status', 'assetType', 'category', 'tags', 'ownerMSP', 'createdAt', 'updatedAt', 'sort', 'pageSize', 'bookmark'];
+        for (const key of Object.keys(filter)) {
+            if (!allowedKeys.includes(key)) {
+                throw new Error(`Unsupported search filter: ${key}. Allowed: ${allowedKeys.join(', ')}`);
+            }
+        }
+
+        const selector: { [field: string]: unknown } = { docType: 'asset' };
+
+        if (filter.status === undefined) {
+            selector.status = { '$ne': AssetStatus.DELETED };
+        } else {
+            const statuses = this.searchStringList(filter.status, 'status');
+            selector.status = statuses.length === 1 ? statuses[0] : { '$in': statuses };
+        }
+        if (filter.assetType !== undefined) {
+            selector.assetType = this.searchString(filter.assetType, 'assetType');
+        }
+        if (filter.category !== undefined) {
+            selector['metadata.category'] = this.searchString(filter.category, 'category');
+        }
+        if (filter.tags !== undefined) {
+            selector['metadata.tags'] = { '$all': this.searchStringList(filter.tags, 'tags') };
+        }
+        if (filter.ownerMSP !== undefined) {
+            selector.ownerMSP = this.searchString(filter.ownerMSP, 'ownerMSP');
+        }
+        for (const field of ['createdAt', 'updatedAt']) {
+            if (filter[field] !== undefined) {
+                selector[field] = this.searchDateRange(filter[field], field);
+            }
+        }
+
+        const query: { selector: { [field: string]: unknown }; sort?: { [field: string]: string }[] } = { selector };
+        if (filter.sort !== undefined) {
+            const sort = filter.sort as { field?: unknown; order?: unknown };
+            if (!sort || typeof sort !== 'object' || !SEARCH_SORT_FIELDS.includes(sort.field as string)) {
+                throw new Error(`Search sort.field must be one of: ${SEARCH_SORT_FIELDS.join(', ')}`);
+            }
+            const order = sort.order === undefined ? 'asc' : sort.order;
+            if (order !== 'asc' && order !== 'desc') {
+                throw new Error('Search sort.order must be asc or desc');
+            }
+            const field = sort.field as string;
+            // CouchDB only sorts on indexed fields that also appear in the selector
+            if (selector[field] === undefined) {
+                selector[field] = { '$gt': null };
+            }
+            query.sort = [{ docType: order }, { [field]: order }];
+        }
+
+        const pageSize = filter.pageSize === undefined ? DEFAULT_SEARCH_PAGE_SIZE : filter.pageSize;
+        const bookmark = filter.bookmark === undefined ? '' : this.searchString(filter.bookmark, 'bookmark', 1024);
+
+        return await this.queryWithPagination(ctx, JSON.stringify(query), String(pageSize), bookmark);
+    }
+
+    private searchString(value: unknown, field: string, maxLength = 128): string {
+        if (typeof value !== 'string' || value.length === 0 || value.length > maxLength) {
+            throw new Error(`Search ${field} must be a non-empty string of at most ${maxLength} characters`);
+        }
+        return value;
+    }
+
+    private searchStringList(value: unknown, field: string): string[] {
+        const values = Array.isArray(value) ? value : [value];
+        if (values.length === 0 || values.length > 32) {
+            throw new Error(`Search ${field} must list between 1 and 32 values`);
+        }
+        return values.map(v => this.searchString(v, field));
+    }
+
+    private searchDateRange(value: unknown, field: string): { [op: string]: string } {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`Search ${field} must be an object with from and/or to`);
+        }
+        const range: { [op: string]: string } = {};
+        for (const [key, bound] of Object.entries(value)) {
+            if (key !== 'from' && key !== 'to') {
+                throw new Error(`Search ${field} only supports from and to`);
+            }
+            const parsed = typeof bound === 'string' ? Date.parse(bound) : NaN;
+            if (isNaN(parsed)) {
+                throw new Error(`Search ${field}.${key} must be an ISO-8601 timestamp`);
+            }
+            range[key === 'from' ? '$gte' : '$lte'] = new Date(parsed).toISOString();
+        }
+        if (Object.keys(range).length === 0) {
+            throw new Error(`Search ${field} must have from and/or to`);
+        }
+        return range;
+    }
+
+    /**
+     * Run a caller-supplied Mango selector over assets, paginated
+     * The selector may only use SELECTOR_FIELDS (plus metadata.* and
+     * approvals.<role>.*) and SELECTOR_OPERATORS; it is always ANDed with
+     * docType 'asset' and pages are capped at MAX_PAGE_SIZE, so it can't read
+     * policies, logs or other non-asset keys.
+     */
+    @Transaction(false)
+    @Returns('string')
+    public async QueryAssetsWithSelector(ctx: Context, selectorJson: string, pageSize: string, bookmark: string): Promise<string> {
+        let selector: unknown;
+        try {
+            selector = JSON.parse(selectorJson);
+        } catch {
+            throw new Error('Selector must be valid JSON');
+        }
+        if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+            throw new Error('Selector must be a JSON object');
+        }
+
+        this.validateUserSelector(selector as { [key: string]: unknown }, 1, { nodes: 0 });
+
         const queryString = JSON.stringify({
-            selector: { docType: 'asset', status }
+            selector: { docType: 'asset', '$and': [selector] }
         });
-        return await this.queryWithQueryString(ctx, queryString);
+        return await this.queryWithPagination(ctx, queryString, pageSize, bookmark);
+    }
+
+    /**
+     * Walk a user selector, rejecting any field or operator not on the allowlist
+     */
+    private validateUserSelector(node: { [key: string]: unknown }, depth: number, budget: { nodes: number }): void {
+        if (depth > MAX_SELECTOR_DEPTH) {
+            throw new Error(`Selector nesting exceeds ${MAX_SELECTOR_DEPTH} levels`);
+        }
+        for (const [key, value] of Object.entries(node)) {
+            budget.nodes++;
+            if (budget.nodes > MAX_SELECTOR_NODES) {
+                throw new Error(`Selector exceeds ${MAX_SELECTOR_NODES} conditions`);
+            }
+
+            if (SELECTOR_COMBINATORS.includes(key)) {
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw new Error(`Selector ${key} must be a non-empty array`);
+                }
+                for (const clause of value) {
+                    if (!clause || typeof clause !== 'object' || Array.isArray(clause)) {
+                        throw new Error(`Selector ${key} entries must be objects`);
+                    }
+                    this.validateUserSelector(clause, depth + 1, budget);
+                }
+                continue;
+            }
+
+            if (key.startsWith('$')) {
+                throw new Error(`Selector operator not allowed here: ${key}`);
+            }
+            if (!SELECTOR_FIELDS.includes(key) && !SELECTOR_FIELD_PATTERNS.some(p => p.test(key))) {
+                throw new Error(`Selector field not allowed: ${key}`);
+            }
+            this.validateSelectorCondition(key, value, depth + 1, budget);
+        }
+    }
+
+    /**
+     * A field condition is a plain value or an object of allowlisted operators
+     */
+    private validateSelectorCondition(field: string, condition: unknown, depth: number, budget: { nodes: number }): void {
+        if (depth > MAX_SELECTOR_DEPTH) {
+            throw new Error(`Selector nesting exceeds ${MAX_SELECTOR_DEPTH} levels`);
+        }
+        if (this.isSelectorScalar(condition)) {
+            return;
+        }
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            throw new Error(`Selector condition for ${field} must be a value or an operator object`);
+        }
+
+        for (const [op, operand] of Object.entries(condition)) {
+            budget.nodes++;
+            if (budget.nodes > MAX_SELECTOR_NODES) {
+                throw new Error(`Selector exceeds ${MAX_SELECTOR_NODES} conditions`);
+            }
+            if (!SELECTOR_OPERATORS.includes(op)) {
+                throw new Error(`Selector operator not allowed: ${op}`);
+            }
+
+            if (op === '$not') {
+                this.validateSelectorCondition(field, operand, depth + 1, budget);
+            } else if (op === '$in' || op === '$nin' || op === '$all') {
+                if (!Array.isArray(operand) || operand.length > 100 || !operand.every(v => this.isSelectorScalar(v))) {
+                    throw new Error(`Selector ${op} for ${field} must be an array of at most 100 plain values`);
+                }
+            } else if (op === '$exists') {
+                if (typeof operand !== 'boolean') {
+                    throw new Error(`Selector $exists for ${field} must be true or false`);
+                }
+            } else if (op === '$size') {
+                if (!Number.isInteger(operand)) {
+                    throw new Error(`Selector $size for ${field} must be an integer`);
+                }
+            } else if (!this.isSelectorScalar(operand)) {
+                throw new Error(`Selector ${op} for ${field} must be a plain value`);
+            }
+        }
+    }
+
+    private isSelectorScalar(value: unknown): boolean {
+        return value === null
+            || typeof value === 'boolean'
+            || (typeof value === 'number' && Number.isFinite(value))
+            || (typeof value === 'string' && value.length <= 1024);
     }
 
     @Transaction(false)
@@ -466,23 +3153,169 @@ export class AssetApprovalContract extends Contract {
         // Verify asset exists first (prevent info leakage)
         const exists = await this.AssetExists(ctx, assetID);
         if (!exists) {
-            throw new Error(`Asset ${assetID} does not exist`);
+            throw new ChaincodeError('NOT_FOUND', `Asset ${assetID} does not exist`);
         }
 
         // TRUE ABAC: Check role for private data access
-        const callerRole = this.getRole(ctx);
-        if (!PRIVATE_DATA_ROLES.includes(callerRole)) {
-            throw new Error(`Role '${callerRole}' cannot access private data`);
+        const callerRole = await this.getRole(ctx);
+        const policy = await this.getActivePolicy(ctx);
+        if (!policy.privateDataRoles.includes(callerRole)) {
+            throw new ChaincodeError('FORBIDDEN', `Role '${callerRole}' cannot access private data`);
         }
 
-        const privateData = await ctx.stub.getPrivateData('assetPrivateDetails', assetID);
+        const privateData = await ctx.stub.getPrivateData(PRIVATE_COLLECTION, assetID);
         if (!privateData || privateData.length === 0) {
-            throw new Error(`Private data for asset ${assetID} does not exist`);
+            throw new ChaincodeError('NOT_FOUND', `Private data for asset ${assetID} does not exist`);
         }
 
         return privateData.toString();
     }
 
+    /**
+     * Create or replace an asset's private data (privateDataRoles only; owner-role
+     * callers only for their own assets). The new record comes from the transient
+     * field 'asset_private_data' and replaces the old one entirely.
+     */
+    @Transaction()
+    public async UpdatePrivateData(ctx: Context, assetID: string): Promise<void> {
+        const asset = await this.ReadAsset(ctx, assetID);
+        await this.requirePrivateDataAccess(ctx, asset);
+
+        if (PRIVATE_DATA_LOCKED_STATUSES.includes(asset.status)) {
+            throw new ChaincodeError('CONFLICT', `Cannot update private data of an asset in status ${asset.status}`);
+        }
+
+        const privateDataBuffer = ctx.stub.getTransient().get('asset_private_data');
+        if (!privateDataBuffer || privateDataBuffer.length === 0) {
+            throw new Error('Private data not provided in transient field asset_private_data');
+        }
+        const privateData = this.parsePrivateData(privateDataBuffer, assetID);
+        await ctx.stub.putPrivateData(PRIVATE_COLLECTION, assetID, this.serializePrivateData(privateData));
+
+        this.emitLifecycleEvent(ctx, 'UpdatePrivateData', assetID, asset.status, asset.status);
+    }
+
+    /**
+     * Check a copy of an asset's private data against the hash on the channel.
+     * The copy comes from the transient field 'asset_private_data' and is hashed in
+     * the same canonical form UpdatePrivateData stores, so field order does not matter.
+     * Private data written before that form existed is matched in its original layout.
+     */
+    @Transaction(false)
+    @Returns('boolean')
+    public async VerifyPrivateDataHash(ctx: Context, assetID: string): Promise<boolean> {
+        const asset = await this.ReadAsset(ctx, assetID);
+        await this.requirePrivateDataAccess(ctx, asset);
+
+        const candidateBuffer = ctx.stub.getTransient().get('asset_private_data');
+        if (!candidateBuffer || candidateBuffer.length === 0) {
+            throw new Error('Private data not provided in transient field asset_private_data');
+        }
+
+        const onChainHash = await ctx.stub.getPrivateDataHash(PRIVATE_COLLECTION, assetID);
+        if (!onChainHash || onChainHash.length === 0) {
+            throw new ChaincodeError('NOT_FOUND', `Private data for asset ${assetID} does not exist`);
+        }
+
+        const expected = Buffer.from(onChainHash).toString('hex');
+        const candidates = [
+            this.serializePrivateData(this.parsePrivateData(candidateBuffer, assetID)),
+            this.serializeLegacyPrivateData(candidateBuffer, assetID)
+        ];
+        return candidates.some(candidate => createHash('sha256').update(candidate).digest('hex') === expected);
+    }
+
+    /**
+     * Permanently remove an asset's private data and confidential comments,
+     * including from peers' private data history (Fabric 2.5+). Only for DELETED
+     * or REVOKED assets; the hashes on the channel stay behind as evidence that
+     * the data existed.
+     */
+    @Transaction()
+    public async PurgePrivateData(ctx: Context, assetID: string): Promise<void> {
+        // Read the stored asset directly: DELETED assets are hidden by ReadAsset
+        const assetBuffer = await ctx.stub.getState(assetID);
+        if (!assetBuffer || assetBuffer.length === 0) {
+            throw new ChaincodeError('NOT_FOUND', `Asset ${assetID} does not exist`);
+        }
+        const asset = JSON.parse(assetBuffer.toString()) as Asset;
+        await this.requirePrivateDataAccess(ctx, asset);
+
+        if (!PRIVATE_DATA_PURGEABLE_STATUSES.includes(asset.status)) {
+            throw new ChaincodeError('CONFLICT', `Private data can only be purged for DELETED or REVOKED assets (current: ${asset.status})`);
+        }
+
+        const keys = await this.getConfidentialCommentKeys(ctx, assetID);
+        const hash = await ctx.stub.getPrivateDataHash(PRIVATE_COLLECTION, assetID);
+        if (hash && hash.length > 0) {
+            keys.unshift(assetID);
+        }
+        if (keys.length === 0) {
+            throw new ChaincodeError('NOT_FOUND', `Private data for asset ${assetID} does not exist`);
+        }
+        for (const key of keys) {
+            await ctx.stub.purgePrivateData(PRIVATE_COLLECTION, key);
+        }
+
+        this.emitLifecycleEvent(ctx, 'PurgePrivateData', assetID, asset.status, asset.status);
+    }
+
+    /**
+     * Caller must hold one of the active policy's privateDataRoles; owner-role
+     * callers must also own the asset
+     */
+    private async requirePrivateDataAccess(ctx: Context, asset: Asset): Promise<void> {
+        const callerRole = await this.getRole(ctx);
+        const policy = await this.getActivePolicy(ctx);
+        if (!policy.privateDataRoles.includes(callerRole)) {
+            throw new ChaincodeError('FORBIDDEN', `Role '${callerRole}' cannot access private data`);
+        }
+        if (callerRole === 'owner' && asset.owner !== this.getOwnerFingerprint(ctx)) {
+            throw new ChaincodeError('FORBIDDEN', 'Only asset owner can manage its private data');
+        }
+    }
+
+    /**
+     * Validate private data from the transient map (SEC-001)
+     */
+    private parsePrivateData(buffer: Uint8Array, assetID: string): PrivateAssetData {
+        let input: Partial<PrivateAssetData>;
+        try {
+            input = JSON.parse(Buffer.from(buffer).toString());
+        } catch {
+            throw new Error('Private data must be valid JSON');
+        }
+        if (!input || !input.confidentialNotes || typeof input.confidentialNotes !== 'string') {
+            throw new Error('Private data must include confidentialNotes (string)');
+        }
+        if (input.internalValue !== undefined && (typeof input.internalValue !== 'number' || !Number.isFinite(input.internalValue))) {
+            throw new Error('internalValue must be a number');
+        }
+        return { assetID, confidentialNotes: input.confidentialNotes, internalValue: input.internalValue ?? 0 };
+    }
+
+    /**
+     * Fixed field order, so the same data always produces the same private data hash
+     */
+    private serializePrivateData(data: PrivateAssetData): Buffer {
+        return Buffer.from(JSON.stringify({
+            assetID: data.assetID,
+            confidentialNotes: data.confidentialNotes,
+            internalValue: data.internalValue
+        }));
+    }
+
+    /**
+     * The layout CreateAssetWithPrivateData stored before serializePrivateData: the
+     * caller's JSON in its own field order, assetID set in place or appended, and no
+     * internalValue default. Only used to verify those older records.
+     */
+    private serializeLegacyPrivateData(buffer: Uint8Array, assetID: string): Buffer {
+        const input = JSON.parse(Buffer.from(buffer).toString());
+        input.assetID = assetID;
+        return Buffer.from(JSON.stringify(input));
+    }
+
     // ===========================================================================
     // Helper Functions
     // ===========================================================================
@@ -509,12 +3342,105 @@ export class AssetApprovalContract extends Contract {
     public async GetCallerInfo(ctx: Context): Promise<string> {
         // Utility function for debugging/testing
         return JSON.stringify({
-            role: this.getRole(ctx),
+            role: await this.getRole(ctx),
             mspId: this.getAuditMSP(ctx),
-            fingerprint: this.getOwnerFingerprint(ctx)
+            fingerprint: this.getOwnerFingerprint(ctx),
+            certificateFingerprint: this.getCertificateFingerprint(ctx)
+        });
+    }
+
+    /**
+     * Write an asset and move its status~assetID / owner~assetID index entries
+     * when either value changed. The previous values come from committed state,
+     * so call this at most once per asset in a transaction.
+     */
+    private async putAsset(ctx: Context, asset: Asset): Promise<void> {
+        const previousBuffer = await ctx.stub.getState(asset.assetID);
+        const previous = previousBuffer && previousBuffer.length > 0
+            ? JSON.parse(previousBuffer.toString()) as Asset
+            : undefined;
+
+        await ctx.stub.putState(asset.assetID, Buffer.from(JSON.stringify(asset)));
+        await this.moveIndexEntry(ctx, STATUS_INDEX, asset.assetID, previous?.status, asset.status);
+        await this.moveIndexEntry(ctx, OWNER_INDEX, asset.assetID, previous?.owner, asset.owner);
+    }
+
+    private async moveIndexEntry(ctx: Context, indexName: string, assetID: string, oldValue: string | undefined, newValue: string): Promise<void> {
+        if (oldValue === newValue) {
+            return;
+        }
+        if (oldValue) {
+            await ctx.stub.deleteState(ctx.stub.createCompositeKey(indexName, [oldValue, assetID]));
+        }
+        await ctx.stub.putState(ctx.stub.createCompositeKey(indexName, [newValue, assetID]), INDEX_ENTRY_VALUE);
+    }
+
+    /**
+     * Resolve index entries (indexName~value~assetID) to the assets they point at
+     */
+    private async resolveIndexEntries(ctx: Context, iterator: Iterators.StateQueryIterator): Promise<Asset[]> {
+        const assets: Asset[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            const { attributes } = ctx.stub.splitCompositeKey(result.value.key);
+            const assetBuffer = await ctx.stub.getState(attributes[attributes.length - 1]);
+            if (assetBuffer && assetBuffer.length > 0) {
+                assets.push(JSON.parse(assetBuffer.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return assets;
+    }
+
+    private async queryIndex(ctx: Context, indexName: string, value: string): Promise<Asset[]> {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(indexName, [value]);
+        return await this.resolveIndexEntries(ctx, iterator);
+    }
+
+    private async queryIndexWithPagination(ctx: Context, indexName: string, value: string, pageSize: string, bookmark: string): Promise<string> {
+        const size = this.parsePageSize(pageSize);
+        const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(indexName, [value], size, bookmark || '');
+        const records = await this.resolveIndexEntries(ctx, iterator);
+
+        return JSON.stringify({
+            records,
+            fetchedCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark
         });
     }
 
+    /**
+     * Parse asset documents from a plain-key iterator, skipping other docTypes
+     */
+    private async collectAssets(iterator: Iterators.StateQueryIterator): Promise<Asset[]> {
+        const assets: Asset[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value.value && result.value.value.length > 0) {
+                const doc = JSON.parse(result.value.value.toString());
+                if (doc.docType === 'asset') {
+                    assets.push(doc as Asset);
+                }
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return assets;
+    }
+
+    private parsePageSize(pageSize: string): number {
+        const size = parseInt(pageSize, 10);
+        if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+            throw new Error(`Page size must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+        return size;
+    }
+
     private async queryWithQueryString(ctx: Context, queryString: string): Promise<string> {
         const iterator = await ctx.stub.getQueryResult(queryString);
         const results: Asset[] = [];
@@ -530,4 +3456,25 @@ export class AssetApprovalContract extends Contract {
 
         return JSON.stringify(results);
     }
+
+    private async queryWithPagination(ctx: Context, queryString: string, pageSize: string, bookmark: string): Promise<string> {
+        const size = this.parsePageSize(pageSize);
+        const { iterator, metadata } = await ctx.stub.getQueryResultWithPagination(queryString, size, bookmark || '');
+        const records: Asset[] = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value.value && result.value.value.length > 0) {
+                records.push(JSON.parse(result.value.value.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return JSON.stringify({
+            records,
+            fetchedCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark
+        });
+    }
 }
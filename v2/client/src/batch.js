@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * Batch CLI - Asset Approval System v2
+ * Bulk-creates or bulk-approves assets from a CSV or JSON file
+ *
+ * Usage:
+ *   npm run batch -- create assets.csv [--org=org1] [--all-or-nothing] [--batch-size=100]
+ *   npm run batch -- approve ids.json  [--org=org2] [--user=alice] [--comment="Q3 review"] [--all-or-nothing]
+ *
+ * create files:
+ *   JSON - [{ "assetID": "...", "assetType": "...", "description": "...", "metadata": { ... } }]
+ *   CSV  - header row with assetID, description and optionally assetType; every other
+ *          column becomes a metadata field ("tags" is split on ';')
+ * approve files:
+ *   JSON - ["asset1", "asset2"] (or objects with assetID)
+ *   CSV  - header row with an assetID column
+ *
+ * Files are sent in transactions of --batch-size items (max 100). --all-or-nothing
+ * makes each transaction atomic and stops at the first failed one; transactions
+ * already committed stay committed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FabricClient } = require('./fabricClient');
+
+// ANSI Colors
+const c = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    dim: '\x1b[2m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+};
+
+const DEFAULT_ORG = { create: 'org1', approve: 'org2' };
+const MAX_BATCH_SIZE = 100;
+const TOP_LEVEL_COLUMNS = ['assetID', 'assetType', 'description'];
+
+/**
+ * Parse CSV text into an array of row objects keyed by the header row
+ * Supports quoted fields with embedded commas, newlines and doubled quotes
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+    const header = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map((values, n) => {
+        if (values.length > header.length) {
+            throw new Error(`CSV row ${n + 2} has more fields than the header`);
+        }
+        const record = {};
+        header.forEach((key, i) => { record[key] = (values[i] ?? '').trim(); });
+        return record;
+    });
+}
+
+function readRecords(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        return parseCsv(text);
+    }
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+        throw new Error(`${filePath} must contain a JSON array`);
+    }
+    return data;
+}
+
+/**
+ * Load CreateAssetsBatch items from a CSV or JSON file
+ */
+function loadCreateItems(filePath) {
+    if (path.extname(filePath).toLowerCase() !== '.csv') {
+        return readRecords(filePath);
+    }
+    return readRecords(filePath).map(row => {
+        const item = { assetID: row.assetID, description: row.description };
+        if (row.assetType) {
+            item.assetType = row.assetType;
+        }
+        const metadata = {};
+        for (const [key, value] of Object.entries(row)) {
+            if (TOP_LEVEL_COLUMNS.includes(key) || value === '') {
+                continue;
+            }
+            metadata[key] = key === 'tags'
+                ? value.split(';').map(tag => tag.trim()).filter(Boolean)
+                : value;
+        }
+        if (Object.keys(metadata).length > 0) {
+            item.metadata = metadata;
+        }
+        return item;
+    });
+}
+
+/**
+ * Load asset IDs for ApproveAssetsBatch from a CSV or JSON file
+ */
+function loadAssetIds(filePath) {
+    return readRecords(filePath).map((record, i) => {
+        const id = typeof record === 'string' ? record : record && record.assetID;
+        if (!id) {
+            throw new Error(`Entry ${i + 1} in ${filePath} has no assetID`);
+        }
+        return id;
+    });
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+function parseArgs(argv) {
+    const options = { positional: [] };
+    for (const arg of argv) {
+        if (arg.startsWith('--')) {
+            const [key, ...rest] = arg.slice(2).split('=');
+            options[key] = rest.length > 0 ? rest.join('=') : true;
+        } else {
+            options.positional.push(arg);
+        }
+    }
+    return options;
+}
+
+function printHelp() {
+    console.log(`
+${c.bright}Asset Approval v2 - Batch CLI${c.reset}
+
+Usage:
+  npm run batch -- create <file.csv|file.json> [options]
+  npm run batch -- approve <file.csv|file.json> [options]
+
+Options:
+  --org=<org>          Org to sign with (default: org1 for create, org2 for approve)
+  --user=<userId>      Wallet identity to sign as (default: the org admin)
+  --comment=<text>     Approval comment (approve only)
+  --all-or-nothing     Fail a whole transaction if any item in it fails
+  --batch-size=<n>     Items per transaction, 1-${MAX_BATCH_SIZE} (default: ${MAX_BATCH_SIZE})
+`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const [command, file] = options.positional;
+
+    if (options.help || !['create', 'approve'].includes(command) || !file) {
+        printHelp();
+        process.exit(options.help ? 0 : 1);
+    }
+
+    const batchSize = options['batch-size'] === undefined ? MAX_BATCH_SIZE : Number(options['batch-size']);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+        console.error(`${c.red}--batch-size must be an integer between 1 and ${MAX_BATCH_SIZE}${c.reset}`);
+        process.exit(1);
+    }
+    const allOrNothing = options['all-or-nothing'] === true;
+
+    const items = command === 'create' ? loadCreateItems(file) : loadAssetIds(file);
+    if (items.length === 0) {
+        console.log(`${c.yellow}No items in ${file}${c.reset}`);
+        process.exit(0);
+    }
+
+    const client = new FabricClient({ org: options.org || DEFAULT_ORG[command], userId: options.user || '' });
+    let succeeded = 0;
+    let failed = 0;
+
+    try {
+        await client.connect();
+
+        const chunks = chunk(items, batchSize);
+        for (let n = 0; n < chunks.length; n++) {
+            console.log(`\n${c.cyan}Transaction ${n + 1}/${chunks.length}${c.reset} ${c.dim}(${chunks[n].length} items)${c.reset}`);
+            let result;
+            try {
+                result = command === 'create'
+                    ? await client.createAssetsBatch(chunks[n], { allOrNothing })
+                    : await client.approveAssetsBatch(chunks[n], { comment: options.comment || '', allOrNothing });
+            } catch (error) {
+                // Only an all-or-nothing batch (or a malformed request) fails as a whole
+                failed += chunks[n].length;
+                console.log(`  ${c.red}✗ Transaction failed: ${error.details?.[0]?.message || error.message}${c.reset}`);
+                if (allOrNothing) {
+                    const skipped = items.length - (n + 1) * batchSize;
+                    if (skipped > 0) {
+                        console.log(`  ${c.yellow}Stopping; ${skipped} remaining items not sent${c.reset}`);
+                    }
+                    break;
+                }
+                continue;
+            }
+
+            for (const item of result.results) {
+                if (item.success) {
+                    console.log(`  ${c.green}✓${c.reset} ${item.assetID} ${c.dim}→ ${item.status}${c.reset}`);
+                } else {
+                    console.log(`  ${c.red}✗${c.reset} ${item.assetID || `#${item.index}`}: ${item.error}`);
+                }
+            }
+            succeeded += result.succeeded;
+            failed += result.failed;
+        }
+    } finally {
+        client.disconnect();
+    }
+
+    console.log(`\n${c.bright}Done:${c.reset} ${c.green}${succeeded} succeeded${c.reset}, ${failed > 0 ? c.red : c.dim}${failed} failed${c.reset}`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`${c.red}Fatal error: ${error.message}${c.reset}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseCsv, loadCreateItems, loadAssetIds, chunk };
@@ -161,7 +161,18 @@ ${c.bright}Access Control:${c.reset}
         await ownerClient.submitForApproval(assetId);
         asset = await ownerClient.queryAsset(assetId);
         log.success(`Status: ${log.status(asset.status)}`);
-        await pause();
+
+        const withdraw = await pause('Withdraw the submission before approvers act? (y/N) ');
+        if (withdraw.trim().toLowerCase() === 'y') {
+            await ownerClient.withdrawSubmission(assetId);
+            asset = await ownerClient.queryAsset(assetId);
+            log.success(`Submission withdrawn, status: ${log.status(asset.status)}`);
+            log.info('Resubmitting so the demo can continue...');
+            await ownerClient.submitForApproval(assetId);
+            asset = await ownerClient.queryAsset(assetId);
+            log.success(`Status: ${log.status(asset.status)}`);
+            await pause();
+        }
 
         // Auditor approves
         log.step(5, 'Auditor Approves (role=auditor required)');
@@ -215,7 +226,7 @@ ${c.bgGreen}${c.bright}
         console.log(`  ${c.green}1.${c.reset} Role read from X.509 cert attribute (True ABAC)`);
         console.log(`  ${c.green}2.${c.reset} No org names hardcoded in chaincode`);
         console.log(`  ${c.green}3.${c.reset} Adding Org4 = issue cert + update policies (no code change)`);
-        console.log(`  ${c.green}4.${c.reset} Extensible approvals { [role]: status }\n`);
+        console.log(`  ${c.green}4.${c.reset} Extensible approvals { [role]: record }\n`);
 
     } catch (error) {
         log.error(`Demo failed: ${error.message}`);
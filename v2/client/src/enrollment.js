@@ -0,0 +1,369 @@
+'use strict';
+
+/**
+ * Fabric CA enrollment for the v2 client
+ *
+ * v2 authorizes by certificate attributes, so every user is registered with a
+ * `role` attribute (plus optional ABAC attributes such as department or
+ * clearance) marked ecert:true. The CA then writes them into each certificate
+ * it issues for that user, on enroll and on re-enroll alike.
+ *
+ * EnrollmentClient registers, enrolls, re-enrolls and revokes users against
+ * one org's CA and keeps the resulting identities in a wallet (see wallet.js).
+ * Registration and revocation are signed by the org's CA registrar, stored in
+ * the same wallet as `ca-admin.<org>` by `npm run enroll -- registrar`.
+ *
+ * The CA is reached through a small connection object (newCaConnection) so
+ * tests can stand in for fabric-ca-server.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ORG_CONFIG } = require('./fabricClient');
+const { openWallet, validateUserId } = require('./wallet');
+
+// Roles the chaincode authorizes (getRole/requireRole)
+const ABAC_ROLES = ['owner', 'auditor', 'regulator'];
+
+// Fabric CA revocation reasons (RFC 5280 names, as fabric-ca-server spells them)
+const REVOCATION_REASONS = [
+    'unspecified', 'keycompromise', 'cacompromise', 'affiliationchange', 'superseded',
+    'cessationofoperation', 'certificatehold', 'removefromcrl', 'privilegewithdrawn', 'aacompromise'
+];
+
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+
+// X.509 extension Fabric CA uses for attributes: OID 1.2.3.4.5.6.7.8.1
+const ATTRIBUTE_EXTENSION_OID = Buffer.from('06082a03040506070801', 'hex');
+
+/**
+ * Read the length of the DER element starting at `offset`; returns where its
+ * contents start and how long they are
+ */
+function readDerLength(der, offset) {
+    const first = der[offset + 1];
+    if (first < 0x80) {
+        return { start: offset + 2, length: first };
+    }
+    const bytes = first & 0x7f;
+    let length = 0;
+    for (let i = 0; i < bytes; i++) {
+        length = (length << 8) | der[offset + 2 + i];
+    }
+    return { start: offset + 2 + bytes, length };
+}
+
+/**
+ * Attributes embedded in a Fabric CA certificate, e.g.
+ * { role: 'auditor', department: 'finance', 'hf.EnrollmentID': 'alice', ... }.
+ * Returns {} when the certificate carries none.
+ */
+function readCertificateAttributes(certificatePem) {
+    const der = new crypto.X509Certificate(certificatePem).raw;
+    const oidAt = der.indexOf(ATTRIBUTE_EXTENSION_OID);
+    if (oidAt === -1) {
+        return {};
+    }
+    let offset = oidAt + ATTRIBUTE_EXTENSION_OID.length;
+    // Skip the optional `critical` BOOLEAN
+    if (der[offset] === 0x01) {
+        offset += 3;
+    }
+    if (der[offset] !== 0x04) {
+        throw new Error('Malformed attribute extension in certificate');
+    }
+    const { start, length } = readDerLength(der, offset);
+    return JSON.parse(der.subarray(start, start + length).toString('utf8')).attrs || {};
+}
+
+/**
+ * Registration attributes for fabric-ca-client: the role plus any extra ABAC
+ * attributes, all ecert:true so they land in every certificate
+ */
+function buildAttributes(role, attributes = {}) {
+    if (!ABAC_ROLES.includes(role)) {
+        throw new Error(`Invalid role '${role}'. Expected one of: ${ABAC_ROLES.join(', ')}`);
+    }
+    const attrs = [{ name: 'role', value: role, ecert: true }];
+    for (const [name, value] of Object.entries(attributes)) {
+        if (!ATTRIBUTE_NAME_PATTERN.test(name) || name.startsWith('hf.')) {
+            throw new Error(`Invalid attribute name '${name}'`);
+        }
+        if (name === 'role') {
+            throw new Error('Set the role with the role option, not as an attribute');
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof value) || String(value) === '') {
+            throw new Error(`Attribute ${name} must be a non-empty string, number or boolean`);
+        }
+        attrs.push({ name, value: String(value), ecert: true });
+    }
+    return attrs;
+}
+
+/**
+ * Connection to an org's Fabric CA through fabric-ca-client. EnrollmentClient
+ * only needs these four methods, which is all a stand-in has to implement:
+ *   register(request, registrar)  -> enrollment secret
+ *   enroll(request)               -> { certificate, privateKey }
+ *   reenroll(user)                -> { certificate, privateKey }
+ *   revoke(request, registrar)    -> CA response
+ * registrar and user are wallet identities with their userId added.
+ */
+function newCaConnection(org) {
+    const config = ORG_CONFIG[org];
+    // Loaded here so the rest of the client runs without the CA SDK installed
+    const FabricCAServices = require('fabric-ca-client');
+    const { User } = require('fabric-common');
+
+    const caCert = fs.readFileSync(path.resolve(__dirname, config.caCertPath));
+    const ca = new FabricCAServices(
+        `https://${config.caEndpoint}`,
+        { trustedRoots: [caCert], verify: process.env.CA_TLS_VERIFY !== 'false' },
+        config.caName
+    );
+    const toUser = user => User.createUser(user.userId, '', user.mspId, user.certificate, user.privateKey);
+    const fromEnrollment = enrollment => ({ certificate: enrollment.certificate, privateKey: enrollment.key.toBytes() });
+
+    return {
+        register: (request, registrar) => ca.register(request, toUser(registrar)),
+        enroll: async request => fromEnrollment(await ca.enroll(request)),
+        reenroll: async user => fromEnrollment(await ca.reenroll(toUser(user))),
+        revoke: (request, registrar) => ca.revoke(request, toUser(registrar))
+    };
+}
+
+class EnrollmentClient {
+    /**
+     * new EnrollmentClient({ org: 'org1' })                   - CA and wallet from config/env
+     * new EnrollmentClient({ org: 'org1', ca, wallet })       - e.g. a stand-in CA in tests
+     */
+    constructor({ org, ca, wallet = openWallet(), registrarId = `ca-admin.${org}` }) {
+        if (!ORG_CONFIG[org]) {
+            throw new Error(`Unknown org '${org}'. Expected one of: ${Object.keys(ORG_CONFIG).join(', ')}`);
+        }
+        this.org = org;
+        this.mspId = ORG_CONFIG[org].mspId;
+        this.ca = ca || newCaConnection(org);
+        this.wallet = wallet;
+        this.registrarId = registrarId;
+    }
+
+    /**
+     * Enroll the CA's bootstrap admin (CA_ADMIN_USER/CA_ADMIN_PASSWORD in
+     * network/docker) and keep it in the wallet as the registrar
+     */
+    async enrollRegistrar(enrollmentID = 'admin', enrollmentSecret = 'adminpw') {
+        const enrollment = await this.ca.enroll({ enrollmentID, enrollmentSecret });
+        await this.wallet.put(this.registrarId, { mspId: this.mspId, ...enrollment });
+        return { userId: this.registrarId, mspId: this.mspId };
+    }
+
+    /**
+     * Register a client identity with a role and optional ABAC attributes
+     * (e.g. { department: 'finance', clearance: 3, admin: true }); resolves to
+     * the enrollment secret, generated by the CA unless `secret` is given
+     */
+    async register(userId, { role, attributes = {}, affiliation, secret, maxEnrollments } = {}) {
+        validateUserId(userId);
+        const request = { enrollmentID: userId, role: 'client', attrs: buildAttributes(role, attributes) };
+        // Omitted fields keep fabric-ca-client's defaults (the registrar's affiliation, for one)
+        if (affiliation !== undefined) {
+            request.affiliation = affiliation;
+        }
+        if (secret) {
+            request.enrollmentSecret = secret;
+        }
+        if (maxEnrollments !== undefined) {
+            request.maxEnrollments = maxEnrollments;
+        }
+        return this.ca.register(request, await this.walletUser(this.registrarId));
+    }
+
+    /**
+     * Enroll a registered user and store the new identity in the wallet
+     */
+    async enroll(userId, secret) {
+        validateUserId(userId);
+        if (!secret) {
+            throw new Error(`Enrollment secret required for '${userId}'`);
+        }
+        return this.store(userId, await this.ca.enroll({ enrollmentID: userId, enrollmentSecret: secret }));
+    }
+
+    /**
+     * Register and enroll in one step
+     */
+    async registerAndEnroll(userId, options = {}) {
+        const secret = await this.register(userId, options);
+        return this.enroll(userId, secret);
+    }
+
+    /**
+     * Replace a wallet user's certificate before it expires, or to pick up
+     * attributes changed on the CA since the last enrollment
+     */
+    async reenroll(userId) {
+        return this.store(userId, await this.ca.reenroll(await this.walletUser(userId)));
+    }
+
+    /**
+     * Revoke every certificate the CA issued to a user and drop the user from
+     * the wallet. Peers reject revoked certificates only once the CA's CRL is
+     * in the channel MSP; RevokeIdentity denies one on chain before that.
+     */
+    async revoke(userId, { reason = 'unspecified' } = {}) {
+        validateUserId(userId);
+        if (!REVOCATION_REASONS.includes(reason)) {
+            throw new Error(`Invalid revocation reason '${reason}'. Expected one of: ${REVOCATION_REASONS.join(', ')}`);
+        }
+        const result = await this.ca.revoke({ enrollmentID: userId, reason }, await this.walletUser(this.registrarId));
+        await this.wallet.remove(userId);
+        return result;
+    }
+
+    /**
+     * Wallet identity of this org, with its userId as the CA connection expects
+     */
+    async walletUser(userId) {
+        const entry = await this.wallet.get(userId);
+        if (!entry) {
+            const hint = userId === this.registrarId ? `. Run: npm run enroll -- registrar --org=${this.org}` : '';
+            throw new Error(`Identity '${userId}' not found in wallet${hint}`);
+        }
+        if (entry.mspId !== this.mspId) {
+            throw new Error(`Identity '${userId}' belongs to ${entry.mspId}, not ${this.mspId}`);
+        }
+        return { userId, ...entry };
+    }
+
+    /**
+     * Check an issued certificate before it replaces anything in the wallet:
+     * it must match the key and carry the role the chaincode authorizes by
+     */
+    async store(userId, { certificate, privateKey }) {
+        const x509 = new crypto.X509Certificate(certificate);
+        if (!x509.checkPrivateKey(crypto.createPrivateKey(privateKey))) {
+            throw new Error(`CA returned a certificate for '${userId}' that does not match its private key`);
+        }
+        const attributes = readCertificateAttributes(certificate);
+        if (!attributes.role) {
+            throw new Error(`Certificate for '${userId}' has no role attribute. Register the user with a role (ecert:true)`);
+        }
+        await this.wallet.put(userId, { mspId: this.mspId, certificate, privateKey });
+        return { userId, mspId: this.mspId, attributes, expires: x509.validTo };
+    }
+}
+
+function printHelp() {
+    console.log(`
+Usage:
+  npm run enroll -- registrar --org=<org> [--id=admin --secret=adminpw]
+  npm run enroll -- register <userId> --org=<org> --role=<role> [--attrs=k=v,...] [--admin]
+                             [--secret=<secret>] [--affiliation=<affiliation>]
+  npm run enroll -- enroll <userId> --org=<org> --secret=<secret>
+  npm run enroll -- add <userId> --org=<org> --role=<role> [--attrs=k=v,...] [--admin]
+  npm run enroll -- reenroll <userId> --org=<org>
+  npm run enroll -- revoke <userId> --org=<org> [--reason=<reason>]
+  npm run enroll -- show <userId>
+
+Roles: ${ABAC_ROLES.join(', ')}
+add = register + enroll. --attrs adds ABAC attributes, e.g. --attrs=department=finance,clearance=3;
+--admin adds admin=true. Identities go to the wallet chosen by WALLET_TYPE, WALLET_DIR
+and WALLET_PASSPHRASE; set CA_TLS_VERIFY=false to skip CA TLS hostname checks.
+`);
+}
+
+function parseAttributes(text = '', admin = false) {
+    const attributes = {};
+    for (const pair of text.split(',').filter(Boolean)) {
+        const [name, ...rest] = pair.split('=');
+        attributes[name.trim()] = rest.join('=').trim();
+    }
+    if (admin) {
+        attributes.admin = 'true';
+    }
+    return attributes;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const options = Object.fromEntries(args.filter(a => a.startsWith('--')).map(a => {
+        const [key, ...rest] = a.slice(2).split('=');
+        return [key, rest.join('=')];
+    }));
+    const [command, userId] = args.filter(a => !a.startsWith('--'));
+    const wallet = openWallet();
+
+    if (command === 'show') {
+        const entry = userId && await wallet.get(userId);
+        if (!entry) {
+            throw new Error(`Identity '${userId}' not found in wallet`);
+        }
+        const x509 = new crypto.X509Certificate(entry.certificate);
+        console.log(`${userId} (${entry.mspId}), expires ${x509.validTo}`);
+        console.log(`  certificate SHA-256 = ${x509.fingerprint256.replace(/:/g, '').toLowerCase()}`);
+        for (const [name, value] of Object.entries(readCertificateAttributes(entry.certificate))) {
+            console.log(`  ${name} = ${value}`);
+        }
+        return;
+    }
+
+    const commands = ['registrar', 'register', 'enroll', 'add', 'reenroll', 'revoke'];
+    if (!commands.includes(command) || !ORG_CONFIG[options.org] || (command !== 'registrar' && !userId)) {
+        printHelp();
+        process.exit(command ? 1 : 0);
+    }
+
+    const client = new EnrollmentClient({ org: options.org, wallet });
+    const registration = {
+        role: options.role,
+        attributes: parseAttributes(options.attrs, 'admin' in options),
+        affiliation: options.affiliation,
+        secret: options.secret
+    };
+    const report = ({ userId: id, mspId, attributes, expires }) => {
+        const attrs = Object.entries(attributes).filter(([name]) => !name.startsWith('hf.'));
+        console.log(`Enrolled ${id} (${mspId}) ${attrs.map(([k, v]) => `${k}=${v}`).join(' ')}, expires ${expires}`);
+    };
+
+    switch (command) {
+        case 'registrar': {
+            const { userId: id } = await client.enrollRegistrar(options.id || undefined, options.secret || undefined);
+            console.log(`Enrolled CA registrar as ${id}`);
+            break;
+        }
+        case 'register':
+            console.log(`Registered ${userId}. Enrollment secret: ${await client.register(userId, registration)}`);
+            break;
+        case 'enroll':
+            report(await client.enroll(userId, options.secret));
+            break;
+        case 'add':
+            report(await client.registerAndEnroll(userId, registration));
+            break;
+        case 'reenroll':
+            report(await client.reenroll(userId));
+            break;
+        case 'revoke':
+            await client.revoke(userId, { reason: options.reason || undefined });
+            console.log(`Revoked ${userId} and removed it from the wallet`);
+            break;
+    }
+}
+
+module.exports = {
+    EnrollmentClient,
+    newCaConnection,
+    buildAttributes,
+    readCertificateAttributes,
+    ABAC_ROLES,
+    REVOCATION_REASONS
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Enrollment tests against a stand-in CA - no Fabric network or CA server needed
+ *
+ * Run: npm run test:enrollment
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { beforeEach, describe, it } = require('node:test');
+const { FabricClient } = require('./fabricClient');
+const { EnrollmentClient, readCertificateAttributes } = require('./enrollment');
+const { InMemoryWallet } = require('./wallet');
+
+// Minimal DER encoding, enough to issue certificates with Fabric's attribute extension
+const derLength = n => (n < 0x80 ? Buffer.from([n]) : n < 0x100 ? Buffer.from([0x81, n]) : Buffer.from([0x82, n >> 8, n & 0xff]));
+const der = (tag, ...parts) => {
+    const body = Buffer.concat(parts);
+    return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+};
+const seq = (...parts) => der(0x30, ...parts);
+const oid = hex => der(0x06, Buffer.from(hex, 'hex'));
+const ECDSA_SHA256 = '2a8648ce3d040302';
+const name = cn => seq(der(0x31, seq(oid('550403'), der(0x0c, Buffer.from(cn)))));
+
+/**
+ * Issue an X.509 certificate for `publicKey`, signed by `caKey`, with
+ * `attrs` in the 1.2.3.4.5.6.7.8.1 extension the way fabric-ca-server writes them
+ */
+function issueCertificate(caKey, publicKey, subject, attrs) {
+    const extensions = attrs
+        ? [der(0xa3, seq(seq(oid('2a03040506070801'), der(0x04, Buffer.from(JSON.stringify({ attrs }))))))]
+        : [];
+    const tbs = seq(
+        der(0xa0, der(0x02, Buffer.from([2]))),
+        der(0x02, Buffer.concat([Buffer.from([1]), crypto.randomBytes(8)])),
+        seq(oid(ECDSA_SHA256)),
+        name('ca-org1'),
+        seq(der(0x17, Buffer.from('240101000000Z')), der(0x17, Buffer.from('491231235959Z'))),
+        name(subject),
+        publicKey.export({ type: 'spki', format: 'der' }),
+        ...extensions
+    );
+    const signature = crypto.sign('sha256', tbs, caKey);
+    const cert = seq(tbs, seq(oid(ECDSA_SHA256)), der(0x03, Buffer.from([0]), signature));
+    return `-----BEGIN CERTIFICATE-----\n${cert.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+}
+
+/**
+ * fabric-ca-server stand-in implementing the CA connection interface; records
+ * calls and keeps a registry of identities
+ */
+function standInCa(mspId = 'Org1MSP') {
+    const { privateKey: caKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const registry = new Map([['admin', { secret: 'adminpw', attrs: [], bootstrap: true }]]);
+
+    const issue = enrollmentID => {
+        const entry = registry.get(enrollmentID);
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const ecert = Object.fromEntries(entry.attrs.filter(a => a.ecert).map(a => [a.name, a.value]));
+        const attrs = entry.bootstrap ? null : { ...ecert, 'hf.EnrollmentID': enrollmentID, 'hf.Type': 'client' };
+        entry.certificate = issueCertificate(caKey, publicKey, enrollmentID, attrs);
+        return { certificate: entry.certificate, privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) };
+    };
+    // Like fabric-ca-server, the caller is identified by its certificate, not the local user name
+    const requireRegistrar = registrar => {
+        const entry = [...registry.values()].find(e => e.certificate === registrar.certificate);
+        if (!entry?.bootstrap || registrar.mspId !== mspId) {
+            throw new Error('Authorization failure');
+        }
+    };
+
+    return {
+        registry,
+        calls: [],
+        async register(request, registrar) {
+            this.calls.push(['register', request, registrar.userId]);
+            requireRegistrar(registrar);
+            if (registry.has(request.enrollmentID)) {
+                throw new Error(`Identity '${request.enrollmentID}' is already registered`);
+            }
+            const secret = request.enrollmentSecret || crypto.randomBytes(6).toString('hex');
+            registry.set(request.enrollmentID, { secret, attrs: request.attrs });
+            return secret;
+        },
+        async enroll({ enrollmentID, enrollmentSecret }) {
+            this.calls.push(['enroll', enrollmentID]);
+            const entry = registry.get(enrollmentID);
+            if (!entry || entry.secret !== enrollmentSecret || entry.revoked) {
+                throw new Error('Authentication failure');
+            }
+            return issue(enrollmentID);
+        },
+        async reenroll(user) {
+            this.calls.push(['reenroll', user.userId]);
+            const entry = registry.get(user.userId);
+            if (!entry || entry.revoked || entry.certificate !== user.certificate) {
+                throw new Error('Authentication failure');
+            }
+            return issue(user.userId);
+        },
+        async revoke(request, registrar) {
+            this.calls.push(['revoke', request, registrar.userId]);
+            requireRegistrar(registrar);
+            registry.get(request.enrollmentID).revoked = request.reason;
+            return { success: true };
+        }
+    };
+}
+
+describe('EnrollmentClient', () => {
+    let ca;
+    let wallet;
+    let client;
+
+    beforeEach(async () => {
+        ca = standInCa();
+        wallet = new InMemoryWallet();
+        client = new EnrollmentClient({ org: 'org1', ca, wallet });
+        await client.enrollRegistrar();
+    });
+
+    it('registers ABAC attributes as ecert attributes and enrolls into the wallet', async () => {
+        const result = await client.registerAndEnroll('alice', {
+            role: 'owner',
+            attributes: { department: 'finance', clearance: 3 }
+        });
+
+        const [, request, registrarId] = ca.calls.find(([call]) => call === 'register');
+        assert.strictEqual(registrarId, 'ca-admin.org1');
+        assert.deepStrictEqual(request.attrs, [
+            { name: 'role', value: 'owner', ecert: true },
+            { name: 'department', value: 'finance', ecert: true },
+            { name: 'clearance', value: '3', ecert: true }
+        ]);
+
+        assert.strictEqual(result.mspId, 'Org1MSP');
+        assert.strictEqual(result.attributes.role, 'owner');
+        const stored = await wallet.get('alice');
+        assert.deepStrictEqual(readCertificateAttributes(stored.certificate), {
+            role: 'owner', department: 'finance', clearance: '3', 'hf.EnrollmentID': 'alice', 'hf.Type': 'client'
+        });
+
+        // The enrolled identity signs as itself
+        const { identity } = await new FabricClient({ org: 'org1', userId: 'alice', wallet }).loadCredentials();
+        assert.strictEqual(Buffer.from(identity.credentials).toString(), stored.certificate);
+    });
+
+    it('validates roles and attributes before calling the CA', async () => {
+        await assert.rejects(client.register('bob', { role: 'superuser' }), /Invalid role/);
+        await assert.rejects(client.register('bob', {}), /Invalid role/);
+        await assert.rejects(client.register('bob', { role: 'owner', attributes: { 'hf.Registrar.Roles': 'client' } }), /Invalid attribute name/);
+        await assert.rejects(client.register('bob', { role: 'owner', attributes: { role: 'auditor' } }), /role option/);
+        await assert.rejects(client.register('../bob', { role: 'owner' }), /Invalid user ID/);
+        assert.strictEqual(ca.calls.filter(([call]) => call === 'register').length, 0);
+    });
+
+    it('refuses certificates without a role attribute', async () => {
+        ca.registry.set('legacy', { secret: 'pw', attrs: [{ name: 'department', value: 'it', ecert: true }] });
+        await assert.rejects(client.enroll('legacy', 'pw'), /no role attribute/);
+        assert.strictEqual(await wallet.get('legacy'), undefined);
+    });
+
+    it('re-enrolls with a new certificate and current attributes', async () => {
+        await client.registerAndEnroll('carol', { role: 'auditor' });
+        const before = await wallet.get('carol');
+
+        // Attribute changed on the CA (fabric-ca-client identity modify)
+        ca.registry.get('carol').attrs = [{ name: 'role', value: 'regulator', ecert: true }];
+        const result = await client.reenroll('carol');
+
+        const after = await wallet.get('carol');
+        assert.notStrictEqual(after.certificate, before.certificate);
+        assert.notStrictEqual(after.privateKey, before.privateKey);
+        assert.strictEqual(result.attributes.role, 'regulator');
+    });
+
+    it('revokes at the CA and removes the wallet identity', async () => {
+        await client.registerAndEnroll('dave', { role: 'owner', secret: 'davepw' });
+        await assert.rejects(client.revoke('dave', { reason: 'not-a-reason' }), /Invalid revocation reason/);
+
+        await client.revoke('dave', { reason: 'keycompromise' });
+        assert.strictEqual(ca.registry.get('dave').revoked, 'keycompromise');
+        assert.strictEqual(await wallet.get('dave'), undefined);
+        await assert.rejects(client.enroll('dave', 'davepw'), /Authentication failure/);
+    });
+
+    it('needs the org registrar in the wallet', async () => {
+        await wallet.remove('ca-admin.org1');
+        await assert.rejects(client.register('erin', { role: 'owner' }), /npm run enroll -- registrar --org=org1/);
+
+        const org2 = new EnrollmentClient({ org: 'org2', ca, wallet, registrarId: 'alice' });
+        await client.enrollRegistrar();
+        await wallet.put('alice', await wallet.get('ca-admin.org1'));
+        await assert.rejects(org2.register('erin', { role: 'auditor' }), /belongs to Org1MSP, not Org2MSP/);
+    });
+
+    it('rejects unknown orgs', () => {
+        assert.throws(() => new EnrollmentClient({ org: 'org9', ca, wallet }), /Unknown org/);
+    });
+});
+
+describe('readCertificateAttributes', () => {
+    it('returns {} for certificates without Fabric attributes', () => {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        assert.deepStrictEqual(readCertificateAttributes(issueCertificate(privateKey, publicKey, 'plain', null)), {});
+    });
+});
@@ -6,14 +6,21 @@
  */
 
 const grpc = require('@grpc/grpc-js');
-const { connect, signers } = require('@hyperledger/fabric-gateway');
+const { checkpointers, connect, signers } = require('@hyperledger/fabric-gateway');
+const { common, msp, peer } = require('@hyperledger/fabric-protos');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { openWallet } = require('./wallet');
 
 // Network configuration
 const CHANNEL_NAME = 'asset-channel';
 const CHAINCODE_NAME = 'asset-approval';
+const LIFECYCLE_EVENT_NAME = 'AssetLifecycle';
+// The only admin=true identity registerEnroll.sh issues (Org1, no role attribute)
+const CHAINCODE_ADMIN_USER = 'ChaincodeAdmin';
+// getOwnerFingerprint values are SHA-256 hex; anything else was written by an older chaincode
+const OWNER_FINGERPRINT_PATTERN = /^[0-9a-f]{64}$/;
 
 // Organization configuration with role mapping
 // Note: In v2, the ROLE comes from cert attribute, not this mapping
@@ -24,21 +31,30 @@ const ORG_CONFIG = {
         expectedRole: 'owner',  // Expected role from cert attribute
         peerEndpoint: 'localhost:7051',
         peerHostAlias: 'peer0.org1.example.com',
-        cryptoPath: '../../network/organizations/peerOrganizations/org1.example.com'
+        cryptoPath: '../../network/organizations/peerOrganizations/org1.example.com',
+        caName: 'ca-org1',
+        caEndpoint: 'localhost:7054',
+        caCertPath: '../../network/organizations/fabric-ca/org1/ca-cert.pem'
     },
     org2: {
         mspId: 'Org2MSP',
         expectedRole: 'auditor',
         peerEndpoint: 'localhost:8051',
         peerHostAlias: 'peer0.org2.example.com',
-        cryptoPath: '../../network/organizations/peerOrganizations/org2.example.com'
+        cryptoPath: '../../network/organizations/peerOrganizations/org2.example.com',
+        caName: 'ca-org2',
+        caEndpoint: 'localhost:8054',
+        caCertPath: '../../network/organizations/fabric-ca/org2/ca-cert.pem'
     },
     org3: {
         mspId: 'Org3MSP',
         expectedRole: 'regulator',
         peerEndpoint: 'localhost:9051',
         peerHostAlias: 'peer0.org3.example.com',
-        cryptoPath: '../../network/organizations/peerOrganizations/org3.example.com'
+        cryptoPath: '../../network/organizations/peerOrganizations/org3.example.com',
+        caName: 'ca-org3',
+        caEndpoint: 'localhost:9054',
+        caCertPath: '../../network/organizations/fabric-ca/org3/ca-cert.pem'
     }
 };
 
@@ -57,11 +73,11 @@ async function newGrpcConnection(org) {
 }
 
 /**
- * Get user identity
+ * Get user identity from users/<mspUser>@<domain>/msp in the crypto directory
  */
-async function newIdentity(org) {
+async function newIdentity(org, mspUser = 'Admin') {
     const config = ORG_CONFIG[org];
-    const certPath = path.resolve(__dirname, config.cryptoPath, 'users', `Admin@${config.peerHostAlias.replace('peer0.', '')}`, 'msp', 'signcerts', 'cert.pem');
+    const certPath = path.resolve(__dirname, config.cryptoPath, 'users', `${mspUser}@${config.peerHostAlias.replace('peer0.', '')}`, 'msp', 'signcerts', 'cert.pem');
     const credentials = fs.readFileSync(certPath);
     return { mspId: config.mspId, credentials };
 }
@@ -69,9 +85,9 @@ async function newIdentity(org) {
 /**
  * Get signer from private key
  */
-async function newSigner(org) {
+async function newSigner(org, mspUser = 'Admin') {
     const config = ORG_CONFIG[org];
-    const keyPath = path.resolve(__dirname, config.cryptoPath, 'users', `Admin@${config.peerHostAlias.replace('peer0.', '')}`, 'msp', 'keystore');
+    const keyPath = path.resolve(__dirname, config.cryptoPath, 'users', `${mspUser}@${config.peerHostAlias.replace('peer0.', '')}`, 'msp', 'keystore');
     const files = fs.readdirSync(keyPath);
     const keyFile = files.find(f => f.endsWith('_sk'));
     const privateKeyPem = fs.readFileSync(path.join(keyPath, keyFile));
@@ -79,23 +95,155 @@ async function newSigner(org) {
     return signers.newPrivateKeySigner(privateKey);
 }
 
+/**
+ * Identity and signer for a wallet user; the wallet entry must belong to the org's MSP
+ */
+async function newWalletCredentials(wallet, userId, org) {
+    const config = ORG_CONFIG[org];
+    const entry = await wallet.get(userId);
+    if (!entry) {
+        throw new Error(`Identity '${userId}' not found in wallet`);
+    }
+    if (entry.mspId !== config.mspId) {
+        throw new Error(`Identity '${userId}' belongs to ${entry.mspId}, not ${config.mspId}`);
+    }
+    return {
+        identity: { mspId: entry.mspId, credentials: Buffer.from(entry.certificate) },
+        signer: signers.newPrivateKeySigner(crypto.createPrivateKey(entry.privateKey))
+    };
+}
+
+/**
+ * Walk a paginated query, yielding records until a short or empty page
+ */
+async function* iteratePages(fetchPage, pageSize) {
+    let bookmark = '';
+    while (true) {
+        const page = await fetchPage(bookmark);
+        yield* page.records;
+        if (page.fetchedCount < pageSize || !page.bookmark || page.bookmark === bookmark) {
+            return;
+        }
+        bookmark = page.bookmark;
+    }
+}
+
+/**
+ * SHA-256 (hex) and byte size of a local file, streamed so large files are fine
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        fs.createReadStream(filePath)
+            .on('data', chunk => {
+                hash.update(chunk);
+                size += chunk.length;
+            })
+            .on('error', reject)
+            .on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+    });
+}
+
+/**
+ * A DN from X509Certificate#subject in the form fabric-shim's getID() uses: /C=US/.../CN=user1
+ */
+function formatDistinguishedName(dn) {
+    return dn.split('\n').map(rdn => {
+        const at = rdn.indexOf('=');
+        // fabric-shim escapes only the first '/' of each value
+        return `/${rdn.slice(0, at)}=${rdn.slice(at + 1).replace('/', '\\/')}`;
+    }).join('');
+}
+
+/**
+ * The owner fingerprint the chaincode derives for a certificate: SHA-256 (hex)
+ * of MSP ID, subject DN and enrollment ID
+ */
+function ownerFingerprintOf(mspId, certificatePem) {
+    // Loaded here: enrollment itself requires this module
+    const { readCertificateAttributes } = require('./enrollment');
+    const subject = formatDistinguishedName(new crypto.X509Certificate(certificatePem).subject);
+    const commonName = /\/CN=([^/]*)$/.exec(subject)?.[1] ?? '';
+    const enrollmentID = readCertificateAttributes(certificatePem)['hf.EnrollmentID'] || commonName;
+    return crypto.createHash('sha256').update(JSON.stringify([mspId, subject, enrollmentID])).digest('hex');
+}
+
+/**
+ * The owner value older chaincode versions stored for a certificate: the first
+ * 44 base64 characters of getID()
+ */
+function legacyOwnerFingerprintOf(certificatePem) {
+    const x509 = new crypto.X509Certificate(certificatePem);
+    const id = `x509::${formatDistinguishedName(x509.subject)}::${formatDistinguishedName(x509.issuer)}`;
+    return Buffer.from(id).toString('base64').substring(0, 44);
+}
+
+/**
+ * SHA-256 (lowercase hex) of a certificate in DER form, as the chaincode's certificateFingerprint
+ */
+function certificateFingerprintOf(certificatePem) {
+    return new crypto.X509Certificate(certificatePem).fingerprint256.replace(/:/g, '').toLowerCase();
+}
+
+/**
+ * MSP ID and PEM certificate that signed a transaction, from the
+ * ProcessedTransaction bytes qscc GetTransactionByID returns
+ */
+function transactionCreator(processedTransaction) {
+    const envelope = peer.ProcessedTransaction.deserializeBinary(processedTransaction).getTransactionenvelope();
+    const payload = common.Payload.deserializeBinary(envelope.getPayload_asU8());
+    const signatureHeader = common.SignatureHeader.deserializeBinary(payload.getHeader().getSignatureHeader_asU8());
+    const creator = msp.SerializedIdentity.deserializeBinary(signatureHeader.getCreator_asU8());
+    return { mspId: creator.getMspid(), certificate: Buffer.from(creator.getIdBytes_asU8()).toString('utf8') };
+}
+
 /**
  * FabricClient class - manages connection and contract
  */
 class FabricClient {
-    constructor(org, options = {}) {
-        this.org = org;
-        this.config = ORG_CONFIG[org];
-        this.quiet = options.quiet || false;
+    /**
+     * new FabricClient('org1')                            - signs as the org admin
+     * new FabricClient({ org: 'org1', userId: 'alice' })  - signs as alice from the wallet
+     * new FabricClient({ org: 'org1', mspUser: CHAINCODE_ADMIN_USER })
+     *                                                     - signs as the chaincode admin (admin=true)
+     *
+     * options.wallet  - wallet holding userId (default: openWallet() from WALLET_* env)
+     * options.mspUser - crypto directory user (users/<mspUser>@<domain>) when no userId; default Admin
+     * options.quiet  - no connection log line
+     */
+    constructor(orgOrOptions, options = {}) {
+        const settings = typeof orgOrOptions === 'string' ? { ...options, org: orgOrOptions } : { ...orgOrOptions };
+        if (!ORG_CONFIG[settings.org]) {
+            throw new Error(`Unknown org '${settings.org}'. Expected one of: ${Object.keys(ORG_CONFIG).join(', ')}`);
+        }
+        this.org = settings.org;
+        this.config = ORG_CONFIG[settings.org];
+        this.userId = settings.userId || '';
+        this.mspUser = settings.mspUser || 'Admin';
+        this.wallet = settings.wallet || null;
+        this.quiet = settings.quiet || false;
         this.gateway = null;
         this.client = null;
+        this.network = null;
         this.contract = null;
     }
 
+    /**
+     * Identity and signer to connect with: the wallet user when userId is set,
+     * otherwise mspUser (the org admin by default) from the crypto directory
+     */
+    async loadCredentials() {
+        if (this.userId) {
+            const wallet = this.wallet || openWallet();
+            return newWalletCredentials(wallet, this.userId, this.org);
+        }
+        return { identity: await newIdentity(this.org, this.mspUser), signer: await newSigner(this.org, this.mspUser) };
+    }
+
     async connect() {
+        const { identity, signer } = await this.loadCredentials();
         this.client = await newGrpcConnection(this.org);
-        const identity = await newIdentity(this.org);
-        const signer = await newSigner(this.org);
 
         this.gateway = connect({
             client: this.client,
@@ -107,11 +255,12 @@ class FabricClient {
             commitStatusOptions: () => ({ deadline: Date.now() + 60000 }),
         });
 
-        const network = this.gateway.getNetwork(CHANNEL_NAME);
-        this.contract = network.getContract(CHAINCODE_NAME);
+        this.network = this.gateway.getNetwork(CHANNEL_NAME);
+        this.contract = this.network.getContract(CHAINCODE_NAME);
 
         if (!this.quiet) {
-            console.log(`Connected as ${this.config.mspId} (expected role: ${this.config.expectedRole})`);
+            const who = this.userId ? `${this.userId}@${this.config.mspId}` : `${this.mspUser}@${this.config.mspId}`;
+            console.log(`Connected as ${who} (expected role: ${this.config.expectedRole})`);
         }
     }
 
@@ -133,6 +282,11 @@ class FabricClient {
         return result.toString() || 'success';
     }
 
+    async createTypedAsset(assetId, assetType, description, metadata = {}) {
+        await this.contract.submitTransaction('CreateTypedAsset', assetId, assetType, description, JSON.stringify(metadata));
+        return 'success';
+    }
+
     async createAssetWithPrivateData(assetId, description, privateData) {
         const privateDataBuffer = Buffer.from(JSON.stringify(privateData));
         await this.contract.submit('CreateAssetWithPrivateData', {
@@ -142,13 +296,27 @@ class FabricClient {
         return 'success';
     }
 
-    async submitForApproval(assetId) {
-        await this.contract.submitTransaction('SubmitForApproval', assetId);
+    async submitForApproval(assetId, deadline = '') {
+        const until = deadline instanceof Date ? deadline.toISOString() : deadline;
+        if (until) {
+            await this.contract.submitTransaction('SubmitForApprovalWithDeadline', assetId, until);
+        } else {
+            await this.contract.submitTransaction('SubmitForApproval', assetId);
+        }
         return 'success';
     }
 
-    async approveAsset(assetId) {
-        await this.contract.submitTransaction('ApproveAsset', assetId);
+    async withdrawSubmission(assetId) {
+        await this.contract.submitTransaction('WithdrawSubmission', assetId);
+        return 'success';
+    }
+
+    async approveAsset(assetId, comment = '') {
+        if (comment) {
+            await this.contract.submitTransaction('ApproveAssetWithComment', assetId, comment);
+        } else {
+            await this.contract.submitTransaction('ApproveAsset', assetId);
+        }
         return 'success';
     }
 
@@ -157,13 +325,62 @@ class FabricClient {
         return 'success';
     }
 
+    async suspendAsset(assetId, reason) {
+        await this.contract.submitTransaction('SuspendAsset', assetId, reason);
+        return 'success';
+    }
+
+    async reinstateAsset(assetId) {
+        await this.contract.submitTransaction('ReinstateAsset', assetId);
+        return 'success';
+    }
+
+    async revokeAsset(assetId, reason) {
+        await this.contract.submitTransaction('RevokeAsset', assetId, reason);
+        return 'success';
+    }
+
+    /**
+     * Create up to 100 assets in one transaction
+     * items: [{ assetID, assetType?, description, metadata? }]
+     * Returns { results: [{ index, assetID, success, status?, error? }], succeeded, failed }
+     * allOrNothing: true fails the whole transaction on the first bad item
+     */
+    async createAssetsBatch(items, { allOrNothing = false } = {}) {
+        const result = await this.contract.submitTransaction('CreateAssetsBatch', JSON.stringify(items), String(allOrNothing));
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    /**
+     * Approve up to 100 assets for the caller's role in one transaction (same result shape)
+     */
+    async approveAssetsBatch(assetIds, { comment = '', allOrNothing = false } = {}) {
+        const result = await this.contract.submitTransaction('ApproveAssetsBatch', JSON.stringify(assetIds), comment, String(allOrNothing));
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    /**
+     * Expire up to `limit` overdue assets: { changes, hasMore }. Call again while hasMore is true.
+     */
+    async expirePendingApprovals(limit = 100) {
+        const result = await this.contract.submitTransaction('ExpirePendingApprovals', String(limit));
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
     async activateAsset(assetId) {
         await this.contract.submitTransaction('ActivateAsset', assetId);
         return 'success';
     }
 
-    async updateAsset(assetId, newDescription) {
-        await this.contract.submitTransaction('UpdateAsset', assetId, newDescription);
+    /**
+     * Update description ('' keeps it) and/or merge-patch metadata (null removes a field)
+     */
+    async updateAsset(assetId, newDescription = '', metadataPatch = {}) {
+        if (Object.keys(metadataPatch ?? {}).length > 0) {
+            await this.contract.submitTransaction('UpdateAssetMetadata', assetId, newDescription, JSON.stringify(metadataPatch));
+        } else {
+            await this.contract.submitTransaction('UpdateAsset', assetId, newDescription);
+        }
         return 'success';
     }
 
@@ -172,6 +389,325 @@ class FabricClient {
         return 'success';
     }
 
+    async transitionAsset(assetId, newStatus) {
+        await this.contract.submitTransaction('TransitionAsset', assetId, newStatus);
+        return 'success';
+    }
+
+    // ===========================================================================
+    // Approval Policy Operations (admin=true cert attribute required)
+    // ===========================================================================
+
+    async setApprovalPolicy(policyId, policy) {
+        await this.contract.submitTransaction('SetApprovalPolicy', policyId, JSON.stringify(policy));
+        return 'success';
+    }
+
+    async activateApprovalPolicy(policyId) {
+        await this.contract.submitTransaction('ActivateApprovalPolicy', policyId);
+        return 'success';
+    }
+
+    async getApprovalPolicy(policyId = '') {
+        const result = await this.contract.evaluateTransaction('GetApprovalPolicy', policyId);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    async listApprovalPolicies() {
+        const result = await this.contract.evaluateTransaction('ListApprovalPolicies');
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    // ===========================================================================
+    // Asset Type Workflow Operations (admin=true cert attribute required to set)
+    // ===========================================================================
+
+    async setAssetWorkflow(assetType, workflow) {
+        await this.contract.submitTransaction('SetAssetWorkflow', assetType, JSON.stringify(workflow));
+        return 'success';
+    }
+
+    async getAssetWorkflow(assetType = '') {
+        const result = await this.contract.evaluateTransaction('GetAssetWorkflow', assetType);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    async listAssetWorkflows() {
+        const result = await this.contract.evaluateTransaction('ListAssetWorkflows');
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    /**
+     * Convert legacy approval values on the ledger to approval records (admin only)
+     */
+    async migrateApprovalRecords(batchSize = 100) {
+        let startKey = '';
+        let scanned = 0;
+        let migrated = 0;
+        do {
+            const result = await this.contract.submitTransaction('MigrateApprovalRecords', startKey, String(batchSize));
+            const batch = JSON.parse(Buffer.from(result).toString('utf8'));
+            scanned += batch.scanned;
+            migrated += batch.migrated;
+            startKey = batch.nextKey;
+        } while (startKey);
+        return { scanned, migrated };
+    }
+
+    /**
+     * Backfill status/owner index entries for assets created before they existed (admin only)
+     */
+    async rebuildAssetIndexes(batchSize = 100) {
+        let startKey = '';
+        let scanned = 0;
+        let indexed = 0;
+        do {
+            const result = await this.contract.submitTransaction('RebuildAssetIndexes', startKey, String(batchSize));
+            const batch = JSON.parse(Buffer.from(result).toString('utf8'));
+            scanned += batch.scanned;
+            indexed += batch.indexed;
+            startKey = batch.nextKey;
+        } while (startKey);
+        return { scanned, indexed };
+    }
+
+    /**
+     * Plan for migrateOwnerFingerprints(): { assets, delegations }. Read-only;
+     * needs channel read access for qscc.
+     *
+     * assets: every asset whose owner or pending transfer recipient is still a
+     * legacy value, DELETED ones included. The new owner is the signer of the
+     * asset's last accepted transfer, or of its creation (the first entry in its
+     * key history).
+     *
+     * delegations: every delegation with a legacy delegator or deputy, or without
+     * the delegating certificate. The delegator and certificate are the signer of
+     * the DelegateApproval transaction.
+     *
+     * A legacy value is shared by every identity of an org, so the recipient of a
+     * pending transfer or delegation cannot be found: those entries carry
+     * transferFingerprint / delegateFingerprint null. Fill them in, or set them
+     * to '' to cancel the proposal or withdraw the delegation, before migrating.
+     */
+    async planOwnerFingerprintMigration(pageSize = 100) {
+        const qscc = this.network.getContract('qscc');
+        const signerOf = async txId => transactionCreator(await qscc.evaluateTransaction('GetTransactionByID', CHANNEL_NAME, txId));
+        const isLegacy = value => !OWNER_FINGERPRINT_PATTERN.test(value);
+
+        const assets = [];
+        const legacyAssets = iteratePages(async bookmark => {
+            const result = await this.contract.evaluateTransaction('QueryAssetsWithLegacyFingerprints', String(pageSize), bookmark);
+            return JSON.parse(Buffer.from(result).toString('utf8'));
+        }, pageSize);
+        for await (const asset of legacyAssets) {
+            const entry = { assetID: asset.assetID, legacyFingerprint: asset.owner, fingerprint: asset.owner };
+            if (isLegacy(asset.owner)) {
+                const transfers = await this.getTransferLog(asset.assetID);
+                const history = (await this.getAssetHistory(asset.assetID))
+                    .sort((a, b) => a.timestamp.seconds - b.timestamp.seconds || a.timestamp.nanos - b.timestamp.nanos);
+                const txId = transfers.length > 0 ? transfers[transfers.length - 1].txId : history[0].txId;
+
+                const creator = await signerOf(txId);
+                if (legacyOwnerFingerprintOf(creator.certificate) !== asset.owner) {
+                    throw new Error(`Signer of ${txId} does not match the legacy owner of ${asset.assetID}`);
+                }
+                entry.fingerprint = ownerFingerprintOf(creator.mspId, creator.certificate);
+            }
+            if (asset.pendingTransfer && isLegacy(asset.pendingTransfer.toOwner)) {
+                entry.legacyTransferFingerprint = asset.pendingTransfer.toOwner;
+                entry.transferFingerprint = null;
+            }
+            assets.push(entry);
+        }
+
+        const delegations = [];
+        for (const delegation of await this.listDelegations()) {
+            if (!isLegacy(delegation.delegatorFingerprint) && !isLegacy(delegation.delegateFingerprint) && delegation.certificateFingerprint) {
+                continue;
+            }
+            const delegator = await signerOf(delegation.txId);
+            const fingerprint = isLegacy(delegation.delegatorFingerprint)
+                ? legacyOwnerFingerprintOf(delegator.certificate)
+                : ownerFingerprintOf(delegator.mspId, delegator.certificate);
+            if (fingerprint !== delegation.delegatorFingerprint) {
+                throw new Error(`Signer of ${delegation.txId} did not grant the delegation of role '${delegation.role}' to ${delegation.delegateFingerprint}`);
+            }
+            delegations.push({
+                role: delegation.role,
+                legacyDelegateFingerprint: delegation.delegateFingerprint,
+                delegateFingerprint: isLegacy(delegation.delegateFingerprint) ? null : delegation.delegateFingerprint,
+                delegatorFingerprint: ownerFingerprintOf(delegator.mspId, delegator.certificate),
+                certificateFingerprint: certificateFingerprintOf(delegator.certificate)
+            });
+        }
+        return { assets, delegations };
+    }
+
+    /**
+     * Apply a plan from planOwnerFingerprintMigration() (admin only), batchSize
+     * entries per transaction; review or edit the plan first
+     */
+    async migrateOwnerFingerprints(plan, batchSize = 100) {
+        const entries = [
+            ...(plan.assets || []).map(entry => ['assets', entry]),
+            ...(plan.delegations || []).map(entry => ['delegations', entry])
+        ];
+        let migrated = 0;
+        let skipped = 0;
+        for (let i = 0; i < entries.length; i += batchSize) {
+            const batch = { assets: [], delegations: [] };
+            for (const [kind, entry] of entries.slice(i, i + batchSize)) {
+                batch[kind].push(entry);
+            }
+            const result = await this.contract.submitTransaction('MigrateOwnerFingerprints', JSON.stringify(batch));
+            const counts = JSON.parse(Buffer.from(result).toString('utf8'));
+            migrated += counts.migrated;
+            skipped += counts.skipped;
+        }
+        return { migrated, skipped };
+    }
+
+    // ===========================================================================
+    // Approval Delegation
+    // ===========================================================================
+
+    async delegateApproval(role, delegateFingerprint, validUntil) {
+        const until = validUntil instanceof Date ? validUntil.toISOString() : validUntil;
+        await this.contract.submitTransaction('DelegateApproval', role, delegateFingerprint, until);
+        return 'success';
+    }
+
+    async revokeDelegation(role, delegateFingerprint) {
+        await this.contract.submitTransaction('RevokeDelegation', role, delegateFingerprint);
+        return 'success';
+    }
+
+    async listDelegations(role = '') {
+        const result = await this.contract.evaluateTransaction('ListDelegations', role);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    // ===========================================================================
+    // Identity Revocation
+    // ===========================================================================
+
+    /**
+     * Deny a certificate by SHA-256 fingerprint (admin); resolves to the
+     * decisions it had recorded on pending assets, now reset to PENDING
+     */
+    async revokeIdentity(certificateFingerprint, reason) {
+        const result = await this.contract.submitTransaction('RevokeIdentity', certificateFingerprint, reason);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    async listRevokedIdentities() {
+        const result = await this.contract.evaluateTransaction('ListRevokedIdentities');
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    // ===========================================================================
+    // Ownership Transfer
+    // ===========================================================================
+
+    async proposeTransfer(assetId, newOwnerFingerprint) {
+        await this.contract.submitTransaction('ProposeTransfer', assetId, newOwnerFingerprint);
+        return 'success';
+    }
+
+    async approveTransfer(assetId) {
+        await this.contract.submitTransaction('ApproveTransfer', assetId);
+        return 'success';
+    }
+
+    async acceptTransfer(assetId) {
+        await this.contract.submitTransaction('AcceptTransfer', assetId);
+        return 'success';
+    }
+
+    async getTransferLog(assetId) {
+        const result = await this.contract.evaluateTransaction('GetTransferLog', assetId);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    // ===========================================================================
+    // Attachments (only hash and metadata go on-chain)
+    // ===========================================================================
+
+    async attachDocument(assetId, { name, sha256, size, mimeType, storageURI }) {
+        await this.contract.submitTransaction('AttachDocument', assetId, name, sha256, String(size), mimeType, storageURI);
+        return 'success';
+    }
+
+    async listAttachments(assetId) {
+        const result = await this.contract.evaluateTransaction('ListAttachments', assetId);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    /**
+     * Hash a local file and register it; upload it to storageURI yourself
+     * options: { storageURI (required), name (default: file name), mimeType }
+     */
+    async attachFile(assetId, filePath, options = {}) {
+        if (!options.storageURI) {
+            throw new Error('storageURI is required');
+        }
+        const { sha256, size } = await hashFile(filePath);
+        const attachment = {
+            name: options.name || path.basename(filePath),
+            sha256,
+            size,
+            mimeType: options.mimeType || 'application/octet-stream',
+            storageURI: options.storageURI
+        };
+        await this.attachDocument(assetId, attachment);
+        return attachment;
+    }
+
+    /**
+     * Check a downloaded copy against the on-chain record
+     * Matches by hash, or against expectedSha256 when given (e.g. the entry you downloaded).
+     * Returns { valid, sha256, size, attachment } - attachment is null when nothing matched
+     */
+    async verifyAttachment(assetId, filePath, expectedSha256 = '') {
+        const { sha256, size } = await hashFile(filePath);
+        const wanted = (expectedSha256 || sha256).toLowerCase();
+        const attachments = await this.listAttachments(assetId);
+        const attachment = attachments.find(a => a.sha256 === wanted) || null;
+        const valid = attachment !== null && attachment.sha256 === sha256 && attachment.size === size;
+        return { valid, sha256, size, attachment };
+    }
+
+    // ===========================================================================
+    // Comment Threads
+    // ===========================================================================
+
+    /**
+     * Add a public comment (replyTo: commentID to answer); returns the new commentID
+     */
+    async addComment(assetId, text, replyTo = '') {
+        const result = await this.contract.submitTransaction('AddComment', assetId, text, replyTo);
+        return Buffer.from(result).toString('utf8');
+    }
+
+    /**
+     * Add a comment visible only to private-data roles; the text travels as transient data
+     */
+    async addConfidentialComment(assetId, text, replyTo = '') {
+        const result = await this.contract.submit('AddConfidentialComment', {
+            arguments: [assetId, replyTo],
+            transientData: { comment_text: Buffer.from(text) }
+        });
+        return Buffer.from(result).toString('utf8');
+    }
+
+    /**
+     * Flat list, oldest first; follow replyTo to build threads
+     */
+    async listComments(assetId) {
+        const result = await this.contract.evaluateTransaction('ListComments', assetId);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
     // ===========================================================================
     // Query Operations
     // ===========================================================================
@@ -186,6 +722,79 @@ class FabricClient {
         return JSON.parse(Buffer.from(result).toString('utf8'));
     }
 
+    async queryAssetsByStatus(status) {
+        const result = await this.contract.evaluateTransaction('QueryAssetsByStatus', status);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    async queryAssetsByOwner(ownerFingerprint) {
+        const result = await this.contract.evaluateTransaction('QueryAssetsByOwner', ownerFingerprint);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    async queryAllAssetsPage(pageSize, bookmark = '') {
+        const result = await this.contract.evaluateTransaction('QueryAllAssetsWithPagination', String(pageSize), bookmark);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    async queryAssetsByStatusPage(status, pageSize, bookmark = '') {
+        const result = await this.contract.evaluateTransaction('QueryAssetsByStatusWithPagination', status, String(pageSize), bookmark);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    async queryAssetsByOwnerPage(ownerFingerprint, pageSize, bookmark = '') {
+        const result = await this.contract.evaluateTransaction('QueryAssetsByOwnerWithPagination', ownerFingerprint, String(pageSize), bookmark);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    async queryAssetsNearingDeadline(withinHours = 24) {
+        const result = await this.contract.evaluateTransaction('QueryAssetsNearingDeadline', String(withinHours));
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    /**
+     * Iterate every asset, fetching pageSize records per round trip
+     * for await (const asset of client.iterateAllAssets(100)) { ... }
+     */
+    iterateAllAssets(pageSize = 100) {
+        return iteratePages(bookmark => this.queryAllAssetsPage(pageSize, bookmark), pageSize);
+    }
+
+    iterateAssetsByStatus(status, pageSize = 100) {
+        return iteratePages(bookmark => this.queryAssetsByStatusPage(status, pageSize, bookmark), pageSize);
+    }
+
+    iterateAssetsByOwner(ownerFingerprint, pageSize = 100) {
+        return iteratePages(bookmark => this.queryAssetsByOwnerPage(ownerFingerprint, pageSize, bookmark), pageSize);
+    }
+
+    /**
+     * One page of SearchAssets results: { records, fetchedCount, bookmark }
+     * filter: { status, assetType, category, tags, ownerMSP, createdAt: { from, to },
+     *           updatedAt: { from, to }, sort: { field, order }, pageSize, bookmark }
+     */
+    async searchAssets(filter = {}) {
+        const result = await this.contract.evaluateTransaction('SearchAssets', JSON.stringify(filter));
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    iterateSearchResults(filter = {}, pageSize = 100) {
+        return iteratePages(bookmark => this.searchAssets({ ...filter, pageSize, bookmark }), pageSize);
+    }
+
+    /**
+     * One page of assets matching an ad-hoc Mango selector: { records, fetchedCount, bookmark }
+     * Only allowlisted asset fields and operators are accepted; the chaincode ANDs in docType
+     */
+    async queryAssetsWithSelector(selector, pageSize = 100, bookmark = '') {
+        const result = await this.contract.evaluateTransaction('QueryAssetsWithSelector', JSON.stringify(selector), String(pageSize), bookmark);
+        return JSON.parse(Buffer.from(result).toString('utf8'));
+    }
+
+    iterateSelectorResults(selector, pageSize = 100) {
+        return iteratePages(bookmark => this.queryAssetsWithSelector(selector, pageSize, bookmark), pageSize);
+    }
+
     async getAssetHistory(assetId) {
         const result = await this.contract.evaluateTransaction('GetAssetHistory', assetId);
         return JSON.parse(Buffer.from(result).toString('utf8'));
@@ -196,6 +805,33 @@ class FabricClient {
         return JSON.parse(Buffer.from(result).toString('utf8'));
     }
 
+    /**
+     * Replace an asset's private data (sent as transient data, never in the transaction)
+     */
+    async updatePrivateData(assetId, privateData) {
+        await this.contract.submit('UpdatePrivateData', {
+            arguments: [assetId],
+            transientData: { asset_private_data: Buffer.from(JSON.stringify(privateData)) }
+        });
+        return 'success';
+    }
+
+    /**
+     * Check a copy of an asset's private data against the hash recorded on the channel
+     */
+    async verifyPrivateDataHash(assetId, privateData) {
+        const result = await this.contract.evaluate('VerifyPrivateDataHash', {
+            arguments: [assetId],
+            transientData: { asset_private_data: Buffer.from(JSON.stringify(privateData)) }
+        });
+        return Buffer.from(result).toString('utf8') === 'true';
+    }
+
+    async purgePrivateData(assetId) {
+        await this.contract.submitTransaction('PurgePrivateData', assetId);
+        return 'success';
+    }
+
     async getCallerInfo() {
         const result = await this.contract.evaluateTransaction('GetCallerInfo');
         // Convert Uint8Array to proper string using Buffer
@@ -213,6 +849,76 @@ class FabricClient {
         const result = await this.contract.evaluateTransaction('AssetExists', assetId);
         return Buffer.from(result).toString('utf8') === 'true';
     }
+
+    // ===========================================================================
+    // Chaincode Events
+    // ===========================================================================
+
+    /**
+     * Stream asset lifecycle events to callback(payload, event)
+     *
+     * options.checkpointFile - persist progress so a restarted listener resumes
+     *                          after the last event the callback handled
+     * options.startBlock     - block to start from when no checkpoint exists
+     *                          (default: only new events)
+     *
+     * Returns { close, done }: close() stops listening, done settles when the
+     * stream ends (rejecting on connection errors or callback failures)
+     */
+    async listenForEvents(callback, options = {}) {
+        const checkpointer = options.checkpointFile
+            ? await checkpointers.file(options.checkpointFile)
+            : checkpointers.inMemory();
+
+        const eventOptions = { checkpoint: checkpointer };
+        if (options.startBlock !== undefined) {
+            eventOptions.startBlock = BigInt(options.startBlock);
+        }
+        const events = await this.network.getChaincodeEvents(CHAINCODE_NAME, eventOptions);
+
+        let closed = false;
+        const done = (async () => {
+            try {
+                for await (const event of events) {
+                    if (event.eventName !== LIFECYCLE_EVENT_NAME) {
+                        await checkpointer.checkpointChaincodeEvent(event);
+                        continue;
+                    }
+                    const payload = JSON.parse(Buffer.from(event.payload).toString('utf8'));
+                    await callback(payload, event);
+                    // Checkpoint only after the callback succeeded, so a failure is redelivered on resume
+                    await checkpointer.checkpointChaincodeEvent(event);
+                }
+            } catch (error) {
+                // Closing the stream cancels the underlying gRPC call
+                if (!closed) {
+                    throw error;
+                }
+            } finally {
+                events.close();
+            }
+        })();
+
+        return {
+            close: () => {
+                closed = true;
+                events.close();
+            },
+            done,
+        };
+    }
 }
 
-module.exports = { FabricClient, ORG_CONFIG, CHANNEL_NAME, CHAINCODE_NAME };
+module.exports = {
+    FabricClient,
+    hashFile,
+    ownerFingerprintOf,
+    legacyOwnerFingerprintOf,
+    certificateFingerprintOf,
+    transactionCreator,
+    ORG_CONFIG,
+    CHANNEL_NAME,
+    CHAINCODE_NAME,
+    LIFECYCLE_EVENT_NAME,
+    CHAINCODE_ADMIN_USER
+};
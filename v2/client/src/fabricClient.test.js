@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Owner fingerprint migration tests against a mocked ledger - no Fabric network needed
+ *
+ * Run: npm run test:client
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const { common, msp, peer } = require('@hyperledger/fabric-protos');
+const { FabricClient, ownerFingerprintOf, legacyOwnerFingerprintOf, certificateFingerprintOf, transactionCreator } = require('./fabricClient');
+
+// Minimal DER encoding, enough for a certificate with a multi-part subject and Fabric's attribute extension
+const derLength = n => (n < 0x80 ? Buffer.from([n]) : n < 0x100 ? Buffer.from([0x81, n]) : Buffer.from([0x82, n >> 8, n & 0xff]));
+const der = (tag, ...parts) => {
+    const body = Buffer.concat(parts);
+    return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+};
+const seq = (...parts) => der(0x30, ...parts);
+const oid = hex => der(0x06, Buffer.from(hex, 'hex'));
+const ECDSA_SHA256 = '2a8648ce3d040302';
+const NAME_OIDS = { C: '550406', ST: '550408', O: '55040a', OU: '55040b', CN: '550403' };
+const name = rdns => seq(...rdns.map(([type, value]) => der(0x31, seq(oid(NAME_OIDS[type]), der(0x0c, Buffer.from(value))))));
+
+const ORG1_SUBJECT = [['C', 'US'], ['ST', 'North Carolina'], ['O', 'Hyperledger'], ['OU', 'client']];
+const caKey = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).privateKey;
+
+/**
+ * A Fabric CA style certificate for `enrollmentID`, with hf.EnrollmentID in the attribute extension
+ */
+function issueCertificate(enrollmentID) {
+    const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const attrs = { 'hf.EnrollmentID': enrollmentID, role: 'owner' };
+    const tbs = seq(
+        der(0xa0, der(0x02, Buffer.from([2]))),
+        der(0x02, Buffer.concat([Buffer.from([1]), crypto.randomBytes(8)])),
+        seq(oid(ECDSA_SHA256)),
+        name([...ORG1_SUBJECT, ['CN', 'ca.org1.example.com']]),
+        seq(der(0x17, Buffer.from('240101000000Z')), der(0x17, Buffer.from('491231235959Z'))),
+        name([...ORG1_SUBJECT, ['CN', enrollmentID]]),
+        publicKey.export({ type: 'spki', format: 'der' }),
+        der(0xa3, seq(seq(oid('2a03040506070801'), der(0x04, Buffer.from(JSON.stringify({ attrs }))))))
+    );
+    const cert = seq(tbs, seq(oid(ECDSA_SHA256)), der(0x03, Buffer.from([0]), crypto.sign('sha256', tbs, caKey)));
+    return `-----BEGIN CERTIFICATE-----\n${cert.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+}
+
+/**
+ * ProcessedTransaction bytes as qscc GetTransactionByID returns them, signed by `certificate`
+ */
+function processedTransaction(mspId, certificate) {
+    const creator = new msp.SerializedIdentity();
+    creator.setMspid(mspId);
+    creator.setIdBytes(Buffer.from(certificate));
+    const signatureHeader = new common.SignatureHeader();
+    signatureHeader.setCreator(creator.serializeBinary());
+    const header = new common.Header();
+    header.setSignatureHeader(signatureHeader.serializeBinary());
+    const payload = new common.Payload();
+    payload.setHeader(header);
+    const envelope = new common.Envelope();
+    envelope.setPayload(payload.serializeBinary());
+    const transaction = new peer.ProcessedTransaction();
+    transaction.setTransactionenvelope(envelope);
+    return transaction.serializeBinary();
+}
+
+const expectedFingerprint = (mspId, enrollmentID) => crypto.createHash('sha256')
+    .update(JSON.stringify([mspId, `/C=US/ST=North Carolina/O=Hyperledger/OU=client/CN=${enrollmentID}`, enrollmentID]))
+    .digest('hex');
+
+describe('Owner fingerprints', () => {
+    it('derives the fingerprint the chaincode computes', () => {
+        const certificate = issueCertificate('user1');
+        assert.strictEqual(ownerFingerprintOf('Org1MSP', certificate), expectedFingerprint('Org1MSP', 'user1'));
+        assert.notStrictEqual(ownerFingerprintOf('Org2MSP', certificate), expectedFingerprint('Org1MSP', 'user1'));
+    });
+
+    it('derives the same legacy value for every identity of an org', () => {
+        const id = 'x509::/C=US/ST=North Carolina/O=Hyperledger/OU=client/CN=user1::/C=US/ST=North Carolina/O=Hyperledger/OU=client/CN=ca.org1.example.com';
+        const legacy = Buffer.from(id).toString('base64').substring(0, 44);
+        assert.strictEqual(legacyOwnerFingerprintOf(issueCertificate('user1')), legacy);
+        assert.strictEqual(legacyOwnerFingerprintOf(issueCertificate('user2')), legacy);
+    });
+
+    it('reads the signer of a processed transaction', () => {
+        const certificate = issueCertificate('user1');
+        assert.deepStrictEqual(transactionCreator(processedTransaction('Org1MSP', certificate)), { mspId: 'Org1MSP', certificate });
+    });
+});
+
+describe('planOwnerFingerprintMigration', () => {
+    const creatorCert = issueCertificate('creator');
+    const buyerCert = issueCertificate('buyer');
+    const auditorCert = issueCertificate('auditor');
+    const legacy = legacyOwnerFingerprintOf(creatorCert);
+    const current = expectedFingerprint('Org1MSP', 'creator');
+
+    // Ledger stand-in: the chaincode already filtered out assets with nothing legacy left
+    const assets = [
+        { assetID: 'CREATED', status: 'CREATED', owner: legacy },
+        { assetID: 'DELETED', status: 'DELETED', owner: legacy },
+        { assetID: 'TRANSFERRED', status: 'ACTIVE', owner: legacy },
+        { assetID: 'PROPOSED', status: 'CREATED', owner: current, pendingTransfer: { toOwner: legacy, signedOffBy: '' } }
+    ];
+    const history = {
+        CREATED: [
+            { txId: 'tx-update', timestamp: { seconds: 20, nanos: 0 }, value: assets[0] },
+            { txId: 'tx-create-1', timestamp: { seconds: 10, nanos: 0 }, value: assets[0] }
+        ],
+        DELETED: [{ txId: 'tx-create-3', timestamp: { seconds: 10, nanos: 0 }, value: assets[1] }],
+        TRANSFERRED: [{ txId: 'tx-create-2', timestamp: { seconds: 10, nanos: 0 }, value: assets[2] }]
+    };
+    const transferLogs = { CREATED: [], DELETED: [], TRANSFERRED: [{ txId: 'tx-accept', timestamp: '2024-01-01T00:00:00.000Z' }] };
+    const delegations = [
+        { role: 'auditor', delegateFingerprint: legacy, delegatorFingerprint: legacyOwnerFingerprintOf(auditorCert), txId: 'tx-delegate' },
+        { role: 'auditor', delegateFingerprint: current, delegatorFingerprint: expectedFingerprint('Org2MSP', 'auditor'), certificateFingerprint: 'ab'.repeat(32), txId: 'tx-current' }
+    ];
+    const signers = {
+        'tx-create-1': ['Org1MSP', creatorCert],
+        'tx-create-2': ['Org1MSP', creatorCert],
+        'tx-create-3': ['Org1MSP', creatorCert],
+        'tx-accept': ['Org1MSP', buyerCert],
+        'tx-delegate': ['Org2MSP', auditorCert]
+    };
+
+    const reply = value => Promise.resolve(Buffer.from(JSON.stringify(value)));
+    const client = new FabricClient('org1', { quiet: true });
+    const qsccCalls = [];
+    client.contract = {
+        evaluateTransaction: (name, ...args) => {
+            switch (name) {
+                case 'QueryAssetsWithLegacyFingerprints': return reply({ records: assets, fetchedCount: assets.length, bookmark: '' });
+                case 'GetAssetHistory': return reply(history[args[0]]);
+                case 'GetTransferLog': return reply(transferLogs[args[0]]);
+                case 'ListDelegations': return reply(delegations);
+                default: throw new Error(`Unexpected transaction ${name}`);
+            }
+        }
+    };
+    client.network = {
+        getContract: name => {
+            assert.strictEqual(name, 'qscc');
+            return {
+                evaluateTransaction: (fn, channel, txId) => {
+                    qsccCalls.push(txId);
+                    return Promise.resolve(processedTransaction(...signers[txId]));
+                }
+            };
+        }
+    };
+
+    it('maps legacy owners, DELETED ones included, to the signer of their creation or last transfer', async () => {
+        const plan = await client.planOwnerFingerprintMigration(10);
+
+        assert.deepStrictEqual(plan.assets, [
+            { assetID: 'CREATED', legacyFingerprint: legacy, fingerprint: current },
+            { assetID: 'DELETED', legacyFingerprint: legacy, fingerprint: current },
+            { assetID: 'TRANSFERRED', legacyFingerprint: legacy, fingerprint: expectedFingerprint('Org1MSP', 'buyer') },
+            { assetID: 'PROPOSED', legacyFingerprint: current, fingerprint: current, legacyTransferFingerprint: legacy, transferFingerprint: null }
+        ]);
+        assert.deepStrictEqual(qsccCalls.slice(0, 3), ['tx-create-1', 'tx-create-3', 'tx-accept']);
+    });
+
+    it('maps legacy delegations to the signer of the grant and leaves the deputy to the admin', async () => {
+        const plan = await client.planOwnerFingerprintMigration(10);
+
+        assert.deepStrictEqual(plan.delegations, [{
+            role: 'auditor',
+            legacyDelegateFingerprint: legacy,
+            delegateFingerprint: null,
+            delegatorFingerprint: expectedFingerprint('Org2MSP', 'auditor'),
+            certificateFingerprint: certificateFingerprintOf(auditorCert)
+        }]);
+    });
+
+    it('sends assets and delegations in batches', async () => {
+        const batches = [];
+        const submitter = new FabricClient('org1', { quiet: true });
+        submitter.contract = {
+            submitTransaction: (name, json) => {
+                const batch = JSON.parse(json);
+                batches.push(batch);
+                return reply({ migrated: batch.assets.length + batch.delegations.length, skipped: 0 });
+            }
+        };
+        const plan = { assets: [{ assetID: 'A' }, { assetID: 'B' }], delegations: [{ role: 'auditor' }] };
+
+        assert.deepStrictEqual(await submitter.migrateOwnerFingerprints(plan, 2), { migrated: 3, skipped: 0 });
+        assert.deepStrictEqual(batches, [
+            { assets: [{ assetID: 'A' }, { assetID: 'B' }], delegations: [] },
+            { assets: [], delegations: [{ role: 'auditor' }] }
+        ]);
+    });
+});
@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * HTTP application for the Asset Approval v2 REST server
+ *
+ * createApp({ getClient, authenticate, orgs }) returns a request listener for
+ * http.createServer. authenticate(apiKey) returns the key's principal
+ * { org, userId } or undefined (see auth.js). getClient(org, userId) must
+ * resolve to a connected FabricClient (or anything with the same methods),
+ * which is how tests swap in a client whose contract is mocked.
+ */
+
+const { HttpError, toHttpError, errorBody } = require('./errors');
+const { buildOpenApiDocument } = require('./openapi');
+const { routes } = require('./routes');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+/**
+ * Compile '/assets/{assetId}/approve' into a matcher; literal segments win over
+ * parameters, so '/assets/pages' is never read as an asset ID
+ */
+function compileRoute(route) {
+    const segments = route.path.split('/').filter(Boolean);
+    return {
+        ...route,
+        segments,
+        literalCount: segments.filter(s => !s.startsWith('{')).length
+    };
+}
+
+function matchSegments(segments, parts) {
+    if (segments.length !== parts.length) {
+        return null;
+    }
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        if (segment.startsWith('{')) {
+            try {
+                params[segment.slice(1, -1)] = decodeURIComponent(parts[i]);
+            } catch {
+                throw new HttpError(400, 'BAD_REQUEST', `Malformed path segment: ${parts[i]}`);
+            }
+        } else if (segment !== parts[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+function findRoute(compiled, method, pathname) {
+    const parts = pathname.split('/').filter(Boolean);
+    let best = null;
+    let pathMatched = false;
+    for (const route of compiled) {
+        const params = matchSegments(route.segments, parts);
+        if (!params) {
+            continue;
+        }
+        pathMatched = true;
+        if (route.method === method && (!best || route.literalCount > best.route.literalCount)) {
+            best = { route, params };
+        }
+    }
+    if (!best) {
+        throw pathMatched
+            ? new HttpError(405, 'METHOD_NOT_ALLOWED', `${method} not allowed on ${pathname}`)
+            : new HttpError(404, 'NOT_FOUND', `No route for ${method} ${pathname}`);
+    }
+    return best;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Shallow check of a JSON body against the route's schema (types and required fields);
+ * the chaincode does the real validation
+ */
+function validateBody(schema, body) {
+    if (!matchesType(body, schema.type)) {
+        throw new HttpError(400, 'BAD_REQUEST', `Request body must be a JSON ${schema.type}`);
+    }
+    for (const field of schema.required || []) {
+        if (body[field] === undefined) {
+            throw new HttpError(400, 'BAD_REQUEST', `Missing required field: ${field}`);
+        }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+        if (body[field] !== undefined && !matchesType(body[field], fieldSchema.type)) {
+            throw new HttpError(400, 'BAD_REQUEST', `Field ${field} must be of type ${fieldSchema.type}`);
+        }
+    }
+}
+
+function parseQuery(route, searchParams) {
+    const query = {};
+    for (const [name, schema] of Object.entries(route.query || {})) {
+        const raw = searchParams.get(name);
+        if (raw === null || raw === '') {
+            if ((route.requiredQuery || []).includes(name)) {
+                throw new HttpError(400, 'BAD_REQUEST', `Missing required query parameter: ${name}`);
+            }
+            continue;
+        }
+        if (schema.type === 'integer' || schema.type === 'number') {
+            const value = Number(raw);
+            if (!Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+                throw new HttpError(400, 'BAD_REQUEST', `Query parameter ${name} must be a ${schema.type}`);
+            }
+            query[name] = value;
+        } else {
+            query[name] = raw;
+        }
+    }
+    return query;
+}
+
+function sendJson(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+    res.end(payload);
+}
+
+function createApp({ getClient, authenticate, orgs }) {
+    const compiled = routes.map(compileRoute);
+    const openApiDocument = buildOpenApiDocument(routes, { orgs });
+
+    /**
+     * Who a request runs as: the org and wallet identity of its API key's principal.
+     * Nothing the caller sends besides the key picks the signer.
+     */
+    function identityFor(req) {
+        const match = BEARER_PATTERN.exec(req.headers.authorization || '');
+        if (!match) {
+            throw new HttpError(401, 'UNAUTHORIZED', 'Send an API key as "Authorization: Bearer <key>"');
+        }
+        const principal = authenticate(match[1]);
+        if (!principal || !principal.userId || !orgs.includes(principal.org)) {
+            throw new HttpError(401, 'UNAUTHORIZED', 'Invalid API key');
+        }
+        return { org: principal.org, userId: principal.userId };
+    }
+
+    /**
+     * GET /events - lifecycle events as Server-Sent Events until the caller disconnects
+     */
+    async function streamEvents(req, res, url) {
+        const { org, userId } = identityFor(req);
+        const client = await getClient(org, userId);
+        const startBlock = url.searchParams.get('startBlock');
+        const options = startBlock ? { startBlock } : {};
+
+        const listener = await client.listenForEvents(async (payload, event) => {
+            res.write(`id: ${event.blockNumber}:${event.transactionId}\nevent: lifecycle\ndata: ${JSON.stringify(payload)}\n\n`);
+        }, options);
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.write(': connected\n\n');
+
+        req.on('close', () => listener.close());
+        listener.done.catch(error => {
+            const httpError = toHttpError(error);
+            res.end(`event: error\ndata: ${JSON.stringify(errorBody(httpError))}\n\n`);
+        });
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const method = req.method.toUpperCase();
+
+        if (method === 'GET' && url.pathname === '/openapi.json') {
+            sendJson(res, 200, openApiDocument);
+            return;
+        }
+        if (method === 'GET' && url.pathname === '/events') {
+            await streamEvents(req, res, url);
+            return;
+        }
+
+        const { org, userId } = identityFor(req);
+        const { route, params } = findRoute(compiled, method, url.pathname);
+        const query = parseQuery(route, url.searchParams);
+
+        let body = {};
+        const text = await readBody(req);
+        if (route.body && text.trim() !== '') {
+            try {
+                body = JSON.parse(text);
+            } catch {
+                throw new HttpError(400, 'BAD_REQUEST', 'Request body must be valid JSON');
+            }
+        }
+        if (route.body) {
+            validateBody(route.body, body);
+        }
+
+        const client = await getClient(org, userId);
+        const result = await route.handler(client, { params, query, body });
+
+        const status = route.status || 200;
+        if (status === 204) {
+            res.writeHead(204);
+            res.end();
+        } else {
+            sendJson(res, status, result === undefined ? {} : result);
+        }
+    }
+
+    return (req, res) => {
+        handle(req, res).catch(error => {
+            const httpError = toHttpError(error);
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            const headers = httpError.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {};
+            sendJson(res, httpError.status, errorBody(httpError), headers);
+        });
+    };
+}
+
+module.exports = { createApp };
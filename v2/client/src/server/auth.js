@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * API keys for the REST server
+ *
+ * Each key authenticates one principal, { org, userId }: the org a request runs
+ * as and the wallet identity that signs it. There is no key for the org admin.
+ * Only the SHA-256 of a key is stored, in a JSON file (API_KEYS_FILE, default
+ * client/api-keys.json):
+ *   { "<sha256 hex of the key>": { "org": "org2", "userId": "alice" }, ... }
+ *
+ * Usage:
+ *   npm run api-key -- add <userId> --org=<org>   # prints the new key once
+ *   npm run api-key -- list
+ *   npm run api-key -- remove <userId>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ORG_CONFIG } = require('../fabricClient');
+const { validateUserId } = require('../wallet');
+
+const DEFAULT_API_KEYS_FILE = path.resolve(__dirname, '..', '..', 'api-keys.json');
+const KEY_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function validatePrincipal(principal) {
+    if (!principal || typeof principal !== 'object') {
+        throw new Error('API key principal must be an object with org and userId');
+    }
+    if (!ORG_CONFIG[principal.org]) {
+        throw new Error(`Unknown org '${principal.org}'. Expected one of: ${Object.keys(ORG_CONFIG).join(', ')}`);
+    }
+    validateUserId(principal.userId);
+}
+
+/**
+ * Principals by key hash from API_KEYS_FILE; a missing file means no keys
+ */
+function loadApiKeys(file = process.env.API_KEYS_FILE || DEFAULT_API_KEYS_FILE) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return new Map();
+        }
+        throw error;
+    }
+    const keys = new Map();
+    for (const [keyHash, principal] of Object.entries(JSON.parse(text))) {
+        if (!KEY_HASH_PATTERN.test(keyHash)) {
+            throw new Error(`${file}: '${keyHash}' is not a SHA-256 hex digest`);
+        }
+        validatePrincipal(principal);
+        keys.set(keyHash, { org: principal.org, userId: principal.userId });
+    }
+    return keys;
+}
+
+function saveApiKeys(keys, file = process.env.API_KEYS_FILE || DEFAULT_API_KEYS_FILE) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(keys), null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * authenticate(key) for createApp: the key's principal, or undefined for an unknown key
+ */
+function createAuthenticator(keys) {
+    return key => {
+        const principal = keys.get(hashApiKey(key));
+        return principal ? { ...principal } : undefined;
+    };
+}
+
+function printHelp() {
+    console.log(`
+Usage:
+  npm run api-key -- add <userId> --org=<org>
+  npm run api-key -- list
+  npm run api-key -- remove <userId>
+
+add prints a new key for a wallet user; only its hash is kept, in
+API_KEYS_FILE (default: client/api-keys.json). Clients send it as
+"Authorization: Bearer <key>".
+`);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const options = Object.fromEntries(args.filter(a => a.startsWith('--')).map(a => {
+        const [key, ...rest] = a.slice(2).split('=');
+        return [key, rest.join('=')];
+    }));
+    const [command, userId] = args.filter(a => !a.startsWith('--'));
+    const keys = loadApiKeys();
+
+    switch (command) {
+        case 'add': {
+            const principal = { org: options.org, userId };
+            validatePrincipal(principal);
+            const key = crypto.randomBytes(32).toString('base64url');
+            keys.set(hashApiKey(key), principal);
+            saveApiKeys(keys);
+            console.log(`API key for ${userId} (${options.org}), shown only once:\n${key}`);
+            break;
+        }
+        case 'list':
+            if (keys.size === 0) {
+                console.log('(no API keys)');
+            }
+            for (const [keyHash, principal] of keys) {
+                console.log(`${principal.userId}\t${principal.org}\t${keyHash.slice(0, 12)}...`);
+            }
+            break;
+        case 'remove': {
+            if (!userId) {
+                printHelp();
+                process.exit(1);
+            }
+            const before = keys.size;
+            for (const [keyHash, principal] of keys) {
+                if (principal.userId === userId) {
+                    keys.delete(keyHash);
+                }
+            }
+            saveApiKeys(keys);
+            console.log(`Removed ${before - keys.size} key(s) for ${userId}`);
+            break;
+        }
+        default:
+            printHelp();
+            process.exit(command ? 1 : 0);
+    }
+}
+
+module.exports = { hashApiKey, loadApiKeys, saveApiKeys, createAuthenticator, DEFAULT_API_KEYS_FILE };
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
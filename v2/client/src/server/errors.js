@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * HTTP error mapping for the REST server
+ * Every error response has the body { error: { code, message, transactionId? } }
+ */
+
+const grpc = require('@grpc/grpc-js');
+
+class HttpError extends Error {
+    constructor(status, code, message, transactionId) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.transactionId = transactionId;
+    }
+}
+
+// Chaincode error codes -> HTTP status. The chaincode starts a classified
+// rejection with its code in brackets ("[NOT_FOUND] Asset A1 does not exist");
+// a rejection without a known code is a 400.
+const CHAINCODE_ERROR_STATUS = {
+    NOT_FOUND: 404,
+    FORBIDDEN: 403,
+    CONFLICT: 409,
+};
+
+const CHAINCODE_ERROR_CODE = /^\[([A-Z_]+)\] ([\s\S]*)$/;
+
+const GRPC_ERROR_RULES = {
+    [grpc.status.UNAVAILABLE]: { status: 503, code: 'NETWORK_UNAVAILABLE' },
+    [grpc.status.DEADLINE_EXCEEDED]: { status: 504, code: 'NETWORK_TIMEOUT' },
+};
+
+/**
+ * The chaincode's own message, without the gateway's "chaincode response 500, " wrapping
+ */
+function chaincodeMessage(error) {
+    const detail = Array.isArray(error.details) && error.details.find(d => d && d.message);
+    const message = detail ? detail.message : error.message;
+    const match = /chaincode response \d+, ([\s\S]*)$/.exec(message);
+    return (match ? match[1] : message).trim();
+}
+
+/**
+ * Convert anything thrown by a route handler into an HttpError
+ */
+function toHttpError(error) {
+    if (error instanceof HttpError) {
+        return error;
+    }
+
+    const transactionId = error.transactionId;
+
+    // Endorsed and ordered, but invalidated at commit (e.g. MVCC_READ_CONFLICT)
+    if (error.name === 'CommitError') {
+        return new HttpError(409, 'COMMIT_FAILED', error.message, transactionId);
+    }
+
+    const grpcRule = GRPC_ERROR_RULES[error.code];
+    if (grpcRule) {
+        return new HttpError(grpcRule.status, grpcRule.code, error.message, transactionId);
+    }
+
+    // Gateway errors carry a gRPC status code; the chaincode rejected the request
+    if (typeof error.code === 'number' || Array.isArray(error.details)) {
+        const message = chaincodeMessage(error);
+        const match = CHAINCODE_ERROR_CODE.exec(message);
+        return match && Object.hasOwn(CHAINCODE_ERROR_STATUS, match[1])
+            ? new HttpError(CHAINCODE_ERROR_STATUS[match[1]], match[1], match[2], transactionId)
+            : new HttpError(400, 'BAD_REQUEST', message, transactionId);
+    }
+
+    return new HttpError(500, 'INTERNAL_ERROR', error.message || 'Internal server error', transactionId);
+}
+
+function errorBody(httpError) {
+    const body = { error: { code: httpError.code, message: httpError.message } };
+    if (httpError.transactionId) {
+        body.error.transactionId = httpError.transactionId;
+    }
+    return body;
+}
+
+module.exports = { HttpError, toHttpError, errorBody, chaincodeMessage };
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * REST API Server - Asset Approval System v2
+ * Exposes FabricClient over HTTP so consumers need no Fabric SDK
+ *
+ * Usage:
+ *   npm run server                      # listens on 127.0.0.1:3000
+ *   HOST=0.0.0.0 PORT=8080 npm run server
+ *
+ * Every request carries an API key ("Authorization: Bearer <key>"). The key
+ * maps to an org and a user ID in the wallet (API_KEYS_FILE and WALLET_* env,
+ * see auth.js and wallet.js), and the request signs as that user - never as
+ * the org admin. One gateway connection per identity is opened on first use
+ * and reused.
+ * OpenAPI document: GET /openapi.json (no key needed)
+ */
+
+const http = require('http');
+const { FabricClient, ORG_CONFIG } = require('../fabricClient');
+const { openWallet, validateUserId } = require('../wallet');
+const { createApp } = require('./app');
+const { createAuthenticator, loadApiKeys } = require('./auth');
+
+const HOST = process.env.HOST || '127.0.0.1';
+const PORT = Number(process.env.PORT || 3000);
+
+/**
+ * Lazily connected FabricClient per org and wallet user; concurrent first requests share one connect.
+ * There is no client for the org admin: userId must name a wallet identity.
+ */
+function createClientPool(wallet = openWallet()) {
+    const clients = new Map();
+
+    return {
+        getClient(org, userId) {
+            validateUserId(userId);
+            const key = `${org}/${userId}`;
+            if (!clients.has(key)) {
+                const client = new FabricClient({ org, userId, wallet, quiet: true });
+                const connecting = client.connect().then(() => client);
+                // A failed connect is retried on the next request
+                connecting.catch(() => clients.delete(key));
+                clients.set(key, connecting);
+            }
+            return clients.get(key);
+        },
+        async closeAll() {
+            for (const connecting of clients.values()) {
+                try {
+                    (await connecting).disconnect();
+                } catch {
+                    // Never connected
+                }
+            }
+            clients.clear();
+        }
+    };
+}
+
+/**
+ * Problems with the wallet identities API keys map to: missing, or issued by another org's MSP
+ */
+async function checkPrincipals(keys, wallet) {
+    const problems = [];
+    for (const { org, userId } of keys.values()) {
+        const identity = await wallet.get(userId);
+        if (!identity) {
+            problems.push(`${userId} (${org}) is not in the wallet`);
+        } else if (identity.mspId !== ORG_CONFIG[org].mspId) {
+            problems.push(`${userId} belongs to ${identity.mspId}, not ${ORG_CONFIG[org].mspId}`);
+        }
+    }
+    return problems;
+}
+
+async function main() {
+    const keys = loadApiKeys();
+    if (keys.size === 0) {
+        console.error('No API keys configured. Issue one with: npm run api-key -- add <userId> --org=<org>');
+        process.exit(1);
+    }
+    const wallet = openWallet();
+    const problems = await checkPrincipals(keys, wallet);
+    if (problems.length > 0) {
+        console.error(`API keys map to unusable wallet identities:\n  ${problems.join('\n  ')}`);
+        process.exit(1);
+    }
+    const pool = createClientPool(wallet);
+    const orgs = Object.keys(ORG_CONFIG);
+
+    const server = http.createServer(createApp({ getClient: pool.getClient, authenticate: createAuthenticator(keys), orgs }));
+    server.listen(PORT, HOST, () => {
+        console.log(`Asset Approval API listening on http://${HOST}:${PORT} (OpenAPI: /openapi.json)`);
+    });
+
+    const shutdown = () => {
+        server.close();
+        server.closeAllConnections();
+        pool.closeAll().finally(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { createApp, createClientPool, checkPrincipals };
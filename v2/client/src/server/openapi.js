@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * OpenAPI 3.0 document generated from the route table
+ */
+
+const { ORG_CONFIG } = require('../fabricClient');
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    properties: {
+        error: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', example: 'NOT_FOUND' },
+                message: { type: 'string', example: 'Asset ASSET-1 does not exist' },
+                transactionId: { type: 'string' }
+            },
+            required: ['code', 'message']
+        }
+    }
+};
+
+const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+function pathParameters(path) {
+    return [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+        name, in: 'path', required: true, schema: { type: 'string' }
+    }));
+}
+
+function operation(route) {
+    const op = {
+        operationId: route.operationId,
+        summary: route.summary,
+        tags: [route.tag],
+        parameters: [
+            ...pathParameters(route.path),
+            ...Object.entries(route.query || {}).map(([name, schema]) => ({
+                name, in: 'query', required: (route.requiredQuery || []).includes(name), schema
+            }))
+        ],
+        responses: {}
+    };
+
+    if (route.body) {
+        op.requestBody = { required: (route.body.required || []).length > 0, content: { 'application/json': { schema: route.body } } };
+    }
+
+    const status = route.status || 200;
+    op.responses[status] = status === 204
+        ? { description: 'Success' }
+        : { description: 'Success', content: { 'application/json': { schema: {} } } };
+    op.responses['400'] = errorResponse('Invalid request or rejected by chaincode validation');
+    op.responses['401'] = errorResponse('Missing or invalid API key');
+    op.responses['403'] = errorResponse('Role not allowed for this operation');
+    op.responses['404'] = errorResponse('Asset or record not found');
+    op.responses['409'] = errorResponse('Not allowed in the current state, or commit conflict');
+    op.responses['503'] = errorResponse('Peer unavailable');
+    return op;
+}
+
+function buildOpenApiDocument(routes, { orgs = Object.keys(ORG_CONFIG) } = {}) {
+    const paths = {};
+    for (const route of routes) {
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method.toLowerCase()] = operation(route);
+    }
+
+    paths['/events'] = {
+        get: {
+            operationId: 'listenForEvents',
+            summary: 'Stream asset lifecycle events (Server-Sent Events, one "lifecycle" event per chaincode event)',
+            tags: ['Events'],
+            parameters: [
+                { name: 'startBlock', in: 'query', required: false, schema: { type: 'integer' } }
+            ],
+            responses: {
+                200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                401: errorResponse('Missing or invalid API key')
+            }
+        }
+    };
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Asset Approval System v2 API',
+            version: '2.0.0',
+            description: 'REST interface to the asset-approval chaincode. Every request sends an API key as a ' +
+                `bearer token. The key maps on the server to one org (${orgs.join(', ')}) and the wallet identity ` +
+                'that signs for it; the chaincode authorizes by that identity\'s role attribute.'
+        },
+        paths,
+        security: [{ ApiKey: [] }],
+        components: {
+            securitySchemes: {
+                ApiKey: { type: 'http', scheme: 'bearer', description: 'Key issued with npm run api-key -- add' }
+            },
+            schemas: { Error: ERROR_SCHEMA }
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,415 @@
+'use strict';
+
+/**
+ * REST routes for the Asset Approval v2 server
+ *
+ * Each route maps one FabricClient method onto HTTP. The same table drives
+ * request validation and the OpenAPI document, so a route added here is
+ * documented automatically.
+ *
+ * Handlers receive (client, { params, query, body }) and return the response
+ * body. Routes with status 204 send no body.
+ *
+ * Not exposed: connect/disconnect/loadCredentials (the server owns connections), iterate*
+ * (use the paginated routes) and attachFile/verifyAttachment, which hash
+ * files on the caller's disk - hash locally and use POST .../attachments.
+ * listenForEvents is served as a Server-Sent Events stream by app.js.
+ */
+
+// Schema shorthands (OpenAPI 3 / JSON Schema subset used by validateBody)
+const str = { type: 'string' };
+const int = { type: 'integer' };
+const bool = { type: 'boolean' };
+const obj = { type: 'object' };
+const strArray = { type: 'array', items: str };
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+const assetPath = '/assets/{assetId}';
+
+const routes = [
+    // =========================================================================
+    // Assets
+    // =========================================================================
+    {
+        method: 'POST', path: '/assets', operationId: 'createAsset', tag: 'Assets', status: 201,
+        summary: 'Create an asset of the default type',
+        body: object({ assetID: str, description: str }, ['assetID', 'description']),
+        handler: async (client, { body }) => {
+            await client.createAsset(body.assetID, body.description);
+            return { assetID: body.assetID };
+        }
+    },
+    {
+        method: 'POST', path: '/assets/typed', operationId: 'createTypedAsset', tag: 'Assets', status: 201,
+        summary: 'Create an asset of a registered type with metadata',
+        body: object({ assetID: str, assetType: str, description: str, metadata: obj }, ['assetID', 'assetType', 'description']),
+        handler: async (client, { body }) => {
+            await client.createTypedAsset(body.assetID, body.assetType, body.description, body.metadata);
+            return { assetID: body.assetID };
+        }
+    },
+    {
+        method: 'POST', path: '/assets/with-private-data', operationId: 'createAssetWithPrivateData', tag: 'Assets', status: 201,
+        summary: 'Create an asset together with its private data (sent as transient data)',
+        body: object({ assetID: str, description: str, privateData: obj }, ['assetID', 'description', 'privateData']),
+        handler: async (client, { body }) => {
+            await client.createAssetWithPrivateData(body.assetID, body.description, body.privateData);
+            return { assetID: body.assetID };
+        }
+    },
+    {
+        method: 'POST', path: '/assets/batch', operationId: 'createAssetsBatch', tag: 'Assets',
+        summary: 'Create up to 100 assets in one transaction',
+        body: object({ items: { type: 'array', items: obj }, allOrNothing: bool }, ['items']),
+        handler: (client, { body }) => client.createAssetsBatch(body.items, { allOrNothing: body.allOrNothing })
+    },
+    {
+        method: 'GET', path: '/assets', operationId: 'queryAllAssets', tag: 'Assets',
+        summary: 'List all assets',
+        handler: client => client.queryAllAssets()
+    },
+    {
+        method: 'GET', path: '/assets/pages', operationId: 'queryAllAssetsPage', tag: 'Assets',
+        summary: 'One page of all assets',
+        query: { pageSize: int, bookmark: str }, requiredQuery: ['pageSize'],
+        handler: (client, { query }) => client.queryAllAssetsPage(query.pageSize, query.bookmark)
+    },
+    {
+        method: 'GET', path: '/assets/by-status/{status}', operationId: 'queryAssetsByStatus', tag: 'Assets',
+        summary: 'List assets in a status',
+        handler: (client, { params }) => client.queryAssetsByStatus(params.status)
+    },
+    {
+        method: 'GET', path: '/assets/by-status/{status}/pages', operationId: 'queryAssetsByStatusPage', tag: 'Assets',
+        summary: 'One page of assets in a status',
+        query: { pageSize: int, bookmark: str }, requiredQuery: ['pageSize'],
+        handler: (client, { params, query }) => client.queryAssetsByStatusPage(params.status, query.pageSize, query.bookmark)
+    },
+    {
+        method: 'GET', path: '/assets/by-owner/{owner}', operationId: 'queryAssetsByOwner', tag: 'Assets',
+        summary: 'List assets of an owner fingerprint (URL-encoded)',
+        handler: (client, { params }) => client.queryAssetsByOwner(params.owner)
+    },
+    {
+        method: 'GET', path: '/assets/by-owner/{owner}/pages', operationId: 'queryAssetsByOwnerPage', tag: 'Assets',
+        summary: 'One page of assets of an owner fingerprint (URL-encoded)',
+        query: { pageSize: int, bookmark: str }, requiredQuery: ['pageSize'],
+        handler: (client, { params, query }) => client.queryAssetsByOwnerPage(params.owner, query.pageSize, query.bookmark)
+    },
+    {
+        method: 'GET', path: '/assets/nearing-deadline', operationId: 'queryAssetsNearingDeadline', tag: 'Assets',
+        summary: 'Pending assets whose approval deadline falls within the given hours',
+        query: { withinHours: { type: 'number' } },
+        handler: (client, { query }) => client.queryAssetsNearingDeadline(query.withinHours)
+    },
+    {
+        method: 'POST', path: '/assets/search', operationId: 'searchAssets', tag: 'Assets',
+        summary: 'One page of SearchAssets results for a filter',
+        body: obj,
+        handler: (client, { body }) => client.searchAssets(body)
+    },
+    {
+        method: 'POST', path: '/assets/query', operationId: 'queryAssetsWithSelector', tag: 'Assets',
+        summary: 'One page of assets matching an allowlisted Mango selector',
+        body: object({ selector: obj, pageSize: int, bookmark: str }, ['selector']),
+        handler: (client, { body }) => client.queryAssetsWithSelector(body.selector, body.pageSize, body.bookmark)
+    },
+    {
+        method: 'GET', path: assetPath, operationId: 'queryAsset', tag: 'Assets',
+        summary: 'Read an asset',
+        handler: (client, { params }) => client.queryAsset(params.assetId)
+    },
+    {
+        method: 'GET', path: `${assetPath}/exists`, operationId: 'assetExists', tag: 'Assets',
+        summary: 'Whether an asset exists and is not deleted',
+        handler: async (client, { params }) => ({ exists: await client.assetExists(params.assetId) })
+    },
+    {
+        method: 'GET', path: `${assetPath}/history`, operationId: 'getAssetHistory', tag: 'Assets',
+        summary: 'Every committed version of an asset',
+        handler: (client, { params }) => client.getAssetHistory(params.assetId)
+    },
+    {
+        method: 'PATCH', path: assetPath, operationId: 'updateAsset', tag: 'Assets', status: 204,
+        summary: 'Update the description and/or merge-patch metadata',
+        body: object({ description: str, metadata: obj }),
+        handler: (client, { params, body }) => client.updateAsset(params.assetId, body.description, body.metadata)
+    },
+    {
+        method: 'DELETE', path: assetPath, operationId: 'deleteAsset', tag: 'Assets', status: 204,
+        summary: 'Soft-delete an asset',
+        handler: (client, { params }) => client.deleteAsset(params.assetId)
+    },
+
+    // =========================================================================
+    // Lifecycle
+    // =========================================================================
+    {
+        method: 'POST', path: `${assetPath}/submit`, operationId: 'submitForApproval', tag: 'Lifecycle', status: 204,
+        summary: 'Submit for approval, optionally with an ISO-8601 deadline',
+        body: object({ deadline: str }),
+        handler: (client, { params, body }) => client.submitForApproval(params.assetId, body.deadline)
+    },
+    {
+        method: 'POST', path: `${assetPath}/withdraw`, operationId: 'withdrawSubmission', tag: 'Lifecycle', status: 204,
+        summary: 'Withdraw a pending submission',
+        handler: (client, { params }) => client.withdrawSubmission(params.assetId)
+    },
+    {
+        method: 'POST', path: `${assetPath}/approve`, operationId: 'approveAsset', tag: 'Lifecycle', status: 204,
+        summary: "Approve for the caller's role",
+        body: object({ comment: str }),
+        handler: (client, { params, body }) => client.approveAsset(params.assetId, body.comment)
+    },
+    {
+        method: 'POST', path: `${assetPath}/reject`, operationId: 'rejectAsset', tag: 'Lifecycle', status: 204,
+        summary: "Reject for the caller's role",
+        body: object({ reason: str }, ['reason']),
+        handler: (client, { params, body }) => client.rejectAsset(params.assetId, body.reason)
+    },
+    {
+        method: 'POST', path: `${assetPath}/activate`, operationId: 'activateAsset', tag: 'Lifecycle', status: 204,
+        summary: 'Activate an approved asset',
+        handler: (client, { params }) => client.activateAsset(params.assetId)
+    },
+    {
+        method: 'POST', path: `${assetPath}/suspend`, operationId: 'suspendAsset', tag: 'Lifecycle', status: 204,
+        summary: 'Suspend an active asset',
+        body: object({ reason: str }, ['reason']),
+        handler: (client, { params, body }) => client.suspendAsset(params.assetId, body.reason)
+    },
+    {
+        method: 'POST', path: `${assetPath}/reinstate`, operationId: 'reinstateAsset', tag: 'Lifecycle', status: 204,
+        summary: 'Reinstate a suspended asset',
+        handler: (client, { params }) => client.reinstateAsset(params.assetId)
+    },
+    {
+        method: 'POST', path: `${assetPath}/revoke`, operationId: 'revokeAsset', tag: 'Lifecycle', status: 204,
+        summary: 'Revoke an asset permanently',
+        body: object({ reason: str }, ['reason']),
+        handler: (client, { params, body }) => client.revokeAsset(params.assetId, body.reason)
+    },
+    {
+        method: 'POST', path: `${assetPath}/transition`, operationId: 'transitionAsset', tag: 'Lifecycle', status: 204,
+        summary: 'Move an asset into a workflow-defined status',
+        body: object({ status: str }, ['status']),
+        handler: (client, { params, body }) => client.transitionAsset(params.assetId, body.status)
+    },
+    {
+        method: 'POST', path: '/approvals/batch', operationId: 'approveAssetsBatch', tag: 'Lifecycle',
+        summary: "Approve up to 100 assets for the caller's role in one transaction",
+        body: object({ assetIds: strArray, comment: str, allOrNothing: bool }, ['assetIds']),
+        handler: (client, { body }) => client.approveAssetsBatch(body.assetIds, { comment: body.comment, allOrNothing: body.allOrNothing })
+    },
+    {
+        method: 'POST', path: '/approvals/expire', operationId: 'expirePendingApprovals', tag: 'Lifecycle',
+        summary: 'Expire up to limit pending assets whose deadline has passed; repeat while hasMore is true',
+        body: object({ limit: int }),
+        handler: (client, { body }) => client.expirePendingApprovals(body.limit)
+    },
+
+    // =========================================================================
+    // Ownership Transfer
+    // =========================================================================
+    {
+        method: 'POST', path: `${assetPath}/transfer`, operationId: 'proposeTransfer', tag: 'Transfers', status: 204,
+        summary: 'Propose handing the asset to another owner fingerprint',
+        body: object({ newOwnerFingerprint: str }, ['newOwnerFingerprint']),
+        handler: (client, { params, body }) => client.proposeTransfer(params.assetId, body.newOwnerFingerprint)
+    },
+    {
+        method: 'POST', path: `${assetPath}/transfer/approve`, operationId: 'approveTransfer', tag: 'Transfers', status: 204,
+        summary: 'Sign off a pending transfer',
+        handler: (client, { params }) => client.approveTransfer(params.assetId)
+    },
+    {
+        method: 'POST', path: `${assetPath}/transfer/accept`, operationId: 'acceptTransfer', tag: 'Transfers', status: 204,
+        summary: 'Accept a pending transfer as the proposed new owner',
+        handler: (client, { params }) => client.acceptTransfer(params.assetId)
+    },
+    {
+        method: 'GET', path: `${assetPath}/transfers`, operationId: 'getTransferLog', tag: 'Transfers',
+        summary: 'Completed transfers of an asset',
+        handler: (client, { params }) => client.getTransferLog(params.assetId)
+    },
+
+    // =========================================================================
+    // Attachments and Comments
+    // =========================================================================
+    {
+        method: 'POST', path: `${assetPath}/attachments`, operationId: 'attachDocument', tag: 'Attachments', status: 201,
+        summary: 'Register a document by hash; upload the file to storageURI yourself',
+        body: object({ name: str, sha256: str, size: int, mimeType: str, storageURI: str }, ['name', 'sha256', 'size', 'mimeType', 'storageURI']),
+        handler: async (client, { params, body }) => {
+            await client.attachDocument(params.assetId, body);
+            return { sha256: body.sha256 };
+        }
+    },
+    {
+        method: 'GET', path: `${assetPath}/attachments`, operationId: 'listAttachments', tag: 'Attachments',
+        summary: 'Documents attached to an asset, oldest first',
+        handler: (client, { params }) => client.listAttachments(params.assetId)
+    },
+    {
+        method: 'POST', path: `${assetPath}/comments`, operationId: 'addComment', tag: 'Comments', status: 201,
+        summary: 'Add a public comment or reply',
+        body: object({ text: str, replyTo: str }, ['text']),
+        handler: async (client, { params, body }) => ({ commentID: await client.addComment(params.assetId, body.text, body.replyTo) })
+    },
+    {
+        method: 'POST', path: `${assetPath}/comments/confidential`, operationId: 'addConfidentialComment', tag: 'Comments', status: 201,
+        summary: 'Add a comment visible only to private-data roles',
+        body: object({ text: str, replyTo: str }, ['text']),
+        handler: async (client, { params, body }) => ({ commentID: await client.addConfidentialComment(params.assetId, body.text, body.replyTo) })
+    },
+    {
+        method: 'GET', path: `${assetPath}/comments`, operationId: 'listComments', tag: 'Comments',
+        summary: 'Comments on an asset, oldest first',
+        handler: (client, { params }) => client.listComments(params.assetId)
+    },
+
+    // =========================================================================
+    // Private Data
+    // =========================================================================
+    {
+        method: 'GET', path: `${assetPath}/private-data`, operationId: 'readPrivateData', tag: 'Private Data',
+        summary: "Read an asset's private data",
+        handler: (client, { params }) => client.readPrivateData(params.assetId)
+    },
+    {
+        method: 'PUT', path: `${assetPath}/private-data`, operationId: 'updatePrivateData', tag: 'Private Data', status: 204,
+        summary: "Replace an asset's private data",
+        body: object({ confidentialNotes: str, internalValue: { type: 'number' } }, ['confidentialNotes']),
+        handler: (client, { params, body }) => client.updatePrivateData(params.assetId, body)
+    },
+    {
+        method: 'POST', path: `${assetPath}/private-data/verify`, operationId: 'verifyPrivateDataHash', tag: 'Private Data',
+        summary: 'Check a copy of the private data against the on-chain hash',
+        body: object({ confidentialNotes: str, internalValue: { type: 'number' } }, ['confidentialNotes']),
+        handler: async (client, { params, body }) => ({ valid: await client.verifyPrivateDataHash(params.assetId, body) })
+    },
+    {
+        method: 'DELETE', path: `${assetPath}/private-data`, operationId: 'purgePrivateData', tag: 'Private Data', status: 204,
+        summary: 'Purge the private data of a deleted or revoked asset',
+        handler: (client, { params }) => client.purgePrivateData(params.assetId)
+    },
+
+    // =========================================================================
+    // Approval Policies and Workflows
+    // =========================================================================
+    {
+        method: 'GET', path: '/policies', operationId: 'listApprovalPolicies', tag: 'Policies',
+        summary: 'List approval policies',
+        handler: client => client.listApprovalPolicies()
+    },
+    {
+        method: 'GET', path: '/active-policy', operationId: 'getActiveApprovalPolicy', tag: 'Policies',
+        summary: 'Read the active approval policy',
+        handler: client => client.getApprovalPolicy('')
+    },
+    {
+        method: 'GET', path: '/policies/{policyId}', operationId: 'getApprovalPolicy', tag: 'Policies',
+        summary: 'Read an approval policy',
+        handler: (client, { params }) => client.getApprovalPolicy(params.policyId)
+    },
+    {
+        method: 'PUT', path: '/policies/{policyId}', operationId: 'setApprovalPolicy', tag: 'Policies', status: 204,
+        summary: 'Create or replace an approval policy (admin)',
+        body: obj,
+        handler: (client, { params, body }) => client.setApprovalPolicy(params.policyId, body)
+    },
+    {
+        method: 'POST', path: '/policies/{policyId}/activate', operationId: 'activateApprovalPolicy', tag: 'Policies', status: 204,
+        summary: 'Make a policy the active one (admin)',
+        handler: (client, { params }) => client.activateApprovalPolicy(params.policyId)
+    },
+    {
+        method: 'GET', path: '/workflows', operationId: 'listAssetWorkflows', tag: 'Policies',
+        summary: 'List asset type workflows',
+        handler: client => client.listAssetWorkflows()
+    },
+    {
+        method: 'GET', path: '/workflows/{assetType}', operationId: 'getAssetWorkflow', tag: 'Policies',
+        summary: 'Read the workflow of an asset type',
+        handler: (client, { params }) => client.getAssetWorkflow(params.assetType)
+    },
+    {
+        method: 'PUT', path: '/workflows/{assetType}', operationId: 'setAssetWorkflow', tag: 'Policies', status: 204,
+        summary: 'Register the workflow of an asset type (admin)',
+        body: obj,
+        handler: (client, { params, body }) => client.setAssetWorkflow(params.assetType, body)
+    },
+
+    // =========================================================================
+    // Delegation
+    // =========================================================================
+    {
+        method: 'GET', path: '/delegations', operationId: 'listDelegations', tag: 'Delegation',
+        summary: 'List approval delegations, optionally for one role',
+        query: { role: str },
+        handler: (client, { query }) => client.listDelegations(query.role)
+    },
+    {
+        method: 'POST', path: '/delegations', operationId: 'delegateApproval', tag: 'Delegation', status: 201,
+        summary: "Delegate the caller's role to a deputy until validUntil",
+        body: object({ role: str, delegateFingerprint: str, validUntil: str }, ['role', 'delegateFingerprint', 'validUntil']),
+        handler: async (client, { body }) => {
+            await client.delegateApproval(body.role, body.delegateFingerprint, body.validUntil);
+            return { role: body.role, delegateFingerprint: body.delegateFingerprint, validUntil: body.validUntil };
+        }
+    },
+    {
+        method: 'DELETE', path: '/delegations/{role}/{delegateFingerprint}', operationId: 'revokeDelegation', tag: 'Delegation', status: 204,
+        summary: 'Revoke a delegation (fingerprint URL-encoded)',
+        handler: (client, { params }) => client.revokeDelegation(params.role, params.delegateFingerprint)
+    },
+
+    // =========================================================================
+    // Administration and Identity
+    // =========================================================================
+    {
+        method: 'POST', path: '/admin/migrate-approval-records', operationId: 'migrateApprovalRecords', tag: 'Admin',
+        summary: 'Convert legacy approval values to approval records (admin)',
+        body: object({ batchSize: int }),
+        handler: (client, { body }) => client.migrateApprovalRecords(body.batchSize)
+    },
+    {
+        method: 'POST', path: '/admin/rebuild-indexes', operationId: 'rebuildAssetIndexes', tag: 'Admin',
+        summary: 'Backfill status and owner index entries (admin)',
+        body: object({ batchSize: int }),
+        handler: (client, { body }) => client.rebuildAssetIndexes(body.batchSize)
+    },
+    {
+        method: 'GET', path: '/admin/owner-fingerprint-migration', operationId: 'planOwnerFingerprintMigration', tag: 'Admin',
+        summary: 'Plan the move of assets and delegations on legacy owner values to the fingerprints of the identities behind them',
+        query: { pageSize: int },
+        handler: (client, { query }) => client.planOwnerFingerprintMigration(query.pageSize)
+    },
+    {
+        method: 'POST', path: '/admin/owner-fingerprint-migration', operationId: 'migrateOwnerFingerprints', tag: 'Admin',
+        summary: 'Apply a reviewed owner fingerprint migration plan (admin)',
+        body: object({ plan: object({ assets: { type: 'array', items: obj }, delegations: { type: 'array', items: obj } }), batchSize: int }, ['plan']),
+        handler: (client, { body }) => client.migrateOwnerFingerprints(body.plan, body.batchSize)
+    },
+    {
+        method: 'GET', path: '/admin/revoked-identities', operationId: 'listRevokedIdentities', tag: 'Admin',
+        summary: 'List certificates on the revocation denylist',
+        handler: client => client.listRevokedIdentities()
+    },
+    {
+        method: 'POST', path: '/admin/revoked-identities', operationId: 'revokeIdentity', tag: 'Admin',
+        summary: 'Deny a certificate by SHA-256 fingerprint and reset its pending decisions (admin)',
+        body: object({ certificateFingerprint: str, reason: str }, ['certificateFingerprint', 'reason']),
+        handler: async (client, { body }) => ({
+            certificateFingerprint: body.certificateFingerprint,
+            invalidatedApprovals: await client.revokeIdentity(body.certificateFingerprint, body.reason)
+        })
+    },
+    {
+        method: 'GET', path: '/me', operationId: 'getCallerInfo', tag: 'Admin',
+        summary: 'Role, MSP and fingerprints of the selected identity',
+        handler: client => client.getCallerInfo()
+    },
+];
+
+module.exports = { routes };
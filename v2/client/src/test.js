@@ -10,7 +10,11 @@
  *   npm test -- --list          # List available suites
  */
 
-const { FabricClient } = require('./fabricClient');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FabricClient, CHAINCODE_ADMIN_USER } = require('./fabricClient');
 
 // ANSI Colors
 const c = {
@@ -31,7 +35,9 @@ let failed = 0;
 const results = [];
 
 // Clients
-let ownerClient, auditorClient, regulatorClient;
+let ownerClient, auditorClient, regulatorClient, adminClient;
+// Org1's User1: a second owner identity to receive transfers
+let secondOwnerClient;
 
 // Utility functions
 const log = {
@@ -54,9 +60,66 @@ log.suite = (name) => console.log(`\n${c_bgBlue}${c.bright} ${name} ${c.reset}\n
 // Generate unique asset ID
 const genAssetId = (prefix = 'TEST') => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`;
 
+// Example license workflow with SUSPENDED and EXPIRED states
+const LICENSE_WORKFLOW = {
+    transitions: {
+        CREATED: ['PENDING_APPROVAL', 'DELETED'],
+        PENDING_APPROVAL: ['APPROVED', 'REJECTED', 'CREATED'],
+        APPROVED: ['ACTIVE', 'DELETED'],
+        REJECTED: ['PENDING_APPROVAL', 'DELETED'],
+        ACTIVE: ['SUSPENDED', 'EXPIRED', 'DELETED'],
+        SUSPENDED: ['ACTIVE', 'EXPIRED'],
+        EXPIRED: ['DELETED'],
+    },
+    transitionRoles: {
+        SUSPENDED: ['regulator'],
+        ACTIVE: ['regulator'],
+        EXPIRED: ['regulator', 'auditor'],
+    },
+};
+
+// Create an asset and take it all the way to ACTIVE
+const createActiveAsset = async (prefix) => {
+    const assetId = genAssetId(prefix);
+    await ownerClient.createAsset(assetId, 'Enforcement test');
+    await ownerClient.submitForApproval(assetId);
+    await auditorClient.approveAsset(assetId);
+    await regulatorClient.approveAsset(assetId);
+    await ownerClient.activateAsset(assetId);
+    return assetId;
+};
+
+// Write a scratch file for attachment tests and return its path
+const writeTempFile = (name, content) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asset-attachment-'));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+};
+
 // Sleep utility
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Start listening before triggering a transaction; .event resolves with the
+// first lifecycle event matching predicate
+const listenForEvent = async (client, predicate, timeoutMs = 30000) => {
+    let resolveMatch;
+    const matched = new Promise(resolve => { resolveMatch = resolve; });
+    const listener = await client.listenForEvents(async (payload) => {
+        if (predicate(payload)) resolveMatch(payload);
+    });
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Timed out waiting for chaincode event')), timeoutMs);
+    });
+    const event = Promise.race([matched, timeout]).finally(() => {
+        clearTimeout(timer);
+        listener.close();
+    });
+    return { event };
+};
+
 // Helper to check if an error is an expected failure (access denied, invalid transition, etc.)
 // Fabric Gateway wraps chaincode errors in gRPC status, so we check for ABORTED or the actual message
 const isExpectedError = (error, ...keywords) => {
@@ -219,6 +282,37 @@ const testSuites = {
                     return 'Asset deleted (not in list)';
                 }
             },
+            {
+                name: 'PENDING_APPROVAL -> CREATED on withdraw',
+                run: async () => {
+                    const assetId = genAssetId('STATE');
+                    await ownerClient.createAsset(assetId, 'State test');
+                    await ownerClient.submitForApproval(assetId);
+                    await auditorClient.approveAsset(assetId);
+                    await ownerClient.withdrawSubmission(assetId);
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.status !== 'CREATED') throw new Error(`Expected CREATED, got ${asset.status}`);
+                    if (asset.approvals.auditor.decision !== 'PENDING') throw new Error('Partial approval not cleared');
+                    return 'status=CREATED, approvals cleared';
+                }
+            },
+            {
+                name: 'Auditor cannot withdraw submission',
+                run: async () => {
+                    const assetId = genAssetId('STATE');
+                    await ownerClient.createAsset(assetId, 'State test');
+                    await ownerClient.submitForApproval(assetId);
+                    try {
+                        await auditorClient.withdrawSubmission(assetId);
+                        throw new Error('Expected access denied');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'Access denied', 'role', 'owner')) {
+                            throw e;
+                        }
+                        return 'Access denied as expected';
+                    }
+                }
+            },
         ]
     },
 
@@ -234,10 +328,14 @@ const testSuites = {
                     const assetId = genAssetId('APPR');
                     await ownerClient.createAsset(assetId, 'Approval test');
                     await ownerClient.submitForApproval(assetId);
-                    await auditorClient.approveAsset(assetId);
+                    await auditorClient.approveAsset(assetId, 'Checked invoice');
                     const asset = await ownerClient.queryAsset(assetId);
-                    if (asset.approvals.auditor !== true) throw new Error('Auditor approval not recorded');
-                    return 'auditor=true';
+                    const record = asset.approvals.auditor;
+                    if (record.decision !== 'APPROVED') throw new Error('Auditor approval not recorded');
+                    if (record.comment !== 'Checked invoice' || !record.txId) {
+                        throw new Error(`Incomplete approval record: ${JSON.stringify(record)}`);
+                    }
+                    return `auditor=APPROVED by ${record.mspId}`;
                 }
             },
             {
@@ -248,8 +346,8 @@ const testSuites = {
                     await ownerClient.submitForApproval(assetId);
                     await regulatorClient.approveAsset(assetId);
                     const asset = await ownerClient.queryAsset(assetId);
-                    if (asset.approvals.regulator !== true) throw new Error('Regulator approval not recorded');
-                    return 'regulator=true';
+                    if (asset.approvals.regulator.decision !== 'APPROVED') throw new Error('Regulator approval not recorded');
+                    return 'regulator=APPROVED';
                 }
             },
             {
@@ -358,12 +456,34 @@ const testSuites = {
                     await auditorClient.rejectAsset(assetId, 'Missing certification');
                     const asset = await ownerClient.queryAsset(assetId);
                     const auditorRejection = asset.approvals.auditor;
-                    if (!auditorRejection || !auditorRejection.includes('REJECTED')) {
+                    if (auditorRejection?.decision !== 'REJECTED' || auditorRejection.comment !== 'Missing certification') {
                         throw new Error(`Expected rejection reason, got: ${JSON.stringify(asset.approvals)}`);
                     }
                     return 'reason recorded';
                 }
             },
+            {
+                name: 'Role that approved cannot reject afterwards',
+                run: async () => {
+                    const assetId = genAssetId('REJ-FAIL');
+                    await ownerClient.createAsset(assetId, 'Rejection test');
+                    await ownerClient.submitForApproval(assetId);
+                    await auditorClient.approveAsset(assetId);
+                    try {
+                        await auditorClient.rejectAsset(assetId, 'Changed my mind');
+                        throw new Error('Expected second decision to fail');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'already approved')) {
+                            throw e;
+                        }
+                    }
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.approvals.auditor.decision !== 'APPROVED') {
+                        throw new Error(`Decision changed to ${asset.approvals.auditor.decision}`);
+                    }
+                    return 'Denied as expected';
+                }
+            },
         ]
     },
 
@@ -411,6 +531,134 @@ const testSuites = {
                     return `count=${assets.length}`;
                 }
             },
+            {
+                name: 'Status and owner indexes follow transitions',
+                run: async () => {
+                    const assetId = genAssetId('INDEX');
+                    await ownerClient.createAsset(assetId, 'Index test');
+                    await ownerClient.submitForApproval(assetId);
+
+                    const created = await ownerClient.queryAssetsByStatus('CREATED');
+                    if (created.some(a => a.assetID === assetId)) throw new Error('Stale CREATED index entry');
+                    const pending = await ownerClient.queryAssetsByStatus('PENDING_APPROVAL');
+                    if (!pending.some(a => a.assetID === assetId)) throw new Error('Missing PENDING_APPROVAL index entry');
+
+                    const { fingerprint } = await ownerClient.getCallerInfo();
+                    const owned = await ownerClient.queryAssetsByOwner(fingerprint);
+                    if (!owned.some(a => a.assetID === assetId)) throw new Error('Missing owner index entry');
+                    return `indexed ${assetId}`;
+                }
+            },
+            {
+                name: 'Owner fingerprint is a SHA-256 and only an admin migrates legacy owners',
+                run: async () => {
+                    const { fingerprint } = await ownerClient.getCallerInfo();
+                    if (!/^[0-9a-f]{64}$/.test(fingerprint)) throw new Error(`Unexpected fingerprint: ${fingerprint}`);
+                    const assetId = genAssetId('FPR');
+                    await ownerClient.createAsset(assetId, 'Fingerprint test');
+                    const plan = await adminClient.planOwnerFingerprintMigration();
+                    if (plan.assets.some(m => m.assetID === assetId)) throw new Error(`${assetId} planned for migration`);
+                    try {
+                        await ownerClient.migrateOwnerFingerprints({ assets: [{ assetID: assetId, legacyFingerprint: 'legacy', fingerprint }] });
+                        throw new Error('Owner should not be able to migrate owners');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'Admin privileges')) {
+                            throw e;
+                        }
+                    }
+                    return `${plan.assets.length} legacy assets, ${plan.delegations.length} delegations to migrate`;
+                }
+            },
+            {
+                name: 'Paginated iteration visits every asset',
+                run: async () => {
+                    const ids = [genAssetId('PAGE'), genAssetId('PAGE'), genAssetId('PAGE')];
+                    for (const id of ids) {
+                        await ownerClient.createAsset(id, 'Pagination test');
+                    }
+                    const seen = new Set();
+                    for await (const asset of ownerClient.iterateAllAssets(2)) {
+                        seen.add(asset.assetID);
+                    }
+                    const missing = ids.filter(id => !seen.has(id));
+                    if (missing.length > 0) throw new Error(`Missing from pages: ${missing.join(', ')}`);
+                    return `visited=${seen.size}`;
+                }
+            },
+            {
+                name: 'SearchAssets filters by tag and category',
+                run: async () => {
+                    const assetId = genAssetId('SEARCH');
+                    const tag = assetId.toLowerCase();
+                    await ownerClient.createTypedAsset(assetId, 'default', 'Search test', { category: 'equipment', tags: [tag] });
+                    const page = await auditorClient.searchAssets({
+                        category: 'equipment',
+                        tags: [tag],
+                        sort: { field: 'createdAt', order: 'desc' }
+                    });
+                    if (page.records.length !== 1 || page.records[0].assetID !== assetId) {
+                        throw new Error(`Expected only ${assetId}, got ${page.records.map(a => a.assetID).join(', ')}`);
+                    }
+                    return `found ${assetId}`;
+                }
+            },
+            {
+                name: 'SearchAssets rejects raw CouchDB operators',
+                run: async () => {
+                    try {
+                        await auditorClient.searchAssets({ docType: { $ne: 'asset' } });
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'Unsupported search filter')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+            {
+                name: 'QueryAssetsWithSelector matches allowlisted fields',
+                run: async () => {
+                    const assetId = genAssetId('SELECT');
+                    await ownerClient.createTypedAsset(assetId, 'default', 'Selector test', { category: 'equipment', location: assetId });
+                    const page = await auditorClient.queryAssetsWithSelector({
+                        status: 'CREATED',
+                        'metadata.location': assetId
+                    }, 10);
+                    if (page.records.length !== 1 || page.records[0].assetID !== assetId) {
+                        throw new Error(`Expected only ${assetId}, got ${page.records.map(a => a.assetID).join(', ')}`);
+                    }
+                    return `found ${assetId}`;
+                }
+            },
+            {
+                name: 'QueryAssetsWithSelector rejects non-asset fields',
+                run: async () => {
+                    try {
+                        await auditorClient.queryAssetsWithSelector({ $or: [{ docType: 'approvalPolicy' }] });
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'Selector field not allowed')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+            {
+                name: 'Page size above limit rejected',
+                run: async () => {
+                    try {
+                        await ownerClient.queryAllAssetsPage(100000);
+                        throw new Error('Expected page size error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'Page size')) {
+                            throw e;
+                        }
+                        return 'Page size error as expected';
+                    }
+                }
+            },
             {
                 name: 'GetAssetHistory returns transactions',
                 run: async () => {
@@ -441,6 +689,922 @@ const testSuites = {
         ]
     },
 
+    // =========================================================================
+    // Approval Policy Tests
+    // =========================================================================
+    policy: {
+        name: 'Approval Policy Tests',
+        tests: [
+            {
+                name: 'GetApprovalPolicy returns active policy',
+                run: async () => {
+                    const policy = await ownerClient.getApprovalPolicy();
+                    if (!Array.isArray(policy.requiredApprovals) || policy.requiredApprovals.length === 0) {
+                        throw new Error(`Unexpected policy: ${JSON.stringify(policy)}`);
+                    }
+                    return `policyID=${policy.policyID}`;
+                }
+            },
+            {
+                name: 'New asset snapshots active policy',
+                run: async () => {
+                    const policy = await ownerClient.getApprovalPolicy();
+                    const assetId = genAssetId('POLICY');
+                    await ownerClient.createAsset(assetId, 'Policy test');
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.policyID !== policy.policyID ||
+                        JSON.stringify(asset.requiredApprovals) !== JSON.stringify(policy.requiredApprovals)) {
+                        throw new Error(`Asset roles ${asset.requiredApprovals} do not match policy`);
+                    }
+                    return `requiredApprovals=${asset.requiredApprovals.join(',')}`;
+                }
+            },
+            {
+                name: 'Admin can store a new policy version',
+                run: async () => {
+                    const policyId = genAssetId('policy');
+                    await adminClient.setApprovalPolicy(policyId, { requiredApprovals: ['auditor'] });
+                    await adminClient.setApprovalPolicy(policyId, { requiredApprovals: ['auditor', 'regulator'] });
+                    const { policies } = await ownerClient.listApprovalPolicies();
+                    const stored = policies.find(p => p.policyID === policyId);
+                    if (!stored || stored.version !== 2) throw new Error(`Expected version 2, got ${stored?.version}`);
+                    return `version=${stored.version}`;
+                }
+            },
+            {
+                name: 'Org admin without admin=true cannot set a policy',
+                run: async () => {
+                    try {
+                        await regulatorClient.setApprovalPolicy(genAssetId('policy'), { requiredApprovals: ['auditor'] });
+                        throw new Error('Expected org admin to be denied');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'Admin privileges')) {
+                            throw e;
+                        }
+                        return 'Denied as expected';
+                    }
+                }
+            },
+            {
+                name: 'Weighted quorum stored on policy',
+                run: async () => {
+                    const policyId = genAssetId('policy');
+                    await adminClient.setApprovalPolicy(policyId, {
+                        requiredApprovals: ['auditor', 'regulator', 'supervisor'],
+                        quorum: { threshold: 2, weights: { regulator: 2 } }
+                    });
+                    const policy = await ownerClient.getApprovalPolicy(policyId);
+                    if (policy.quorum.threshold !== 2 || policy.quorum.weights.regulator !== 2 || policy.quorum.weights.auditor !== 1) {
+                        throw new Error(`Unexpected quorum: ${JSON.stringify(policy.quorum)}`);
+                    }
+                    return 'threshold=2, regulator weight=2';
+                }
+            },
+            {
+                name: 'Quorum threshold above total weight rejected',
+                run: async () => {
+                    try {
+                        await adminClient.setApprovalPolicy(genAssetId('policy'), {
+                            requiredApprovals: ['auditor', 'regulator'],
+                            quorum: { threshold: 3 }
+                        });
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'threshold')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+            {
+                name: 'Ordered approval stages stored on policy',
+                run: async () => {
+                    const policyId = genAssetId('policy');
+                    await adminClient.setApprovalPolicy(policyId, {
+                        requiredApprovals: ['auditor', 'regulator'],
+                        stages: [['auditor'], ['regulator']]
+                    });
+                    const policy = await ownerClient.getApprovalPolicy(policyId);
+                    if (JSON.stringify(policy.stages) !== JSON.stringify([['auditor'], ['regulator']])) {
+                        throw new Error(`Unexpected stages: ${JSON.stringify(policy.stages)}`);
+                    }
+                    return 'auditor -> regulator';
+                }
+            },
+            {
+                name: 'Stage missing a required role rejected',
+                run: async () => {
+                    try {
+                        await adminClient.setApprovalPolicy(genAssetId('policy'), {
+                            requiredApprovals: ['auditor', 'regulator'],
+                            stages: [['auditor']]
+                        });
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'stage')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+            {
+                name: 'Policy with owner as approver rejected',
+                run: async () => {
+                    try {
+                        await adminClient.setApprovalPolicy(genAssetId('policy'), { requiredApprovals: ['owner'] });
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'owner', 'approver')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Asset Type Workflow Tests
+    // =========================================================================
+    workflow: {
+        name: 'Asset Type Workflow Tests',
+        tests: [
+            {
+                name: 'Default asset type has built-in workflow',
+                run: async () => {
+                    const workflow = await ownerClient.getAssetWorkflow('default');
+                    if (!workflow.transitions.CREATED?.includes('PENDING_APPROVAL')) {
+                        throw new Error(`Unexpected workflow: ${JSON.stringify(workflow.transitions)}`);
+                    }
+                    return `states=${Object.keys(workflow.transitions).length}`;
+                }
+            },
+            {
+                name: 'Typed asset follows its own workflow',
+                run: async () => {
+                    const assetType = genAssetId('license');
+                    await adminClient.setAssetWorkflow(assetType, LICENSE_WORKFLOW);
+                    const assetId = genAssetId('WF');
+                    await ownerClient.createTypedAsset(assetId, assetType, 'Software license');
+                    await ownerClient.submitForApproval(assetId);
+                    await auditorClient.approveAsset(assetId);
+                    await regulatorClient.approveAsset(assetId);
+                    await ownerClient.activateAsset(assetId);
+                    await regulatorClient.transitionAsset(assetId, 'SUSPENDED');
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.assetType !== assetType || asset.status !== 'SUSPENDED') {
+                        throw new Error(`Expected SUSPENDED ${assetType}, got ${asset.status} ${asset.assetType}`);
+                    }
+                    return 'ACTIVE -> SUSPENDED';
+                }
+            },
+            {
+                name: 'Custom status blocked for unauthorized role',
+                run: async () => {
+                    const assetType = genAssetId('license');
+                    await adminClient.setAssetWorkflow(assetType, LICENSE_WORKFLOW);
+                    const assetId = genAssetId('WF-FAIL');
+                    await ownerClient.createTypedAsset(assetId, assetType, 'Software license');
+                    await ownerClient.submitForApproval(assetId);
+                    await auditorClient.approveAsset(assetId);
+                    await regulatorClient.approveAsset(assetId);
+                    await ownerClient.activateAsset(assetId);
+                    try {
+                        await ownerClient.transitionAsset(assetId, 'SUSPENDED');
+                        throw new Error('Expected access denied');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'not authorized', 'role')) {
+                            throw e;
+                        }
+                        return 'Access denied as expected';
+                    }
+                }
+            },
+            {
+                name: 'Cannot create asset of unregistered type',
+                run: async () => {
+                    try {
+                        await ownerClient.createTypedAsset(genAssetId('WF-FAIL'), 'no-such-type', 'Should fail');
+                        throw new Error('Expected missing workflow error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'No workflow', 'asset type')) {
+                            throw e;
+                        }
+                        return 'Missing workflow error as expected';
+                    }
+                }
+            },
+            {
+                name: 'Workflow without approval core rejected',
+                run: async () => {
+                    try {
+                        await adminClient.setAssetWorkflow(genAssetId('broken'), {
+                            transitions: { CREATED: ['ACTIVE'] }
+                        });
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'must allow transition')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Asset Metadata Tests
+    // =========================================================================
+    metadata: {
+        name: 'Asset Metadata Tests',
+        tests: [
+            {
+                name: 'Typed metadata stored on create',
+                run: async () => {
+                    const assetId = genAssetId('META');
+                    await ownerClient.createTypedAsset(assetId, 'default', 'Metadata test', {
+                        category: 'equipment',
+                        serialNumber: 'SN-0042',
+                        tags: ['lab', 'calibrated']
+                    });
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.metadata.serialNumber !== 'SN-0042' || asset.metadata.tags.length !== 2) {
+                        throw new Error(`Unexpected metadata: ${JSON.stringify(asset.metadata)}`);
+                    }
+                    return `category=${asset.metadata.category}`;
+                }
+            },
+            {
+                name: 'Unknown metadata field rejected',
+                run: async () => {
+                    try {
+                        await ownerClient.createTypedAsset(genAssetId('META'), 'default', 'Metadata test', { colour: 'red' });
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'schema')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+            {
+                name: 'Partial metadata patch keeps other fields',
+                run: async () => {
+                    const assetId = genAssetId('META');
+                    await ownerClient.createTypedAsset(assetId, 'default', 'Metadata test', {
+                        location: 'Plant 1',
+                        costCenter: 'CC-100'
+                    });
+                    await ownerClient.updateAsset(assetId, '', { location: 'Plant 2', costCenter: null });
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.metadata.location !== 'Plant 2' || 'costCenter' in asset.metadata) {
+                        throw new Error(`Unexpected metadata: ${JSON.stringify(asset.metadata)}`);
+                    }
+                    if (asset.description !== 'Metadata test') throw new Error('Description changed');
+                    return 'location patched, costCenter removed';
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Chaincode Event Tests
+    // =========================================================================
+    events: {
+        name: 'Chaincode Event Tests',
+        tests: [
+            {
+                name: 'CreateAsset emits lifecycle event',
+                run: async () => {
+                    const assetId = genAssetId('EVT');
+                    const received = await listenForEvent(auditorClient, e => e.assetID === assetId);
+                    await ownerClient.createAsset(assetId, 'Event test');
+                    const event = await received.event;
+                    if (event.oldStatus !== '' || event.newStatus !== 'CREATED' || event.actorRole !== 'owner') {
+                        throw new Error(`Unexpected event: ${JSON.stringify(event)}`);
+                    }
+                    return `version=${event.version}, txId=${event.txId.substring(0, 8)}...`;
+                }
+            },
+            {
+                name: 'Approval emits old and new status',
+                run: async () => {
+                    const assetId = genAssetId('EVT');
+                    await ownerClient.createAsset(assetId, 'Event test');
+                    await ownerClient.submitForApproval(assetId);
+                    await auditorClient.approveAsset(assetId);
+                    const received = await listenForEvent(ownerClient, e => e.assetID === assetId && e.action === 'ApproveAsset');
+                    await regulatorClient.approveAsset(assetId);
+                    const event = await received.event;
+                    if (event.oldStatus !== 'PENDING_APPROVAL' || event.newStatus !== 'APPROVED' || event.actorRole !== 'regulator') {
+                        throw new Error(`Unexpected event: ${JSON.stringify(event)}`);
+                    }
+                    return 'PENDING_APPROVAL -> APPROVED';
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Suspension and Revocation Tests
+    // =========================================================================
+    enforcement: {
+        name: 'Suspension and Revocation Tests',
+        tests: [
+            {
+                name: 'Regulator can suspend and reinstate active asset',
+                run: async () => {
+                    const assetId = await createActiveAsset('ENF');
+                    await regulatorClient.suspendAsset(assetId, 'Compliance finding CF-12');
+                    let asset = await ownerClient.queryAsset(assetId);
+                    if (asset.status !== 'SUSPENDED' || asset.statusReason !== 'Compliance finding CF-12') {
+                        throw new Error(`Unexpected suspension: ${asset.status} (${asset.statusReason})`);
+                    }
+                    await regulatorClient.reinstateAsset(assetId);
+                    asset = await ownerClient.queryAsset(assetId);
+                    if (asset.status !== 'ACTIVE') throw new Error(`Expected ACTIVE, got ${asset.status}`);
+                    return 'ACTIVE -> SUSPENDED -> ACTIVE';
+                }
+            },
+            {
+                name: 'Revoked asset cannot be reinstated',
+                run: async () => {
+                    const assetId = await createActiveAsset('ENF');
+                    await regulatorClient.suspendAsset(assetId, 'Compliance finding CF-13');
+                    await regulatorClient.revokeAsset(assetId, 'Finding confirmed');
+                    try {
+                        await regulatorClient.reinstateAsset(assetId);
+                        throw new Error('Expected state error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'SUSPENDED')) {
+                            throw e;
+                        }
+                        return 'REVOKED is terminal';
+                    }
+                }
+            },
+            {
+                name: 'Auditor cannot suspend asset',
+                run: async () => {
+                    const assetId = await createActiveAsset('ENF');
+                    try {
+                        await auditorClient.suspendAsset(assetId, 'Not my call');
+                        throw new Error('Expected access denied');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'not authorized', 'role')) {
+                            throw e;
+                        }
+                        return 'Access denied as expected';
+                    }
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Approval Deadline Tests
+    // =========================================================================
+    deadline: {
+        name: 'Approval Deadline Tests',
+        tests: [
+            {
+                name: 'Deadline in the past rejected',
+                run: async () => {
+                    const assetId = genAssetId('SLA');
+                    await ownerClient.createAsset(assetId, 'Deadline test');
+                    try {
+                        await ownerClient.submitForApproval(assetId, new Date(Date.now() - 3600 * 1000));
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'future')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+            {
+                name: 'Asset with near deadline is listed',
+                run: async () => {
+                    const assetId = genAssetId('SLA');
+                    await ownerClient.createAsset(assetId, 'Deadline test');
+                    await ownerClient.submitForApproval(assetId, new Date(Date.now() + 3600 * 1000));
+                    const nearing = await auditorClient.queryAssetsNearingDeadline(2);
+                    if (!nearing.some(a => a.assetID === assetId)) {
+                        throw new Error('Asset missing from nearing-deadline list');
+                    }
+                    return `${nearing.length} asset(s) nearing deadline`;
+                }
+            },
+            {
+                name: 'Overdue asset moves to EXPIRED',
+                run: async () => {
+                    const assetId = genAssetId('SLA');
+                    await ownerClient.createAsset(assetId, 'Deadline test');
+                    await ownerClient.submitForApproval(assetId, new Date(Date.now() + 5000));
+                    await sleep(8000);
+                    let result;
+                    do {
+                        result = await regulatorClient.expirePendingApprovals();
+                    } while (result.hasMore);
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.status !== 'EXPIRED') {
+                        throw new Error(`Expected EXPIRED, got ${asset.status}`);
+                    }
+                    return asset.statusReason;
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Approval Delegation Tests
+    // =========================================================================
+    delegation: {
+        name: 'Approval Delegation Tests',
+        tests: [
+            {
+                name: 'Auditor can delegate and revoke',
+                run: async () => {
+                    const delegate = `deputy-${genAssetId('FP')}`;
+                    const validUntil = new Date(Date.now() + 24 * 3600 * 1000);
+                    await auditorClient.delegateApproval('auditor', delegate, validUntil);
+                    const listed = await auditorClient.listDelegations('auditor');
+                    if (!listed.some(d => d.delegateFingerprint === delegate)) {
+                        throw new Error('Delegation not listed');
+                    }
+                    await auditorClient.revokeDelegation('auditor', delegate);
+                    const after = await auditorClient.listDelegations('auditor');
+                    if (after.some(d => d.delegateFingerprint === delegate)) {
+                        throw new Error('Delegation still listed after revoke');
+                    }
+                    return 'Delegated and revoked';
+                }
+            },
+            {
+                name: 'Cannot delegate a role you do not hold',
+                run: async () => {
+                    try {
+                        await regulatorClient.delegateApproval('auditor', 'someone', new Date(Date.now() + 3600 * 1000));
+                        throw new Error('Expected access denied');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'not authorized', 'role')) {
+                            throw e;
+                        }
+                        return 'Access denied as expected';
+                    }
+                }
+            },
+            {
+                name: 'Expired validUntil rejected',
+                run: async () => {
+                    try {
+                        await auditorClient.delegateApproval('auditor', 'someone', new Date(Date.now() - 3600 * 1000));
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'future')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+            {
+                name: 'Owner cannot approve own asset as delegate',
+                run: async () => {
+                    const assetId = genAssetId('DLG');
+                    const { fingerprint } = await ownerClient.getCallerInfo();
+                    await auditorClient.delegateApproval('auditor', fingerprint, new Date(Date.now() + 3600 * 1000));
+                    try {
+                        await ownerClient.createAsset(assetId, 'Delegation test');
+                        await ownerClient.submitForApproval(assetId);
+                        await ownerClient.approveAsset(assetId);
+                        throw new Error('Expected access denied');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'own asset')) {
+                            throw e;
+                        }
+                        return 'Access denied as expected';
+                    } finally {
+                        await auditorClient.revokeDelegation('auditor', fingerprint);
+                    }
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Ownership Transfer Tests
+    // =========================================================================
+    transfer: {
+        name: 'Ownership Transfer Tests',
+        tests: [
+            {
+                name: 'Owner can propose transfer',
+                run: async () => {
+                    const assetId = genAssetId('XFER');
+                    await ownerClient.createAsset(assetId, 'Transfer test');
+                    await ownerClient.proposeTransfer(assetId, 'new-owner-fingerprint');
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.pendingTransfer?.toOwner !== 'new-owner-fingerprint') {
+                        throw new Error(`Unexpected pendingTransfer: ${JSON.stringify(asset.pendingTransfer)}`);
+                    }
+                    return 'pendingTransfer recorded';
+                }
+            },
+            {
+                name: 'Cannot transfer to current owner',
+                run: async () => {
+                    const assetId = genAssetId('XFER');
+                    await ownerClient.createAsset(assetId, 'Transfer test');
+                    const { fingerprint } = await ownerClient.getCallerInfo();
+                    try {
+                        await ownerClient.proposeTransfer(assetId, fingerprint);
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'differ')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+            {
+                name: 'Only proposed owner can accept',
+                run: async () => {
+                    const assetId = genAssetId('XFER');
+                    await ownerClient.createAsset(assetId, 'Transfer test');
+                    await ownerClient.proposeTransfer(assetId, 'new-owner-fingerprint');
+                    try {
+                        await ownerClient.acceptTransfer(assetId);
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'proposed new owner')) {
+                            throw e;
+                        }
+                        return 'Rejected as expected';
+                    }
+                }
+            },
+            {
+                name: 'Auditor cannot propose transfer',
+                run: async () => {
+                    const assetId = genAssetId('XFER');
+                    await ownerClient.createAsset(assetId, 'Transfer test');
+                    try {
+                        await auditorClient.proposeTransfer(assetId, 'new-owner-fingerprint');
+                        throw new Error('Expected access denied');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'Access denied', 'role', 'owner')) {
+                            throw e;
+                        }
+                        return 'Access denied as expected';
+                    }
+                }
+            },
+            {
+                name: 'Proposal made before activation cannot be accepted after it',
+                run: async () => {
+                    const assetId = genAssetId('XFER');
+                    await ownerClient.createAsset(assetId, 'Transfer test');
+                    await ownerClient.submitForApproval(assetId);
+                    await auditorClient.approveAsset(assetId);
+                    await regulatorClient.approveAsset(assetId);
+                    const { fingerprint } = await secondOwnerClient.getCallerInfo();
+                    await ownerClient.proposeTransfer(assetId, fingerprint);
+                    await ownerClient.activateAsset(assetId);
+                    try {
+                        await secondOwnerClient.acceptTransfer(assetId);
+                        throw new Error('Expected the APPROVED-time proposal to lapse');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'propose it again')) {
+                            throw e;
+                        }
+                    }
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.owner === fingerprint) throw new Error('Ownership moved without a fresh proposal');
+                    return 'Lapsed as expected';
+                }
+            },
+            {
+                name: 'Proposal cannot be accepted once the asset is pending approval',
+                run: async () => {
+                    const assetId = genAssetId('XFER');
+                    await ownerClient.createAsset(assetId, 'Transfer test');
+                    const { fingerprint } = await secondOwnerClient.getCallerInfo();
+                    await ownerClient.proposeTransfer(assetId, fingerprint);
+                    await ownerClient.submitForApproval(assetId);
+                    try {
+                        await secondOwnerClient.acceptTransfer(assetId);
+                        throw new Error('Expected acceptance to fail');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'Cannot transfer an asset in status')) {
+                            throw e;
+                        }
+                    }
+                    const asset = await ownerClient.queryAsset(assetId);
+                    if (asset.owner === fingerprint) throw new Error('Ownership moved during approval');
+                    return 'Refused as expected';
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Attachment Tests
+    // =========================================================================
+    attachment: {
+        name: 'Attachment Tests',
+        tests: [
+            {
+                name: 'Attached file verifies against on-chain hash',
+                run: async () => {
+                    const assetId = genAssetId('ATT');
+                    await ownerClient.createAsset(assetId, 'Attachment test');
+                    const file = writeTempFile(`${assetId}.txt`, `Inspection report for ${assetId}`);
+                    const attachment = await ownerClient.attachFile(assetId, file, {
+                        storageURI: `s3://evidence/${assetId}.txt`,
+                        mimeType: 'text/plain'
+                    });
+                    const listed = await auditorClient.listAttachments(assetId);
+                    if (listed.length !== 1 || listed[0].sha256 !== attachment.sha256) {
+                        throw new Error(`Unexpected attachments: ${JSON.stringify(listed)}`);
+                    }
+                    const check = await auditorClient.verifyAttachment(assetId, file);
+                    if (!check.valid) throw new Error('Expected the copy to verify');
+                    return `sha256=${attachment.sha256.slice(0, 12)}...`;
+                }
+            },
+            {
+                name: 'Tampered copy fails verification',
+                run: async () => {
+                    const assetId = genAssetId('ATT');
+                    await ownerClient.createAsset(assetId, 'Attachment test');
+                    const file = writeTempFile(`${assetId}.txt`, 'Original invoice');
+                    const { sha256 } = await ownerClient.attachFile(assetId, file, { storageURI: `s3://evidence/${assetId}.txt` });
+                    fs.writeFileSync(file, 'Altered invoice');
+                    const check = await auditorClient.verifyAttachment(assetId, file, sha256);
+                    if (check.valid) throw new Error('Tampered copy should not verify');
+                    return 'Mismatch detected as expected';
+                }
+            },
+            {
+                name: 'Malformed hash rejected',
+                run: async () => {
+                    const assetId = genAssetId('ATT');
+                    await ownerClient.createAsset(assetId, 'Attachment test');
+                    try {
+                        await ownerClient.attachDocument(assetId, {
+                            name: 'report.pdf', sha256: 'not-a-hash', size: 10,
+                            mimeType: 'application/pdf', storageURI: 'https://example.com/report.pdf'
+                        });
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'sha256')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Comment Thread Tests
+    // =========================================================================
+    comment: {
+        name: 'Comment Thread Tests',
+        tests: [
+            {
+                name: 'Owner and auditor discuss in a thread',
+                run: async () => {
+                    const assetId = genAssetId('CMT');
+                    await ownerClient.createAsset(assetId, 'Comment test');
+                    const question = await auditorClient.addComment(assetId, 'Which site is this installed at?');
+                    await ownerClient.addComment(assetId, 'Building 4, lab 2', question);
+                    const comments = await regulatorClient.listComments(assetId);
+                    if (comments.length !== 2 || comments[1].replyTo !== question) {
+                        throw new Error(`Unexpected thread: ${JSON.stringify(comments)}`);
+                    }
+                    return `thread of ${comments.length}`;
+                }
+            },
+            {
+                name: 'Confidential comment hidden from regulator',
+                run: async () => {
+                    const assetId = genAssetId('CMT');
+                    await ownerClient.createAsset(assetId, 'Comment test');
+                    await ownerClient.addConfidentialComment(assetId, 'Purchase price was renegotiated');
+                    const auditorView = await auditorClient.listComments(assetId);
+                    if (!auditorView.some(cm => cm.confidential)) throw new Error('Auditor should see the confidential comment');
+                    const regulatorView = await regulatorClient.listComments(assetId);
+                    if (regulatorView.some(cm => cm.confidential)) throw new Error('Regulator must not see confidential comments');
+                    return 'Visible to auditor only';
+                }
+            },
+            {
+                name: 'Reply to unknown comment rejected',
+                run: async () => {
+                    const assetId = genAssetId('CMT');
+                    await ownerClient.createAsset(assetId, 'Comment test');
+                    try {
+                        await auditorClient.addComment(assetId, 'Orphan reply', 'no-such-comment');
+                        throw new Error('Expected validation error');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'not found')) {
+                            throw e;
+                        }
+                        return 'Validation error as expected';
+                    }
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Private Data Tests
+    // =========================================================================
+    private: {
+        name: 'Private Data Tests',
+        tests: [
+            {
+                name: 'Owner updates private data',
+                run: async () => {
+                    const assetId = genAssetId('PDC');
+                    await ownerClient.createAssetWithPrivateData(assetId, 'Private data test', { confidentialNotes: 'v1', internalValue: 10 });
+                    await ownerClient.updatePrivateData(assetId, { confidentialNotes: 'v2', internalValue: 20 });
+                    const data = await auditorClient.readPrivateData(assetId);
+                    if (data.confidentialNotes !== 'v2' || data.internalValue !== 20) {
+                        throw new Error(`Unexpected private data: ${JSON.stringify(data)}`);
+                    }
+                    return 'Auditor sees updated data';
+                }
+            },
+            {
+                name: 'Private data hash verifies a matching copy only',
+                run: async () => {
+                    const assetId = genAssetId('PDC');
+                    await ownerClient.createAssetWithPrivateData(assetId, 'Hash test', { confidentialNotes: 'notes', internalValue: 7 });
+                    if (!await auditorClient.verifyPrivateDataHash(assetId, { internalValue: 7, confidentialNotes: 'notes' })) {
+                        throw new Error('Matching copy did not verify');
+                    }
+                    if (await auditorClient.verifyPrivateDataHash(assetId, { confidentialNotes: 'notes', internalValue: 8 })) {
+                        throw new Error('Tampered copy verified');
+                    }
+                    return 'Match accepted, tampered copy rejected';
+                }
+            },
+            {
+                name: 'Private data purged only after delete',
+                run: async () => {
+                    const assetId = genAssetId('PDC');
+                    await ownerClient.createAssetWithPrivateData(assetId, 'Purge test', { confidentialNotes: 'purge me' });
+                    try {
+                        await ownerClient.purgePrivateData(assetId);
+                        throw new Error('Purge of a live asset should fail');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'DELETED or REVOKED')) {
+                            throw e;
+                        }
+                    }
+                    await ownerClient.deleteAsset(assetId);
+                    await ownerClient.purgePrivateData(assetId);
+                    return 'Purged after delete';
+                }
+            },
+            {
+                name: 'Regulator cannot update private data',
+                run: async () => {
+                    const assetId = genAssetId('PDC');
+                    await ownerClient.createAssetWithPrivateData(assetId, 'Access test', { confidentialNotes: 'secret' });
+                    try {
+                        await regulatorClient.updatePrivateData(assetId, { confidentialNotes: 'overwrite' });
+                        throw new Error('Regulator should be denied');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'cannot access private data')) {
+                            throw e;
+                        }
+                    }
+                    return 'Access denied as expected';
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Batch Operation Tests
+    // =========================================================================
+    batch: {
+        name: 'Batch Operation Tests',
+        tests: [
+            {
+                name: 'Batch create reports per-item results',
+                run: async () => {
+                    const ids = [genAssetId('BATCH'), genAssetId('BATCH')];
+                    const result = await ownerClient.createAssetsBatch([
+                        { assetID: ids[0], description: 'Batch item', metadata: { category: 'equipment' } },
+                        { assetID: ids[1], description: '' },
+                    ]);
+                    if (result.succeeded !== 1 || result.failed !== 1 || !result.results[0].success || result.results[1].success) {
+                        throw new Error(`Unexpected results: ${JSON.stringify(result)}`);
+                    }
+                    const asset = await ownerClient.queryAsset(ids[0]);
+                    return `created ${asset.assetID}, skipped invalid item`;
+                }
+            },
+            {
+                name: 'All-or-nothing batch writes nothing on failure',
+                run: async () => {
+                    const ids = [genAssetId('BATCH'), genAssetId('BATCH')];
+                    try {
+                        await ownerClient.createAssetsBatch([
+                            { assetID: ids[0], description: 'Batch item' },
+                            { assetID: ids[1], description: '' },
+                        ], { allOrNothing: true });
+                        throw new Error('Expected batch to fail');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'Batch item 1')) {
+                            throw e;
+                        }
+                    }
+                    if (await ownerClient.assetExists(ids[0])) throw new Error(`${ids[0]} should not exist`);
+                    return 'Rolled back as expected';
+                }
+            },
+            {
+                name: 'Auditor approves a batch',
+                run: async () => {
+                    const ids = [genAssetId('BATCH'), genAssetId('BATCH'), genAssetId('BATCH')];
+                    await ownerClient.createAssetsBatch(ids.map(assetID => ({ assetID, description: 'Batch approval' })));
+                    for (const id of ids) {
+                        await ownerClient.submitForApproval(id);
+                    }
+                    const result = await auditorClient.approveAssetsBatch(ids, { comment: 'Reviewed in batch', allOrNothing: true });
+                    if (result.succeeded !== ids.length) throw new Error(`Unexpected results: ${JSON.stringify(result)}`);
+                    const asset = await ownerClient.queryAsset(ids[0]);
+                    if (asset.approvals.auditor.comment !== 'Reviewed in batch') throw new Error('Comment not recorded');
+                    return `${result.succeeded} approved`;
+                }
+            },
+        ]
+    },
+
+    // =========================================================================
+    // Identity Revocation Tests
+    // =========================================================================
+    revocation: {
+        name: 'Identity Revocation Tests',
+        tests: [
+            {
+                name: 'Caller info includes the certificate fingerprint',
+                run: async () => {
+                    const info = await auditorClient.getCallerInfo();
+                    if (!/^[0-9a-f]{64}$/.test(info.certificateFingerprint)) {
+                        throw new Error(`Unexpected fingerprint: ${info.certificateFingerprint}`);
+                    }
+                    return info.certificateFingerprint.substring(0, 16) + '...';
+                }
+            },
+            {
+                name: 'Admin revokes a certificate fingerprint',
+                run: async () => {
+                    // A fingerprint no test identity uses, so the other suites keep working
+                    const fingerprint = crypto.randomBytes(32).toString('hex');
+                    const invalidated = await adminClient.revokeIdentity(fingerprint, 'Key compromised');
+                    if (invalidated.length !== 0) throw new Error(`Unexpected invalidations: ${JSON.stringify(invalidated)}`);
+                    const revoked = await ownerClient.listRevokedIdentities();
+                    const entry = revoked.find(r => r.certificateFingerprint === fingerprint);
+                    if (!entry || entry.reason !== 'Key compromised') throw new Error('Revocation not listed');
+                    return `${revoked.length} revoked`;
+                }
+            },
+            {
+                name: 'Cannot revoke own certificate',
+                run: async () => {
+                    // The chaincode admin has no role attribute, so GetCallerInfo is not open to it
+                    const { identity } = await adminClient.loadCredentials();
+                    const certificateFingerprint = new crypto.X509Certificate(Buffer.from(identity.credentials))
+                        .fingerprint256.replace(/:/g, '').toLowerCase();
+                    try {
+                        await adminClient.revokeIdentity(certificateFingerprint, 'Oops');
+                        throw new Error('Expected self-revocation to fail');
+                    } catch (e) {
+                        if (!isExpectedError(e, 'own certificate')) {
+                            throw e;
+                        }
+                    }
+                    return 'Denied as expected';
+                }
+            },
+        ]
+    },
+
     // =========================================================================
     // Security Tests
     // =========================================================================
@@ -595,10 +1759,14 @@ async function connect() {
     ownerClient = new FabricClient('org1', { quiet: true });
     auditorClient = new FabricClient('org2', { quiet: true });
     regulatorClient = new FabricClient('org3', { quiet: true });
+    adminClient = new FabricClient({ org: 'org1', mspUser: CHAINCODE_ADMIN_USER, quiet: true });
+    secondOwnerClient = new FabricClient({ org: 'org1', mspUser: 'User1', quiet: true });
 
     await ownerClient.connect();
     await auditorClient.connect();
     await regulatorClient.connect();
+    await adminClient.connect();
+    await secondOwnerClient.connect();
     console.log(`${c.green}✓${c.reset} Connected to all organizations\n`);
 }
 
@@ -606,6 +1774,8 @@ function disconnect() {
     ownerClient?.disconnect();
     auditorClient?.disconnect();
     regulatorClient?.disconnect();
+    adminClient?.disconnect();
+    secondOwnerClient?.disconnect();
 }
 
 function printHelp() {
@@ -0,0 +1,300 @@
+'use strict';
+
+/**
+ * Identity wallets for the v2 client
+ *
+ * A wallet stores X.509 identities by user ID so each user signs with their own
+ * certificate (and its role attribute) instead of the org admin's.
+ *
+ * Identity shape: { mspId, certificate, privateKey } - PEM strings
+ *
+ * All wallets share one async interface: put(userId, identity), get(userId)
+ * (undefined when missing), remove(userId) and list().
+ *   InMemoryWallet       - nothing persisted; tests and short-lived processes
+ *   FileSystemWallet     - one <userId>.id JSON file per identity (mode 0600)
+ *   EncryptedFileWallet  - same layout, contents AES-256-GCM encrypted with a
+ *                          key derived (scrypt) from a passphrase
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WALLET_DIR = path.resolve(__dirname, '..', 'wallet');
+const USER_ID_PATTERN = /^[A-Za-z0-9_.@-]{1,128}$/;
+const FILE_EXTENSION = '.id';
+
+function validateUserId(userId) {
+    if (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId)) {
+        throw new Error(`Invalid user ID '${userId}': use 1-128 letters, digits, '_', '.', '@' or '-'`);
+    }
+}
+
+function validateIdentity(identity) {
+    if (!identity || typeof identity !== 'object') {
+        throw new Error('Identity must be an object with mspId, certificate and privateKey');
+    }
+    for (const field of ['mspId', 'certificate', 'privateKey']) {
+        if (typeof identity[field] !== 'string' || identity[field].trim() === '') {
+            throw new Error(`Identity ${field} must be a non-empty string`);
+        }
+    }
+    if (!identity.certificate.includes('-----BEGIN CERTIFICATE-----')) {
+        throw new Error('Identity certificate must be PEM encoded');
+    }
+}
+
+/**
+ * Copy only the identity fields, so callers never share objects with the wallet
+ */
+function toRecord(identity) {
+    return { mspId: identity.mspId, certificate: identity.certificate, privateKey: identity.privateKey };
+}
+
+class InMemoryWallet {
+    constructor() {
+        this.identities = new Map();
+    }
+
+    async put(userId, identity) {
+        validateUserId(userId);
+        validateIdentity(identity);
+        this.identities.set(userId, toRecord(identity));
+    }
+
+    async get(userId) {
+        validateUserId(userId);
+        const identity = this.identities.get(userId);
+        return identity ? toRecord(identity) : undefined;
+    }
+
+    async remove(userId) {
+        validateUserId(userId);
+        this.identities.delete(userId);
+    }
+
+    async list() {
+        return [...this.identities.keys()].sort();
+    }
+}
+
+class FileSystemWallet {
+    constructor(directory = DEFAULT_WALLET_DIR) {
+        this.directory = directory;
+    }
+
+    filePath(userId) {
+        validateUserId(userId);
+        return path.join(this.directory, `${userId}${FILE_EXTENSION}`);
+    }
+
+    // Overridden by EncryptedFileWallet
+    encode(identity) {
+        return JSON.stringify({ version: 1, type: 'X.509', ...toRecord(identity) }, null, 2);
+    }
+
+    decode(text) {
+        return toRecord(JSON.parse(text));
+    }
+
+    async put(userId, identity) {
+        validateIdentity(identity);
+        const file = this.filePath(userId);
+        await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+        // Write then rename, so a crash never leaves a half-written identity
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, this.encode(identity), { mode: 0o600 });
+        await fs.promises.rename(tmp, file);
+    }
+
+    async get(userId) {
+        let text;
+        try {
+            text = await fs.promises.readFile(this.filePath(userId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return undefined;
+            }
+            throw error;
+        }
+        return this.decode(text);
+    }
+
+    async remove(userId) {
+        await fs.promises.rm(this.filePath(userId), { force: true });
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        return files
+            .filter(f => f.endsWith(FILE_EXTENSION))
+            .map(f => f.slice(0, -FILE_EXTENSION.length))
+            .sort();
+    }
+}
+
+class EncryptedFileWallet extends FileSystemWallet {
+    constructor(directory = DEFAULT_WALLET_DIR, passphrase) {
+        super(directory);
+        if (typeof passphrase !== 'string' || passphrase.length < 8) {
+            throw new Error('EncryptedFileWallet needs a passphrase of at least 8 characters');
+        }
+        this.passphrase = passphrase;
+    }
+
+    encode(identity) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = crypto.scryptSync(this.passphrase, salt, 32);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(super.encode(identity), 'utf8'), cipher.final()]);
+        return JSON.stringify({
+            version: 1,
+            encryption: 'aes-256-gcm/scrypt',
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        }, null, 2);
+    }
+
+    decode(text) {
+        const envelope = JSON.parse(text);
+        if (envelope.encryption !== 'aes-256-gcm/scrypt') {
+            throw new Error('Wallet entry is not encrypted; use a FileSystemWallet or re-import it');
+        }
+        const key = crypto.scryptSync(this.passphrase, Buffer.from(envelope.salt, 'base64'), 32);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        let plain;
+        try {
+            plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        } catch {
+            throw new Error('Cannot decrypt wallet entry: wrong passphrase or corrupted file');
+        }
+        return super.decode(plain.toString('utf8'));
+    }
+}
+
+/**
+ * Read an identity from an MSP directory (signcerts/ + keystore/), e.g. one
+ * written by fabric-ca-client enroll
+ */
+function readMspIdentity(mspDir, mspId) {
+    const certDir = path.join(mspDir, 'signcerts');
+    const keyDir = path.join(mspDir, 'keystore');
+    const certFile = fs.readdirSync(certDir).find(f => f.endsWith('.pem'));
+    const keyFile = fs.readdirSync(keyDir).find(f => f.endsWith('_sk'));
+    if (!certFile || !keyFile) {
+        throw new Error(`${mspDir} has no signing certificate or private key`);
+    }
+    return {
+        mspId,
+        certificate: fs.readFileSync(path.join(certDir, certFile), 'utf8'),
+        privateKey: fs.readFileSync(path.join(keyDir, keyFile), 'utf8')
+    };
+}
+
+/**
+ * Wallet selected by environment:
+ *   WALLET_TYPE        memory | filesystem (default) | encrypted
+ *   WALLET_DIR         directory for file wallets (default: client/wallet)
+ *   WALLET_PASSPHRASE  required for encrypted
+ */
+function openWallet(env = process.env) {
+    const type = env.WALLET_TYPE || 'filesystem';
+    const directory = env.WALLET_DIR || DEFAULT_WALLET_DIR;
+    switch (type) {
+        case 'memory':
+            return new InMemoryWallet();
+        case 'filesystem':
+            return new FileSystemWallet(directory);
+        case 'encrypted':
+            return new EncryptedFileWallet(directory, env.WALLET_PASSPHRASE);
+        default:
+            throw new Error(`Unknown WALLET_TYPE '${type}'. Expected memory, filesystem or encrypted`);
+    }
+}
+
+function printHelp() {
+    console.log(`
+Usage:
+  npm run wallet -- list
+  npm run wallet -- import <userId> --org=<org> [--msp=<dir>]
+  npm run wallet -- remove <userId>
+
+import reads signcerts/ and keystore/ from an MSP directory (default: the
+org's User1 MSP written by registerEnroll.sh). The wallet is chosen by
+WALLET_TYPE, WALLET_DIR and WALLET_PASSPHRASE.
+`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const options = Object.fromEntries(args.filter(a => a.startsWith('--')).map(a => {
+        const [key, ...rest] = a.slice(2).split('=');
+        return [key, rest.join('=')];
+    }));
+    const [command, userId] = args.filter(a => !a.startsWith('--'));
+    const wallet = openWallet();
+
+    switch (command) {
+        case 'list': {
+            const users = await wallet.list();
+            console.log(users.length > 0 ? users.join('\n') : '(wallet is empty)');
+            break;
+        }
+        case 'import': {
+            // Loaded here: fabricClient itself requires this module
+            const { ORG_CONFIG } = require('./fabricClient');
+            const config = ORG_CONFIG[options.org];
+            if (!userId || !config) {
+                printHelp();
+                process.exit(1);
+            }
+            const domain = config.peerHostAlias.replace('peer0.', '');
+            const mspDir = options.msp
+                ? path.resolve(options.msp)
+                : path.resolve(__dirname, config.cryptoPath, 'users', `User1@${domain}`, 'msp');
+            await wallet.put(userId, readMspIdentity(mspDir, config.mspId));
+            console.log(`Imported ${userId} (${config.mspId}) from ${mspDir}`);
+            break;
+        }
+        case 'remove':
+            if (!userId) {
+                printHelp();
+                process.exit(1);
+            }
+            await wallet.remove(userId);
+            console.log(`Removed ${userId}`);
+            break;
+        default:
+            printHelp();
+            process.exit(command ? 1 : 0);
+    }
+}
+
+module.exports = {
+    InMemoryWallet,
+    FileSystemWallet,
+    EncryptedFileWallet,
+    readMspIdentity,
+    openWallet,
+    validateUserId,
+    DEFAULT_WALLET_DIR
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
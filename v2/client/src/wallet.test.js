@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Wallet tests - no Fabric network needed
+ *
+ * Run: npm run test:wallet
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+const { FabricClient } = require('./fabricClient');
+const { InMemoryWallet, FileSystemWallet, EncryptedFileWallet, openWallet } = require('./wallet');
+
+// The wallet never parses the certificate, so any PEM-framed body will do
+const newIdentity = (mspId = 'Org1MSP') => {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    return {
+        mspId,
+        certificate: '-----BEGIN CERTIFICATE-----\nTUlJQ2Zha2U=\n-----END CERTIFICATE-----\n',
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+};
+
+const tmpDirs = [];
+const tmpDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asset-wallet-'));
+    tmpDirs.push(dir);
+    return dir;
+};
+after(() => tmpDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const wallets = {
+    InMemoryWallet: () => new InMemoryWallet(),
+    FileSystemWallet: () => new FileSystemWallet(tmpDir()),
+    EncryptedFileWallet: () => new EncryptedFileWallet(tmpDir(), 'correct horse battery'),
+};
+
+for (const [name, create] of Object.entries(wallets)) {
+    describe(name, () => {
+        it('stores, lists and removes identities by user ID', async () => {
+            const wallet = create();
+            const alice = newIdentity();
+            await wallet.put('alice', alice);
+            await wallet.put('bob@org1', newIdentity());
+
+            assert.deepStrictEqual(await wallet.get('alice'), alice);
+            assert.deepStrictEqual(await wallet.list(), ['alice', 'bob@org1']);
+
+            await wallet.remove('alice');
+            assert.strictEqual(await wallet.get('alice'), undefined);
+            assert.deepStrictEqual(await wallet.list(), ['bob@org1']);
+        });
+
+        it('rejects unsafe user IDs and incomplete identities', async () => {
+            const wallet = create();
+            await assert.rejects(wallet.put('../alice', newIdentity()), /Invalid user ID/);
+            await assert.rejects(wallet.put('alice', { mspId: 'Org1MSP', certificate: 'x', privateKey: 'y' }), /PEM/);
+            await assert.rejects(wallet.put('alice', { mspId: 'Org1MSP' }), /certificate/);
+        });
+    });
+}
+
+describe('FileSystemWallet', () => {
+    it('writes owner-only files', { skip: process.platform === 'win32' }, async () => {
+        const dir = tmpDir();
+        await new FileSystemWallet(dir).put('alice', newIdentity());
+        assert.strictEqual(fs.statSync(path.join(dir, 'alice.id')).mode & 0o777, 0o600);
+    });
+});
+
+describe('EncryptedFileWallet', () => {
+    it('keeps key material out of the file', async () => {
+        const dir = tmpDir();
+        const identity = newIdentity();
+        await new EncryptedFileWallet(dir, 'correct horse battery').put('alice', identity);
+        const text = fs.readFileSync(path.join(dir, 'alice.id'), 'utf8');
+        assert.ok(!text.includes('PRIVATE KEY'));
+        assert.ok(!text.includes('Org1MSP'));
+    });
+
+    it('refuses a wrong passphrase', async () => {
+        const dir = tmpDir();
+        await new EncryptedFileWallet(dir, 'correct horse battery').put('alice', newIdentity());
+        await assert.rejects(new EncryptedFileWallet(dir, 'wrong passphrase').get('alice'), /wrong passphrase/);
+    });
+
+    it('needs a passphrase', () => {
+        assert.throws(() => openWallet({ WALLET_TYPE: 'encrypted', WALLET_DIR: tmpDir() }), /passphrase/);
+    });
+});
+
+describe('FabricClient with a wallet user', () => {
+    it('signs as the wallet identity', async () => {
+        const wallet = new InMemoryWallet();
+        const alice = newIdentity('Org2MSP');
+        await wallet.put('alice', alice);
+
+        const client = new FabricClient({ org: 'org2', userId: 'alice', wallet });
+        const { identity, signer } = await client.loadCredentials();
+        assert.strictEqual(identity.mspId, 'Org2MSP');
+        assert.strictEqual(Buffer.from(identity.credentials).toString(), alice.certificate);
+
+        // The gateway signer takes a SHA-256 digest and returns a DER signature
+        const digest = crypto.createHash('sha256').update('payload').digest();
+        const signature = await signer(digest);
+        const publicKey = crypto.createPublicKey(alice.privateKey);
+        assert.ok(crypto.verify('sha256', Buffer.from('payload'), publicKey, signature));
+    });
+
+    it('refuses identities from another MSP or missing users', async () => {
+        const wallet = new InMemoryWallet();
+        await wallet.put('alice', newIdentity('Org2MSP'));
+        await assert.rejects(new FabricClient({ org: 'org1', userId: 'alice', wallet }).loadCredentials(), /belongs to Org2MSP/);
+        await assert.rejects(new FabricClient({ org: 'org1', userId: 'carol', wallet }).loadCredentials(), /not found/);
+    });
+
+    it('still accepts the org-name constructor', () => {
+        const client = new FabricClient('org3', { quiet: true });
+        assert.strictEqual(client.org, 'org3');
+        assert.strictEqual(client.userId, '');
+        assert.throws(() => new FabricClient('org9'), /Unknown org/);
+    });
+});